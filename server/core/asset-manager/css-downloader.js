@@ -88,9 +88,10 @@ class CSSDownloader {
    * Download CSS from URL
    * @param {string} url - CSS URL
    * @param {string} baseUrl - Base URL for resolving relative URLs
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Object} {content, originalUrl, absoluteUrl}
    */
-  async downloadCSS(url, baseUrl = null) {
+  async downloadCSS(url, baseUrl = null, auth = null) {
     try {
       // Handle relative URLs
       let absoluteUrl = url;
@@ -108,7 +109,7 @@ class CSSDownloader {
 
       console.log(`⬇️  Downloading CSS: ${absoluteUrl}`);
 
-      const response = await this.client.get(absoluteUrl);
+      const response = await this.client.get(absoluteUrl, auth?.requestConfig(absoluteUrl));
       const content = response.data;
 
       // Validate size
@@ -164,9 +165,10 @@ class CSSDownloader {
    * @param {string} css - CSS content
    * @param {string} baseUrl - Base URL for resolving relative URLs
    * @param {number} depth - Current recursion depth
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {string} CSS with inlined imports
    */
-  async resolveImports(css, baseUrl, depth = 0) {
+  async resolveImports(css, baseUrl, depth = 0, auth = null) {
     try {
       // Prevent infinite recursion
       if (depth >= this.options.maxImportDepth) {
@@ -188,14 +190,15 @@ class CSSDownloader {
       for (const importDecl of imports) {
         try {
           // Download the imported CSS
-          const downloadedCSS = await this.downloadCSS(importDecl.url, baseUrl);
+          const downloadedCSS = await this.downloadCSS(importDecl.url, baseUrl, auth);
 
           if (downloadedCSS) {
             // Recursively resolve imports in the downloaded CSS
             const inlinedContent = await this.resolveImports(
               downloadedCSS.content,
               downloadedCSS.absoluteUrl,
-              depth + 1
+              depth + 1,
+              auth
             );
 
             // Rewrite relative URLs in the inlined CSS
@@ -272,9 +275,10 @@ class CSSDownloader {
    * @param {string} sessionId - Session UUID
    * @param {string} cssUrl - CSS URL
    * @param {string} baseUrl - Base URL for resolving relative URLs
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Object} Downloaded CSS info
    */
-  async downloadAndProcessCSS(sessionId, cssUrl, baseUrl = null) {
+  async downloadAndProcessCSS(sessionId, cssUrl, baseUrl = null, auth = null) {
     try {
       // Reset downloaded URLs tracker for this operation
       this.downloadedUrls.clear();
@@ -282,7 +286,7 @@ class CSSDownloader {
       console.log(`📦 Downloading and processing CSS: ${cssUrl}`);
 
       // Download main CSS
-      const mainCSS = await this.downloadCSS(cssUrl, baseUrl);
+      const mainCSS = await this.downloadCSS(cssUrl, baseUrl, auth);
 
       if (!mainCSS) {
         return null;
@@ -292,7 +296,8 @@ class CSSDownloader {
       const resolvedCSS = await this.resolveImports(
         mainCSS.content,
         mainCSS.absoluteUrl,
-        0
+        0,
+        auth
       );
 
       // Rewrite remaining relative URLs to absolute
@@ -336,9 +341,10 @@ class CSSDownloader {
    * @param {Array} cssUrls - Array of CSS URLs
    * @param {string} baseUrl - Base URL for resolving relative URLs
    * @param {number} concurrency - Max concurrent downloads
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Array} Downloaded CSS info
    */
-  async downloadMultipleCSS(sessionId, cssUrls, baseUrl = null, concurrency = 3) {
+  async downloadMultipleCSS(sessionId, cssUrls, baseUrl = null, concurrency = 3, auth = null) {
     try {
       console.log(`📦 Starting batch download of ${cssUrls.length} CSS files (concurrency: ${concurrency})`);
 
@@ -349,7 +355,7 @@ class CSSDownloader {
       while (queue.length > 0) {
         const batch = queue.splice(0, concurrency);
         const batchPromises = batch.map(url =>
-          this.downloadAndProcessCSS(sessionId, url, baseUrl)
+          this.downloadAndProcessCSS(sessionId, url, baseUrl, auth)
         );
         const batchResults = await Promise.allSettled(batchPromises);
 
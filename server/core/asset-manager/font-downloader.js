@@ -225,9 +225,10 @@ class FontDownloader {
    * Download font from HTTP URL
    * @param {string} url - Font URL
    * @param {string} baseUrl - Base URL for resolving relative URLs
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Object} {buffer, format}
    */
-  async downloadFromUrl(url, baseUrl = null) {
+  async downloadFromUrl(url, baseUrl = null, auth = null) {
     try {
       // Handle relative URLs
       let absoluteUrl = url;
@@ -239,7 +240,7 @@ class FontDownloader {
 
       console.log(`⬇️  Downloading font: ${absoluteUrl}`);
 
-      const response = await this.client.get(absoluteUrl);
+      const response = await this.client.get(absoluteUrl, auth?.requestConfig(absoluteUrl));
       const buffer = Buffer.from(response.data);
 
       // Detect format from Content-Type or URL
@@ -272,9 +273,10 @@ class FontDownloader {
    * @param {string} sessionId - Session UUID
    * @param {Object} fontInfo - Font information {url, format, family, weight, style}
    * @param {string} baseUrl - Base URL for resolving relative URLs
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Object} Downloaded font info
    */
-  async downloadFont(sessionId, fontInfo, baseUrl = null) {
+  async downloadFont(sessionId, fontInfo, baseUrl = null, auth = null) {
     try {
       const { url, format, family, weight, style, isDataUrl } = fontInfo;
 
@@ -291,7 +293,7 @@ class FontDownloader {
         buffer = result.buffer;
         detectedFormat = result.format;
       } else {
-        const result = await this.downloadFromUrl(url, baseUrl);
+        const result = await this.downloadFromUrl(url, baseUrl, auth);
         buffer = result.buffer;
         detectedFormat = result.format;
       }
@@ -333,9 +335,10 @@ class FontDownloader {
    * @param {Array} fontFaces - Array of font-face declarations
    * @param {string} baseUrl - Base URL for resolving relative URLs
    * @param {number} concurrency - Max concurrent downloads
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Array} Downloaded fonts info
    */
-  async downloadFontsFromDeclarations(sessionId, fontFaces, baseUrl = null, concurrency = 3) {
+  async downloadFontsFromDeclarations(sessionId, fontFaces, baseUrl = null, concurrency = 3, auth = null) {
     try {
       console.log(`📦 Starting batch download of ${fontFaces.length} font families (concurrency: ${concurrency})`);
 
@@ -370,7 +373,7 @@ class FontDownloader {
       while (queue.length > 0) {
         const batch = queue.splice(0, concurrency);
         const batchPromises = batch.map(fontInfo =>
-          this.downloadFont(sessionId, fontInfo, baseUrl)
+          this.downloadFont(sessionId, fontInfo, baseUrl, auth)
         );
         const batchResults = await Promise.allSettled(batchPromises);
 
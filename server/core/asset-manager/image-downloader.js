@@ -4,6 +4,7 @@ import sharp from 'sharp';
 import path from 'path';
 import crypto from 'crypto';
 import { URL } from 'url';
+import * as cheerio from 'cheerio';
 
 /**
  * Image Downloader with retry logic and optimization
@@ -12,6 +13,7 @@ import { URL } from 'url';
  * - Image optimization with Sharp (WebP conversion, resizing)
  * - Multiple format support (JPEG, PNG, GIF, WebP, SVG)
  * - Data URL handling
+ * - Inline SVG icons saved as standalone .svg files
  * - URL rewriting for local serving
  */
 
@@ -130,13 +132,14 @@ class ImageDownloader {
   /**
    * Download image from HTTP URL
    * @param {string} url - Image URL
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Object} { buffer, contentType }
    */
-  async downloadFromUrl(url) {
+  async downloadFromUrl(url, auth = null) {
     try {
       console.log(`⬇️  Downloading image: ${url}`);
 
-      const response = await this.client.get(url);
+      const response = await this.client.get(url, auth?.requestConfig(url));
 
       const buffer = Buffer.from(response.data);
       const contentType = response.headers['content-type'] || 'image/jpeg';
@@ -221,9 +224,10 @@ class ImageDownloader {
    * @param {string} sessionId - Session UUID
    * @param {string} imageUrl - Image URL (http:// or data:)
    * @param {string} baseUrl - Base URL for resolving relative URLs
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Object} Downloaded image info
    */
-  async downloadImage(sessionId, imageUrl, baseUrl = null) {
+  async downloadImage(sessionId, imageUrl, baseUrl = null, auth = null) {
     try {
       // Skip empty URLs
       if (!imageUrl || imageUrl === '' || imageUrl === 'about:blank') {
@@ -244,7 +248,7 @@ class ImageDownloader {
         buffer = result.buffer;
         contentType = result.contentType;
       } else {
-        const result = await this.downloadFromUrl(absoluteUrl);
+        const result = await this.downloadFromUrl(absoluteUrl, auth);
         buffer = result.buffer;
         contentType = result.contentType;
       }
@@ -286,9 +290,10 @@ class ImageDownloader {
    * @param {Array} imageUrls - Array of image URLs
    * @param {string} baseUrl - Base URL for resolving relative URLs
    * @param {number} concurrency - Max concurrent downloads
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Array} Downloaded images info
    */
-  async downloadImages(sessionId, imageUrls, baseUrl = null, concurrency = 5) {
+  async downloadImages(sessionId, imageUrls, baseUrl = null, concurrency = 5, auth = null) {
     try {
       console.log(`📦 Starting batch download of ${imageUrls.length} images (concurrency: ${concurrency})`);
 
@@ -298,7 +303,7 @@ class ImageDownloader {
       // Process images in batches
       while (queue.length > 0) {
         const batch = queue.splice(0, concurrency);
-        const batchPromises = batch.map(url => this.downloadImage(sessionId, url, baseUrl));
+        const batchPromises = batch.map(url => this.downloadImage(sessionId, url, baseUrl, auth));
         const batchResults = await Promise.allSettled(batchPromises);
 
         for (const result of batchResults) {
@@ -322,6 +327,74 @@ class ImageDownloader {
     }
   }
 
+  /**
+   * Mapping key for an inline SVG - inline icons have no URL, so they are matched
+   * by a hash of the captured outerHTML (the converter derives the same key)
+   * @param {string} outerHTML - Captured svg outerHTML
+   * @returns {string} Pseudo URL used as originalUrl
+   */
+  static inlineSvgKey(outerHTML) {
+    return `inline-svg:${crypto.createHash('md5').update(outerHTML).digest('hex')}`;
+  }
+
+  /**
+   * Strip active content from SVG markup before it is served from our origin
+   * @param {string} markup - SVG markup
+   * @returns {string} Sanitized markup
+   */
+  sanitizeSvg(markup) {
+    const $ = cheerio.load(markup, { xmlMode: true });
+
+    $('script, foreignObject').remove();
+    $('*').each((i, el) => {
+      for (const name of Object.keys(el.attribs || {})) {
+        const value = String(el.attribs[name] || '').trim().toLowerCase();
+        if (name.startsWith('on') || ((name === 'href' || name === 'xlink:href') && value.startsWith('javascript:'))) {
+          $(el).removeAttr(name);
+        }
+      }
+    });
+
+    return $.xml();
+  }
+
+  /**
+   * Save inline SVG icons as session image assets
+   * @param {string} sessionId - Session UUID
+   * @param {Array} svgs - Captured svgs ({outerHTML, markup})
+   * @returns {Array} Saved svg info, keyed like downloaded images
+   */
+  async saveInlineSvgs(sessionId, svgs) {
+    const results = [];
+
+    for (const svg of svgs) {
+      try {
+        if (!svg?.outerHTML) continue;
+
+        const key = ImageDownloader.inlineSvgKey(svg.outerHTML);
+        const buffer = Buffer.from(this.sanitizeSvg(svg.markup || svg.outerHTML), 'utf8');
+        const filename = `icon_${key.slice('inline-svg:'.length, 'inline-svg:'.length + 12)}.svg`;
+
+        const assetInfo = await this.storageManager.saveAsset(sessionId, 'images', filename, buffer);
+
+        results.push({
+          originalUrl: key,
+          absoluteUrl: key,
+          localPath: assetInfo.path,
+          filename: assetInfo.filename,
+          size: assetInfo.size,
+          contentType: 'image/svg+xml',
+          savedAt: assetInfo.savedAt
+        });
+      } catch (error) {
+        console.error('❌ Failed to save inline SVG:', error.message);
+      }
+    }
+
+    console.log(`✅ Saved ${results.length}/${svgs.length} inline SVG icons`);
+    return results;
+  }
+
   /**
    * Rewrite image URLs in HTML to point to local assets
    * @param {string} html - HTML content
@@ -2,16 +2,19 @@ import StorageManager from './storage-manager.js';
 import ImageDownloader from './image-downloader.js';
 import FontDownloader from './font-downloader.js';
 import CSSDownloader from './css-downloader.js';
+import VideoDownloader from './video-downloader.js';
 import CleanupScheduler from './cleanup-scheduler.js';
+import RequestAuth from './request-auth.js';
 
 /**
  * Asset Manager - Central orchestrator for all asset management operations
  * Features:
- * - Coordinates all downloaders (images, fonts, CSS)
+ * - Coordinates all downloaders (images, fonts, CSS, videos)
  * - Session-based asset organization
  * - Automatic cleanup scheduling
  * - Comprehensive asset tracking
  * - URL rewriting for local serving
+ * - Credentialed downloads for authenticated clones (never persisted)
  */
 
 class AssetManager {
@@ -38,6 +41,7 @@ class AssetManager {
 
     this.fontDownloader = new FontDownloader(this.storage);
     this.cssDownloader = new CSSDownloader(this.storage);
+    this.videoDownloader = new VideoDownloader(this.storage);
 
     // Initialize cleanup scheduler
     this.cleanupScheduler = new CleanupScheduler(this.storage, {
@@ -94,9 +98,10 @@ class AssetManager {
    * @param {string} sessionId - Session UUID
    * @param {Object} scrapedData - Data from visual scraper
    * @param {string} baseUrl - Base URL of the webpage
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
    * @returns {Object} Downloaded assets info
    */
-  async downloadAllAssets(sessionId, scrapedData, baseUrl) {
+  async downloadAllAssets(sessionId, scrapedData, baseUrl, auth = null) {
     try {
       console.log(`📦 Starting comprehensive asset download for session ${sessionId}`);
 
@@ -107,6 +112,7 @@ class AssetManager {
         images: [],
         fonts: [],
         css: [],
+        videos: [],
         errors: [],
         summary: {}
       };
@@ -118,17 +124,27 @@ class AssetManager {
       // 1. Download images
       try {
         console.log('🖼️  Downloading images...');
-        const imageUrls = assets.images?.map(img => img.src).filter(Boolean) || [];
+        const imageUrls = [
+          ...(assets.images?.map(img => img.src) || []),
+          // Video poster frames are served like any other image
+          ...(assets.videos?.map(video => video.poster) || [])
+        ].filter(Boolean);
 
         if (imageUrls.length > 0) {
           results.images = await this.imageDownloader.downloadImages(
             sessionId,
             imageUrls,
             baseUrl,
-            this.options.maxConcurrentDownloads
+            this.options.maxConcurrentDownloads,
+            auth
           );
         }
 
+        // Inline SVG icons are saved alongside images
+        if (assets.svgs?.length > 0) {
+          results.images.push(...await this.imageDownloader.saveInlineSvgs(sessionId, assets.svgs));
+        }
+
         console.log(`✅ Downloaded ${results.images.length} images`);
       } catch (error) {
         console.error('❌ Image download failed:', error);
@@ -147,7 +163,8 @@ class AssetManager {
             sessionId,
             cssUrls,
             baseUrl,
-            3 // Lower concurrency for CSS to avoid overwhelming servers
+            3, // Lower concurrency for CSS to avoid overwhelming servers
+            auth
           );
         }
 
@@ -185,7 +202,8 @@ class AssetManager {
             sessionId,
             allFontFaces,
             baseUrl,
-            3
+            3,
+            auth
           );
         }
 
@@ -195,13 +213,31 @@ class AssetManager {
         results.errors.push({ type: 'css_fonts', error: error.message });
       }
 
-      // 3. Generate summary
+      // 3. Download self-hosted videos (embeds like YouTube/Vimeo are skipped)
+      try {
+        console.log('🎬 Downloading videos...');
+        const videoUrls = assets.videos
+          ?.map(video => video.src)
+          ?.filter(url => this.videoDownloader.isSelfHosted(url)) || [];
+
+        if (videoUrls.length > 0) {
+          results.videos = await this.videoDownloader.downloadVideos(sessionId, videoUrls, baseUrl, 2, auth);
+        }
+
+        console.log(`✅ Downloaded ${results.videos.length} videos`);
+      } catch (error) {
+        console.error('❌ Video download failed:', error);
+        results.errors.push({ type: 'videos', error: error.message });
+      }
+
+      // 4. Generate summary
       results.summary = {
         sessionId,
-        totalAssets: results.images.length + results.fonts.length + results.css.length,
+        totalAssets: results.images.length + results.fonts.length + results.css.length + results.videos.length,
         images: results.images.length,
         fonts: results.fonts.length,
         css: results.css.length,
+        videos: results.videos.length,
         errors: results.errors.length,
         downloadedAt: new Date().toISOString()
       };
@@ -291,7 +327,7 @@ class AssetManager {
   /**
    * Get an asset from session
    * @param {string} sessionId - Session UUID
-   * @param {string} assetType - Type of asset (images, fonts, css, other)
+   * @param {string} assetType - Type of asset (images, fonts, css, videos, other)
    * @param {string} filename - Filename
    * @returns {Buffer} Asset data
    */
@@ -299,6 +335,17 @@ class AssetManager {
     return await this.storage.getAsset(sessionId, assetType, filename);
   }
 
+  /**
+   * Get the on-disk path of a session asset
+   * @param {string} sessionId - Session UUID
+   * @param {string} assetType - Type of asset (images, fonts, css, videos, other)
+   * @param {string} filename - Filename
+   * @returns {string|null} Full path or null if not found
+   */
+  async getAssetPath(sessionId, assetType, filename) {
+    return await this.storage.findAssetPath(sessionId, assetType, filename);
+  }
+
   /**
    * Delete a session manually
    * @param {string} sessionId - Session UUID
@@ -354,9 +401,10 @@ class AssetManager {
    * Complete workflow: create session, download assets, rewrite URLs
    * @param {Object} scrapedData - Data from visual scraper
    * @param {string} baseUrl - Base URL of the webpage
+   * @param {Object} options - {credentials: {cookies, basicAuth}} for sites behind a login
    * @returns {Object} {sessionId, assets, rewrittenContent}
    */
-  async processWebpage(scrapedData, baseUrl) {
+  async processWebpage(scrapedData, baseUrl, options = {}) {
     try {
       console.log('🚀 Starting complete asset processing workflow...');
 
@@ -367,7 +415,9 @@ class AssetManager {
       console.log(`📁 Created session: ${sessionId}`);
 
       // Download all assets
-      const downloadedAssets = await this.downloadAllAssets(sessionId, scrapedData, baseUrl);
+      // Credentials only live for this call - they are never written to the session
+      const auth = RequestAuth.from(baseUrl, options.credentials);
+      const downloadedAssets = await this.downloadAllAssets(sessionId, scrapedData, baseUrl, auth);
 
       // Rewrite URLs in scraped content
       const content = {
@@ -396,6 +446,10 @@ class AssetManager {
           css: downloadedAssets.css.map(css => ({
             original: css.originalUrl,
             local: `/api/assets/${sessionId}/css/${css.filename}`
+          })),
+          videos: downloadedAssets.videos.map(video => ({
+            original: video.originalUrl,
+            local: `/api/assets/${sessionId}/videos/${video.filename}`
           }))
         }
       };
@@ -0,0 +1,132 @@
+import { URL } from 'url';
+
+/**
+ * Request Auth - credentials for downloading assets of an authenticated clone
+ * Features:
+ * - Cookies are only sent to the hosts, paths and schemes they are scoped to
+ * - HTTP basic credentials are only sent to the cloned page's origin
+ * - Third-party hosts (CDNs, font services) never receive either
+ * - Held in memory for the duration of a download, never persisted
+ */
+
+class RequestAuth {
+  /**
+   * @param {string} pageUrl - URL of the cloned page
+   * @param {Object} credentials - {cookies, basicAuth} from scrapeOptions
+   */
+  constructor(pageUrl, { cookies = [], basicAuth = null } = {}) {
+    this.pageUrl = new URL(pageUrl);
+    this.cookies = cookies || [];
+    this.basicAuth = basicAuth || null;
+  }
+
+  /**
+   * Build a RequestAuth when a request carries credentials
+   * @param {string} pageUrl - URL of the cloned page
+   * @param {Object} credentials - {cookies, basicAuth}
+   * @returns {RequestAuth|null} Null when there is nothing to send
+   */
+  static from(pageUrl, credentials = {}) {
+    if (!pageUrl || (!credentials?.cookies?.length && !credentials?.basicAuth)) {
+      return null;
+    }
+
+    try {
+      return new RequestAuth(pageUrl, credentials);
+    } catch (error) {
+      console.warn(`⚠️  Ignoring credentials for invalid page URL: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Merge cookie lists - a later list wins for the same name, domain and path
+   * @param {string} pageUrl - URL of the cloned page (host of cookies without a domain)
+   * @param {...Array} lists - Cookie lists, e.g. scrapeOptions.cookies then the session's
+   * @returns {Array} Merged cookies
+   */
+  static mergeCookies(pageUrl, ...lists) {
+    let pageHost = '';
+    try {
+      pageHost = new URL(pageUrl).hostname;
+    } catch {
+      // Domain-less cookies then only merge with each other
+    }
+
+    const merged = new Map();
+    for (const cookie of lists.flat()) {
+      if (!cookie?.name) continue;
+      const domain = (cookie.domain || pageHost).toLowerCase().replace(/^\./, '');
+      merged.set(`${cookie.name}|${domain}|${cookie.path || '/'}`, cookie);
+    }
+    return [...merged.values()];
+  }
+
+  /**
+   * Check whether a cookie is scoped to a URL (RFC 6265 domain/path matching)
+   * @param {Object} cookie - {name, value, domain, path, secure, expires}
+   * @param {URL} url - Request URL
+   * @returns {boolean}
+   */
+  cookieMatches(cookie, url) {
+    const host = url.hostname.toLowerCase();
+
+    // Without a domain the cookie is host-only for the cloned page
+    if (cookie.domain) {
+      const domain = cookie.domain.toLowerCase().replace(/^\./, '');
+      if (host !== domain && !host.endsWith(`.${domain}`)) return false;
+    } else if (host !== this.pageUrl.hostname.toLowerCase()) {
+      return false;
+    }
+
+    const cookiePath = cookie.path || '/';
+    if (url.pathname !== cookiePath && !url.pathname.startsWith(cookiePath.endsWith('/') ? cookiePath : `${cookiePath}/`)) {
+      return false;
+    }
+
+    if (cookie.secure && url.protocol !== 'https:') return false;
+
+    // Session cookies have no expiry (Puppeteer reports -1)
+    if (typeof cookie.expires === 'number' && cookie.expires > 0 && cookie.expires * 1000 < Date.now()) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Axios request config carrying the credentials that apply to a URL
+   * @param {string} url - Absolute asset URL
+   * @returns {Object|undefined} {headers, auth}, or undefined when none apply
+   */
+  requestConfig(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return undefined;
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') return undefined;
+
+    const config = {};
+
+    const cookieHeader = this.cookies
+      .filter(cookie => this.cookieMatches(cookie, target))
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+    if (cookieHeader) {
+      config.headers = { Cookie: cookieHeader };
+    }
+
+    if (this.basicAuth && target.origin === this.pageUrl.origin) {
+      config.auth = {
+        username: this.basicAuth.username,
+        password: this.basicAuth.password
+      };
+    }
+
+    return Object.keys(config).length > 0 ? config : undefined;
+  }
+}
+
+export default RequestAuth;
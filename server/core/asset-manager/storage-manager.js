@@ -1,6 +1,8 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { existsSync } from 'fs';
+import { existsSync, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import crypto from 'crypto';
 import lockfile from 'proper-lockfile';
 
@@ -51,6 +53,7 @@ class StorageManager {
       await fs.mkdir(path.join(sessionPath, 'images'), { recursive: true });
       await fs.mkdir(path.join(sessionPath, 'fonts'), { recursive: true });
       await fs.mkdir(path.join(sessionPath, 'css'), { recursive: true });
+      await fs.mkdir(path.join(sessionPath, 'videos'), { recursive: true });
       await fs.mkdir(path.join(sessionPath, 'other'), { recursive: true });
 
       // Create metadata file
@@ -63,6 +66,7 @@ class StorageManager {
           images: [],
           fonts: [],
           css: [],
+          videos: [],
           other: []
         }
       };
@@ -155,7 +159,7 @@ class StorageManager {
   /**
    * Track a new asset in session metadata
    * @param {string} sessionId - Session UUID
-   * @param {string} assetType - Type of asset (images, fonts, css, other)
+   * @param {string} assetType - Type of asset (images, fonts, css, videos, other)
    * @param {Object} assetInfo - Asset information
    */
   async trackAsset(sessionId, assetType, assetInfo) {
@@ -185,7 +189,7 @@ class StorageManager {
   /**
    * Get path for storing an asset
    * @param {string} sessionId - Session UUID
-   * @param {string} assetType - Type of asset (images, fonts, css, other)
+   * @param {string} assetType - Type of asset (images, fonts, css, videos, other)
    * @param {string} filename - Filename
    * @returns {string} Full path to asset
    */
@@ -228,6 +232,75 @@ class StorageManager {
     }
   }
 
+  /**
+   * Stream an asset to session storage without holding it in memory
+   * The partial file is removed when the stream fails or exceeds maxBytes
+   * @param {string} sessionId - Session UUID
+   * @param {string} assetType - Type of asset
+   * @param {string} filename - Filename
+   * @param {Readable} stream - Source stream
+   * @param {number} maxBytes - Size limit (optional)
+   * @returns {Object} Asset info
+   */
+  async saveAssetStream(sessionId, assetType, filename, stream, maxBytes = Infinity) {
+    const metadata = await this.getSession(sessionId);
+    if (!metadata) {
+      stream.destroy();
+      throw new Error(`Session ${sessionId} not found or expired`);
+    }
+
+    const assetPath = this.getAssetPath(sessionId, assetType, filename);
+    let size = 0;
+
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          callback(new Error(`Asset exceeds ${maxBytes} bytes`));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, counter, createWriteStream(assetPath));
+    } catch (error) {
+      await fs.rm(assetPath, { force: true });
+      console.error(`❌ Failed to save asset ${filename}:`, error.message);
+      throw error;
+    }
+
+    const assetInfo = {
+      filename,
+      path: assetPath,
+      size,
+      savedAt: Date.now()
+    };
+
+    await this.trackAsset(sessionId, assetType, assetInfo);
+
+    console.log(`✅ Asset saved: ${filename} (${assetType}) to session ${sessionId}`);
+    return assetInfo;
+  }
+
+  /**
+   * Path of a stored asset, for serving it straight from disk
+   * @param {string} sessionId - Session UUID
+   * @param {string} assetType - Type of asset
+   * @param {string} filename - Filename
+   * @returns {string|null} Full path or null if not found
+   */
+  async findAssetPath(sessionId, assetType, filename) {
+    const metadata = await this.getSession(sessionId);
+    if (!metadata) {
+      return null;
+    }
+
+    const assetPath = this.getAssetPath(sessionId, assetType, filename);
+    return existsSync(assetPath) ? assetPath : null;
+  }
+
   /**
    * Get asset from session storage
    * @param {string} sessionId - Session UUID
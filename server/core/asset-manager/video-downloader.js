@@ -0,0 +1,187 @@
+import axios from 'axios';
+import axiosRetry from 'axios-retry';
+import path from 'path';
+import crypto from 'crypto';
+import { URL } from 'url';
+
+/**
+ * Video Downloader for self-hosted media
+ * Features:
+ * - Downloads <video> sources (MP4, WebM, Ogg, MOV) into the session
+ * - Skips embeds (YouTube, Vimeo) and stream-only blob: URLs
+ * - Streams straight to disk with a byte limit to keep memory and sessions bounded
+ * - Automatic retries on failure (3 attempts with exponential backoff)
+ */
+
+class VideoDownloader {
+  constructor(storageManager, options = {}) {
+    this.storageManager = storageManager;
+    this.options = {
+      maxRetries: 3,
+      timeout: 120000,
+      maxSizeMB: 100,
+      supportedFormats: ['mp4', 'webm', 'ogg', 'ogv', 'mov', 'm4v'],
+      ...options
+    };
+
+    // Configure axios with retry logic
+    this.client = axios.create({
+      timeout: this.options.timeout,
+      headers: {
+        'User-Agent': 'CloneMentorPro/1.0 (Video Downloader)',
+        'Accept': 'video/mp4,video/webm,video/ogg,video/*;q=0.9,*/*;q=0.5'
+      },
+      maxRedirects: 5,
+      responseType: 'stream'
+    });
+
+    // Configure retry strategy
+    axiosRetry(this.client, {
+      retries: this.options.maxRetries,
+      retryDelay: axiosRetry.exponentialDelay,
+      retryCondition: (error) => {
+        return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
+               (error.response && error.response.status >= 500);
+      },
+      onRetry: (retryCount, error, requestConfig) => {
+        console.log(`🔄 Video retry attempt ${retryCount} for ${requestConfig.url}`);
+      }
+    });
+  }
+
+  /**
+   * Check if a captured video URL points at a downloadable file
+   * @param {string} url - Video URL
+   * @returns {boolean} True for self-hosted video files
+   */
+  isSelfHosted(url) {
+    if (!url || url.startsWith('blob:') || url.startsWith('data:')) return false;
+    if (/youtube\.com|youtube-nocookie\.com|youtu\.be|vimeo\.com/i.test(url)) return false;
+
+    try {
+      const ext = path.extname(new URL(url, 'http://dummy.com').pathname).toLowerCase().replace('.', '');
+      return !ext || this.options.supportedFormats.includes(ext);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Generate safe filename from URL
+   * @param {string} url - Video URL
+   * @param {string} contentType - MIME type
+   * @returns {string} Safe filename
+   */
+  generateFilename(url, contentType = null) {
+    const hash = crypto.createHash('md5').update(url).digest('hex').substring(0, 12);
+
+    try {
+      const originalName = path.basename(new URL(url).pathname);
+      let ext = path.extname(originalName).toLowerCase();
+
+      if (!ext || ext === '.') {
+        const typeMap = {
+          'video/mp4': '.mp4',
+          'video/webm': '.webm',
+          'video/ogg': '.ogv',
+          'video/quicktime': '.mov'
+        };
+        ext = typeMap[contentType] || '.mp4';
+      }
+
+      const cleanName = path.basename(originalName, path.extname(originalName))
+        .replace(/[^a-z0-9._-]/gi, '_')
+        .replace(/_+/g, '_')
+        .substring(0, 50);
+
+      return `${cleanName || 'video'}_${hash}${ext}`;
+    } catch (error) {
+      return `video_${hash}.mp4`;
+    }
+  }
+
+  /**
+   * Download and save a video
+   * @param {string} sessionId - Session UUID
+   * @param {string} videoUrl - Video URL
+   * @param {string} baseUrl - Base URL for resolving relative URLs
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
+   * @returns {Object|null} Downloaded video info
+   */
+  async downloadVideo(sessionId, videoUrl, baseUrl = null, auth = null) {
+    try {
+      let absoluteUrl = videoUrl;
+      if (baseUrl && !videoUrl.startsWith('http')) {
+        absoluteUrl = new URL(videoUrl, baseUrl).href;
+      }
+
+      if (!this.isSelfHosted(absoluteUrl)) {
+        console.log(`⏭️  Skipping non-downloadable video: ${videoUrl}`);
+        return null;
+      }
+
+      console.log(`⬇️  Downloading video: ${absoluteUrl}`);
+      const response = await this.client.get(absoluteUrl, auth?.requestConfig(absoluteUrl));
+
+      const maxBytes = this.options.maxSizeMB * 1024 * 1024;
+      const declaredSize = parseInt(response.headers['content-length'], 10);
+      if (declaredSize > maxBytes) {
+        response.data.destroy();
+        throw new Error(`Video is ${declaredSize} bytes, over the ${this.options.maxSizeMB}MB limit`);
+      }
+
+      const contentType = response.headers['content-type'] || 'video/mp4';
+      const filename = this.generateFilename(absoluteUrl, contentType);
+
+      // Content-Length can be missing or wrong, so the limit is also enforced while streaming
+      const assetInfo = await this.storageManager.saveAssetStream(sessionId, 'videos', filename, response.data, maxBytes);
+
+      console.log(`✅ Downloaded video: ${absoluteUrl} (${contentType}, ${assetInfo.size} bytes)`);
+
+      return {
+        originalUrl: videoUrl,
+        absoluteUrl,
+        localPath: assetInfo.path,
+        filename: assetInfo.filename,
+        size: assetInfo.size,
+        contentType,
+        savedAt: assetInfo.savedAt
+      };
+    } catch (error) {
+      console.error(`❌ Failed to download video ${videoUrl}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download multiple videos (sequential batches - videos are large)
+   * @param {string} sessionId - Session UUID
+   * @param {Array} videoUrls - Array of video URLs
+   * @param {string} baseUrl - Base URL for resolving relative URLs
+   * @param {number} concurrency - Max concurrent downloads
+   * @param {RequestAuth} auth - Credentials for protected assets (optional)
+   * @returns {Array} Downloaded videos info
+   */
+  async downloadVideos(sessionId, videoUrls, baseUrl = null, concurrency = 2, auth = null) {
+    const results = [];
+    const queue = [...new Set(videoUrls)];
+
+    while (queue.length > 0) {
+      const batch = queue.splice(0, concurrency);
+      const batchResults = await Promise.allSettled(
+        batch.map(url => this.downloadVideo(sessionId, url, baseUrl, auth))
+      );
+
+      for (const result of batchResults) {
+        if (result.status === 'fulfilled' && result.value) {
+          results.push(result.value);
+        }
+      }
+    }
+
+    console.log(`✅ Video download complete: ${results.length}/${videoUrls.length}`);
+    return results;
+  }
+}
+
+export default VideoDownloader;
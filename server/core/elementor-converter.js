@@ -1,5 +1,9 @@
 import VisualWebScraper from './visual-scraper.js';
+import ElementorKitExporter from './elementor-kit-exporter.js';
 import * as cheerio from 'cheerio';
+import * as csstree from 'css-tree';
+import AdmZip from 'adm-zip';
+import crypto from 'crypto';
 
 class ElementorConverter {
   constructor() {
@@ -14,15 +18,152 @@ class ElementorConverter {
       typography_line_height: { size: 1.5, unit: 'em' },
       text_color: '#333333'
     };
+
+    // Settings Elementor accepts per-device (_tablet / _mobile suffixes)
+    this.RESPONSIVE_SETTING_KEYS = [
+      'typography_font_size', 'typography_line_height', 'align',
+      '_margin', '_padding', 'width', 'height', '_inline_size',
+      'flex_direction', 'flex_wrap', 'flex_justify_content', 'flex_align_items', 'flex_gap',
+      'padding', 'margin'
+    ];
+
+    // Table add-on widgets selectable with the tableWidget export option. Header
+    // cells fill the header repeater; body rows are a 'row' marker entry followed
+    // by one 'col' entry per cell (the layout Essential Addons' Data Table uses).
+    // A mapping object of the same shape can be passed instead of a name.
+    this.TABLE_WIDGET_MAPPINGS = {
+      'eael-data-table': {
+        widgetType: 'eael-data-table',
+        header: { key: 'eael_data_table_header_cols_data', text: 'eael_data_table_header_col', colspan: 'eael_data_table_header_col_span' },
+        rows: {
+          key: 'eael_data_table_content_rows',
+          type: 'eael_data_table_content_row_type',
+          text: 'eael_data_table_content_row_title',
+          colspan: 'eael_data_table_content_row_colspan',
+          rowspan: 'eael_data_table_content_row_rowspan',
+          extra: { eael_data_table_content_type: 'textarea' }
+        }
+      }
+    };
+
+    // Captured properties no Elementor control receives, with the computed values
+    // that mean "browser default". Anything else is carried over as custom CSS.
+    this.UNMAPPED_STYLE_DEFAULTS = {
+      fontStyle: ['normal'],
+      textDecoration: ['none'],
+      textTransform: ['none'],
+      letterSpacing: ['normal', '0px'],
+      wordSpacing: ['normal', '0px'],
+      textShadow: ['none'],
+      textOverflow: ['clip'],
+      whiteSpace: ['normal'],
+      wordBreak: ['normal'],
+      verticalAlign: ['baseline'],
+      opacity: ['1'],
+      filter: ['none'],
+      backdropFilter: ['none'],
+      mixBlendMode: ['normal'],
+      clipPath: ['none'],
+      transform: ['none'],
+      transition: ['none'],
+      animation: ['none'],
+      overflow: ['visible', 'visible visible'],
+      zIndex: ['auto'],
+      float: ['none'],
+      clear: ['none'],
+      cursor: ['auto'],
+      objectFit: ['fill'],
+      objectPosition: ['50% 50%'],
+      // Elementor elements are already position: relative - see getUnmappedDeclarations
+      position: ['static'],
+      gridArea: ['auto', 'auto / auto / auto / auto'],
+      gridColumn: ['auto', 'auto / auto'],
+      gridRow: ['auto', 'auto / auto'],
+      gridTemplateRows: ['none'],
+      alignSelf: ['auto', 'normal'],
+      flexGrow: ['0'],
+      flexShrink: ['1'],
+      flexBasis: ['auto'],
+      order: ['0'],
+      overflowX: ['visible'],
+      overflowY: ['visible']
+    };
+
+    // Longhands left out when their shorthand is already written
+    this.UNMAPPED_STYLE_SHORTHANDS = {
+      gridColumn: 'gridArea',
+      gridRow: 'gridArea',
+      overflowX: 'overflow',
+      overflowY: 'overflow'
+    };
+
+    // Captured properties Elementor settings reproduce (geometry, layout, spacing,
+    // background, border, typography); anything captured that is neither here nor
+    // in UNMAPPED_STYLE_DEFAULTS is reported as dropped
+    this.MAPPED_STYLE_PROPERTIES = [
+      'x', 'y', 'width', 'height', 'top', 'left', 'right', 'bottom', 'inset',
+      'display', 'flexDirection', 'flexWrap', 'justifyContent', 'alignItems', 'gap', 'rowGap', 'columnGap',
+      'gridTemplateColumns', 'flex', 'margin', 'padding',
+      'backgroundColor', 'backgroundImage', 'backgroundSize', 'backgroundPosition', 'backgroundRepeat', 'backgroundAttachment',
+      'borderRadius', 'boxShadow', 'border', 'borderCollapse', 'borderSides',
+      'fontSize', 'fontFamily', 'fontWeight', 'lineHeight', 'textAlign', 'color',
+      'visibility', 'listStyleType', 'listStyleImage', 'transformOrigin'
+    ];
+
+    // User-agent defaults that differ per tag
+    this.UNMAPPED_STYLE_TAG_DEFAULTS = {
+      a: { textDecoration: ['underline'], cursor: ['pointer'] },
+      button: { cursor: ['pointer', 'default'] },
+      em: { fontStyle: ['italic'] },
+      i: { fontStyle: ['italic'] },
+      cite: { fontStyle: ['italic'] },
+      pre: { whiteSpace: ['pre'] },
+      sub: { verticalAlign: ['sub'] },
+      sup: { verticalAlign: ['super'] },
+      td: { verticalAlign: ['middle'] },
+      th: { verticalAlign: ['middle'] },
+      img: { overflow: ['clip', 'clip clip'], overflowX: ['clip'], overflowY: ['clip'] },
+      video: { overflow: ['clip', 'clip clip'], overflowX: ['clip'], overflowY: ['clip'] },
+      iframe: { overflow: ['clip', 'clip clip'], overflowX: ['clip'], overflowY: ['clip'] }
+    };
+
+    // Inherited properties are only written where they change from the parent
+    this.INHERITED_STYLE_PROPERTIES = [
+      'fontStyle', 'textTransform', 'letterSpacing', 'wordSpacing', 'textShadow',
+      'whiteSpace', 'wordBreak', 'cursor'
+    ];
   }
 
-  generateElementId() {
+  /**
+   * Generate a stable 8-char element ID from the source node's DOM path and content,
+   * so re-cloning an unchanged page yields the same IDs. Collisions are rehashed
+   * with a counter in generation order; calls without a node fall back to a sequence.
+   * @param {object|null} element - Captured node the element is built from
+   * @param {string} role - Distinguishes elements built from the same node (section/column, repeater items...)
+   * @returns {string} ID matching ^[a-z0-9]{8}$
+   */
+  generateElementId(element = null, role = '') {
     const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
-    for (let i = 0; i < 8; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    this._usedIds ||= new Set();
+
+    const key = element ? this.getNodeKey(element) || '' : '';
+    const content = element
+      ? [element.tagName, element.className, String(element.allTextContent || element.textContent || '').trim().slice(0, 500)]
+        .map(part => typeof part === 'string' ? part : '').join('|')
+      : '';
+    const seed = key || content ? `${key}|${content}|${role}` : `#${this._idSequence = (this._idSequence || 0) + 1}|${role}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const digest = crypto.createHash('sha1').update(attempt ? `${seed}|${attempt}` : seed).digest();
+      let result = '';
+      for (let i = 0; i < 8; i++) {
+        result += chars.charAt(digest[i] % chars.length);
+      }
+      if (!this._usedIds.has(result)) {
+        this._usedIds.add(result);
+        return result;
+      }
     }
-    return result;
   }
 
   /**
@@ -126,12 +267,35 @@ class ElementorConverter {
     return hasNavClass || hasNavUrl;
   }
 
-  async convertVisualToElementor(visualData, verificationReport, assetMapping = null) {
+  async convertVisualToElementor(visualData, verificationReport, assetMapping = null, options = {}) {
     console.log(' ElementorConverter.convertVisualToElementor called with comprehensive data');
 
     // Clear image cache for new page
     this.clearImageCache();
 
+    // Element IDs are unique per template
+    this._usedIds = new Set();
+    this._idSequence = 0;
+
+    // Per-export options (target Elementor edition, ...) and collected WordPress menus
+    this.exportOptions = { elementorPro: false, ...options };
+    this.menus = [];
+    this.themeParts = [];
+    this.assets = visualData.assets || {};
+
+    // Page markup/CSS for raw HTML regions (parsed lazily) and the regions the export names
+    this.pageHtml = visualData.visualStructure?.completeHTML || '';
+    this.pageStyles = visualData.visualStructure?.styles || '';
+    this._pageDocument = undefined;
+    this._pageStylesAst = undefined;
+    this.rawHtmlPaths = this.resolveRawHtmlSelectors(this.pageHtml, this.exportOptions.rawHtmlSelectors);
+
+    // Accordions/toggles/tabs and carousels read by the scraper, matched to nodes by DOM path
+    this.interactiveComponents = this.indexInteractiveComponents(visualData.components);
+
+    // Captured node each built element came from, for the unmapped style pass
+    this._styleSources = new WeakMap();
+
     // Store asset mapping for URL rewriting with validation
     try {
       this.assetMapping = this.validateAssetMapping(assetMapping) || {};
@@ -146,14 +310,33 @@ class ElementorConverter {
     }
     
     // Use the structure from IR if available, otherwise fallback to simple template
-    const irStructure = visualData.visualStructure?.structure;
+    const capturedStructure = visualData.visualStructure?.structure;
     const completeHTML = visualData.visualStructure?.completeHTML || '';
+
+    // Index tablet/mobile captures so nodes can get per-device settings
+    this.indexResponsiveLayouts(visualData.responsiveLayouts, capturedStructure);
+
+    // Overlay divs over background images become background overlays, not content
+    const irStructure = capturedStructure ? this.extractOverlayLayers(capturedStructure) : capturedStructure;
+
+    // Repeated sibling cards convert to composite widgets with shared styling
+    this.cardPatterns = irStructure ? this.detectRepeatedCards(irStructure) : null;
     
     let template;
     
     if (irStructure && this.hasValidContent(irStructure)) {
+      // Site header/footer become Theme Builder templates of their own when requested
+      let pageStructure = irStructure;
+      if (this.exportOptions.splitHeaderFooter) {
+        const parts = Object.entries(this.findThemeParts(irStructure)).filter(([, node]) => node);
+        if (parts.length > 0) {
+          pageStructure = this.withoutNodes(irStructure, new Set(parts.map(([, node]) => node)));
+          this.themeParts = parts.map(([type, node]) => ({ type, template: this.buildThemePartTemplate(node, type, visualData, options) }));
+        }
+      }
+
       // Build comprehensive template from captured structure
-      template = this.buildComprehensiveTemplate(irStructure, visualData);
+      template = this.buildComprehensiveTemplate(pageStructure, visualData, options);
     } else {
       // Fallback to simple template
       template = this.buildSimpleTemplate(visualData);
@@ -163,17 +346,25 @@ class ElementorConverter {
     return template;
   }
   
-  buildComprehensiveTemplate(structure, visualData) {
+  buildComprehensiveTemplate(structure, visualData, options = {}) {
     // Convert the captured structure to Elementor format
-    const elementorContent = this.convertStructureToElementor(structure);
-    
+    // Container layout emits Flexbox Containers (Elementor 3.6+) instead of section → column
+    const elementorContent = options.layout === 'container'
+      ? this.convertStructureToContainers(structure)
+      : this.convertStructureToElementor(structure);
+
+    // Computed styles no control took are written as element or page custom CSS
+    const unmappedStyles = this.applyUnmappedStyles(elementorContent);
+
     return {
       version: "0.4",
       title: visualData.pageInfo?.title || 'Cloned Page',
       type: "page",
       content: elementorContent,
       page_settings: {
-        template: 'elementor_canvas'
+        // Canvas hides the theme header/footer, which is where split-off Theme Builder parts render
+        template: this.themeParts.length > 0 ? 'elementor_header_footer' : 'elementor_canvas',
+        ...(unmappedStyles.css && { custom_css: unmappedStyles.css })
       },
       metadata: {
         created_at: new Date().toISOString(),
@@ -182,11 +373,92 @@ class ElementorConverter {
         elementor_version: '3.16.0',
         fidelity_score: visualData.verification?.fidelityScore || 0,
         elements_count: this.countElementsInStructure(structure),
-        sections_count: this.countSectionsInStructure(structure)
+        sections_count: this.countSectionsInStructure(structure),
+        ...(this.menus?.length > 0 && { menus: this.menus }),
+        unmapped_styles: unmappedStyles.report
       }
     };
   }
   
+  // ==================== THEME BUILDER PARTS ====================
+
+  /**
+   * Find the site header and footer: the first <header> / role="banner" and the
+   * last <footer> / role="contentinfo" outside main content (article and section
+   * headers stay in the page)
+   * @param {object} structure - Captured DOM structure
+   * @returns {object} {header, footer} nodes (null when missing)
+   */
+  findThemeParts(structure) {
+    const contentTags = ['main', 'article', 'section', 'aside', 'dialog'];
+    const matches = (node, tag, role, className) => node.tagName === tag ||
+      (node.attributes?.role || node.attributes?.allAttributes?.role) === role ||
+      new RegExp(`(^|\\s)${className}(\\s|$)`).test(typeof node.className === 'string' ? node.className : '');
+    const parts = { header: null, footer: null };
+
+    const traverse = (node, depth = 0) => {
+      if (!node || depth > 50) return;
+      for (const child of node.children || []) {
+        if (matches(child, 'header', 'banner', 'site-header')) {
+          parts.header ||= child;
+        } else if (matches(child, 'footer', 'contentinfo', 'site-footer')) {
+          parts.footer = child;
+        } else if (!contentTags.includes(child.tagName)) {
+          traverse(child, depth + 1);
+        }
+      }
+    };
+
+    traverse(structure);
+
+    // A page whose only header sits at the bottom has no site header
+    if (parts.header && parts.header === parts.footer) parts.footer = null;
+    return parts;
+  }
+
+  /**
+   * Copy a captured tree without some of its nodes (ancestors are copied, the rest shared)
+   * @param {object} node - Captured node
+   * @param {Set} removed - Nodes to leave out
+   * @returns {object} Node copy
+   */
+  withoutNodes(node, removed) {
+    const contains = (candidate) => removed.has(candidate) ||
+      this.findDescendants(candidate, child => removed.has(child), true).length > 0;
+    if (!(node.children || []).some(contains)) return node;
+
+    return {
+      ...node,
+      children: node.children
+        .filter(child => !removed.has(child))
+        .map(child => this.withoutNodes(child, removed))
+    };
+  }
+
+  /**
+   * Build a header or footer Theme Builder template from its captured node
+   * @param {object} node - Captured <header>/<footer>
+   * @param {string} type - 'header' or 'footer'
+   * @param {object} visualData - Page capture
+   * @param {object} options - Conversion options
+   * @returns {object} Elementor template of the given type
+   */
+  buildThemePartTemplate(node, type, visualData, options = {}) {
+    const template = this.buildComprehensiveTemplate(node, visualData, options);
+    const pageTitle = visualData.pageInfo?.title || 'Cloned Page';
+
+    console.log(`🧱 Extracted site ${type} (${template.content.length} top-level elements)`);
+    return {
+      ...template,
+      title: `${pageTitle} ${type === 'header' ? 'Header' : 'Footer'}`,
+      type,
+      // Theme parts render inside the site layout, not on a blank canvas
+      page_settings: Object.fromEntries(Object.entries(template.page_settings).filter(([key]) => key !== 'template'))
+    };
+  }
+
+  // ==================== END THEME BUILDER PARTS ====================
+
   buildSimpleTemplate(visualData) {
     // Simple fallback template
     return {
@@ -271,6 +543,7 @@ class ElementorConverter {
 
         images.push({
           tagName: 'img',
+          domPath: this.getNodeKey(el),
           attributes: el.attributes || {},
           layout: el.layout || {},
           textContent: el.textContent || '',
@@ -316,7 +589,8 @@ class ElementorConverter {
       sessionId: assetMapping.sessionId || null,
       images: [],
       fonts: [],
-      css: []
+      css: [],
+      videos: []
     };
 
     // Validate images
@@ -354,6 +628,15 @@ class ElementorConverter {
       );
     }
 
+    // Validate videos (optional)
+    if (Array.isArray(assetMapping.videos)) {
+      validated.videos = assetMapping.videos.filter(video =>
+        video.originalUrl && video.localUrl &&
+        typeof video.originalUrl === 'string' &&
+        typeof video.localUrl === 'string'
+      );
+    }
+
     return validated;
   }
 
@@ -630,484 +913,3631 @@ class ElementorConverter {
 
   // ==================== END CENTRALIZED STYLING ====================
 
+  /**
+   * Convert captured structure to legacy section → column → widget trees
+   * Nesting is preserved down to the depth Elementor allows:
+   * - the page root and wrappers that hold semantic sections (header, main, section...) are unwrapped into sibling sections
+   * - a row (flex row / grid with 2-10 children) inside a column becomes an inner section
+   * - structure below an inner section's columns is hoisted into that column in document order
+   * @param {object} structure - Root of the captured DOM structure
+   * @returns {Array} Top-level section elements
+   */
   convertStructureToElementor(structure) {
     if (!structure) return [];
 
-    const convertElement = (element, parentType = null) => {
-      if (!element) return null;
-
-      const { tagName, layout, children, textContent, innerHTML, attributes } = element;
-
-      // Determine Elementor element type (pass parent type for better context)
-      const elementType = this.determineElementorElementType(element, parentType);
-
-      switch (elementType) {
-        case 'section':
-          // FIRST: Extract all images from this section's tree
-          const sectionImages = this.extractAllImages(element);
-
-          // Sections must contain columns
-          const sectionChildren = children?.map(child => convertElement(child, 'section')).filter(Boolean) || [];
-          const columns = sectionChildren.length > 0 ? sectionChildren : [
-            {
-              id: this.generateElementId(),
-              elType: 'column',
-              settings: this.buildColumnSettings(element),
-              elements: [this.applyElementStyles({
-                id: this.generateElementId(),
-                elType: 'widget',
-                widgetType: 'text-editor',
-                settings: {
-                  editor: element.textContent || element.innerHTML || 'Edit this text in Elementor',
-                  align: 'left',
-                  ...this.DEFAULT_TEXT_STYLING  // Add default styling for fallback widgets
-                },
-                elements: []
-              }, element)]
-            }
-          ];
-
-          // ADD: Convert extracted images to widgets and inject into first column
-          if (sectionImages.length > 0 && columns.length > 0) {
-            const imageWidgets = sectionImages.map(img => this.buildWidget(img));
-            // Add images to the first column
-            if (columns[0] && columns[0].elements) {
-              columns[0].elements.push(...imageWidgets);
-            }
-          }
-
-          return {
-            id: this.generateElementId(),
-            elType: 'section',
-            settings: this.buildSectionSettings(element),
-            elements: columns.map(child => {
-              // Ensure all section children are columns
-              if (child && child.elType !== 'column') {
-                return {
-                  id: this.generateElementId(),
-                  elType: 'column',
-                  settings: this.buildColumnSettings(element),
-                  elements: [child.elType === 'widget' ? child : this.applyElementStyles({
-                    id: this.generateElementId(),
-                    elType: 'widget',
-                    widgetType: 'text-editor',
-                    settings: {
-                      editor: child.textContent || child.innerHTML || 'Edit this text in Elementor',
-                      align: 'left',
-                      ...this.DEFAULT_TEXT_STYLING  // Add default styling for fallback widgets
-                    },
-                    elements: []
-                  }, child)]
-                };
-              }
-              return child;
-            }).filter(Boolean)
-          };
-          
-        case 'column':
-          const columnElements = children?.map(child => convertElement(child, 'column')).filter(Boolean) || [];
-          // Ensure all column elements are widgets
-          const widgetElements = columnElements.map(child => {
-            if (child && child.elType !== 'widget') {
-              // Convert non-widget elements to proper widgets
-              return this.applyElementStyles({
-                id: this.generateElementId(),
-                elType: 'widget',
-                widgetType: 'text-editor',
-                settings: {
-                  editor: child.textContent || child.innerHTML || 'Edit this text in Elementor',
-                  align: 'left',
-                  ...this.DEFAULT_TEXT_STYLING  // Add default styling for fallback widgets
-                },
-                elements: []
-              }, child);
-            }
-            return child;
-          }).filter(Boolean);
-
-          // If no valid elements, create a default text widget
-          const finalElements = widgetElements.length > 0 ? widgetElements : [this.applyElementStyles({
-            id: this.generateElementId(),
-            elType: 'widget',
-            widgetType: 'text-editor',
-            settings: {
-              editor: element.textContent || element.innerHTML || 'Edit this text in Elementor',
-              align: 'left',
-              ...this.DEFAULT_TEXT_STYLING  // Add default styling for fallback widgets
-            },
-            elements: []
-          }, element)];
-
-          return {
-            id: this.generateElementId(),
-            elType: 'column',
-            settings: this.buildColumnSettings(element),
-            elements: finalElements
-          };
-          
-        case 'widget':
-          return this.buildWidget(element);
+    const sections = this.collectLegacySections(structure, null);
 
-        default:
-          return null;
-      }
-    };
-    
-    // Ensure we always have a valid structure
-    const rootElement = convertElement(structure);
-    
-    if (!rootElement) {
+    if (sections.length === 0) {
       // Fallback: create a basic section with default content
       return [{
-        id: this.generateElementId(),
-        elType: 'section',
-        settings: this.buildSectionSettings(structure),
-        elements: [{
-          id: this.generateElementId(),
-          elType: 'column',
-          settings: this.buildColumnSettings(structure),
-          elements: [this.applyElementStyles({
-            id: this.generateElementId(),
-            elType: 'widget',
-            widgetType: 'text-editor',
-            settings: {
-              editor: structure?.textContent || 'Edit this text in Elementor',
-              align: 'left',
-              ...this.DEFAULT_TEXT_STYLING  // Add default styling for fallback widgets
-            },
-            elements: []
-          }, structure)]
-        }]
-      }];
-    }
-    
-    // If the root element is not a section, wrap it in a section
-    if (rootElement.elType !== 'section') {
-      return [{
-        id: this.generateElementId(),
+        id: this.generateElementId(structure, 'section'),
         elType: 'section',
         settings: this.buildSectionSettings(structure),
         elements: [{
-          id: this.generateElementId(),
+          id: this.generateElementId(structure, 'column'),
           elType: 'column',
           settings: this.buildColumnSettings(structure),
-          elements: [rootElement]
+          elements: [this.buildFallbackTextWidget(structure)]
         }]
       }];
     }
-    
-    return [rootElement].filter(Boolean);
+
+    return sections;
   }
-  
-  determineElementorElementType(element, parentType = null) {
-    const { tagName, layout, children } = element;
 
-    // PRIORITY 1: Section logic - major layout containers
-    // These MUST be checked FIRST before content tags
-    if (tagName === 'body' || tagName === 'section' || tagName === 'header' || tagName === 'footer' ||
-        tagName === 'main' || tagName === 'article' || tagName === 'aside') {
-      return 'section';
+  /**
+   * Split a captured subtree into top-level sections
+   * @param {object} element - Captured node
+   * @param {object|null} parentElement - Captured parent node
+   * @returns {Array} Section elements
+   */
+  collectLegacySections(element, parentElement) {
+    if (!element) return [];
+
+    const children = element.children || [];
+    const isSectionNode = (child) => this.determineElementorElementType(child, null) === 'section';
+    const isSingleWrapper = children.length === 1 && this.isStructuralNode(children[0]) &&
+      !(element.textContent || '').trim();
+    // Every structural child of the page itself is a section of its own
+    const isPageRoot = !parentElement && (element.tagName === 'body' || element.tagName === 'html');
+    const startsSection = (child) => isSectionNode(child) || isSingleWrapper ||
+      (isPageRoot && this.isStructuralNode(child));
+
+    if (!children.some(startsSection)) {
+      return [this.buildLegacySection(element, parentElement)];
     }
 
-    // PRIORITY 2: Column logic - containers with children or flexbox/grid layout
-    // Check for structural containers BEFORE treating as widgets
-    if (tagName === 'div' || tagName === 'nav') {
-      // If parent is a section, this is likely a column
-      if (parentType === 'section') {
-        return 'column';
-      }
-      // Containers with children become columns
-      if (children && children.length > 0) {
-        // Check if children are mostly content widgets (not structural)
-        const contentTagCount = children.filter(c => {
-          const childTag = c.tagName || '';
-          return ['p', 'span', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'img', 'button', 'input', 'textarea', 'label', 'strong', 'em', 'i', 'b', 'u', 'small', 'mark', 'del', 'ins', 'sub', 'sup', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'].includes(childTag);
-        }).length;
-        
-        // If most children are content widgets, this is a column
-        if (contentTagCount > 0 && contentTagCount >= children.length * 0.5) {
-          return 'column';
-        }
-        
-        // If it has structural children (div, section, etc.), it's a column
-        const structuralChildren = children.filter(c => {
-          const childTag = c.tagName || '';
-          return ['div', 'section', 'header', 'footer', 'main', 'article', 'aside', 'nav'].includes(childTag);
-        });
-        if (structuralChildren.length > 0) {
-          return 'column';
-        }
+    // Unwrap: semantic sections become siblings, loose content between them is grouped
+    const sections = [];
+    let pending = [];
+    const flush = () => {
+      if (pending.length > 0) {
+        sections.push(this.buildLegacySection({ ...element, children: pending }, parentElement));
+        pending = [];
       }
-      // Containers with flexbox/grid layout become columns
-      if (layout && (layout.display === 'flex' || layout.display === 'grid')) {
-        return 'column';
-      }
-      // Large containers (likely layout containers) become columns
-      if (layout && layout.width && parseInt(layout.width) > 200) {
-        return 'column';
-      }
-    }
+    };
 
-    // PRIORITY 3: Content tags - ONLY checked after section/column logic
-    // These are always widgets, never structural containers
-    const contentTags = ['p', 'span', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'img', 'button', 'input', 'textarea', 'label', 'strong', 'em', 'i', 'b', 'u', 'small', 'mark', 'del', 'ins', 'sub', 'sup', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'];
-    if (contentTags.includes(tagName)) {
-      return 'widget';
+    for (const child of children) {
+      if (startsSection(child)) {
+        flush();
+        sections.push(...this.collectLegacySections(child, element));
+      } else {
+        pending.push(child);
+      }
     }
+    flush();
 
-    // PRIORITY 4: Default fallback for unknown tags
-    return 'widget';
+    return sections;
   }
-  
-  hasValidContent(structure) {
-    if (!structure) return false;
-    
-    const hasText = structure.textContent && structure.textContent.trim().length > 0;
-    const hasChildren = structure.children && structure.children.length > 0;
-    const hasImages = structure.tagName === 'img' || 
-                     (structure.attributes && structure.attributes.src);
-    
-    return hasText || hasChildren || hasImages;
+
+  /**
+   * Build a top-level section from a captured node
+   * @param {object} element - Captured node
+   * @param {object|null} parentElement - Captured parent node
+   * @returns {object} Section element
+   */
+  buildLegacySection(element, parentElement) {
+    const row = this.findRowContainer(element);
+    const columns = row
+      ? row.children.map(child => this.buildLegacyColumn(child, row, false))
+      : [this.buildLegacyColumn(element, null, false, true)];
+
+    return this.applyResponsiveSettings({
+      id: this.generateElementId(element, 'section'),
+      elType: 'section',
+      settings: this.buildSectionSettings(element),
+      elements: columns
+    }, element, parentElement);
   }
-  
-  countElementsInStructure(structure) {
-    if (!structure) return 0;
-    
-    let count = 1; // Count this element
-    
-    if (structure.children) {
-      structure.children.forEach(child => {
-        count += this.countElementsInStructure(child);
-      });
+
+  /**
+   * Build a column from a captured node
+   * @param {object} element - Captured node the column represents
+   * @param {object|null} row - Captured row the column sits in (null when stacked)
+   * @param {boolean} inner - Whether the column belongs to an inner section
+   * @param {boolean} contentOnly - Use only the node's children (the node itself is the section)
+   * @returns {object} Column element
+   */
+  buildLegacyColumn(element, row, inner, contentOnly = false) {
+    const content = contentOnly || this.isStructuralNode(element)
+      ? this.convertColumnContent(element.children || [], inner)
+      : [this.buildWidget(element)];
+
+    // Text-only containers keep their copy instead of an empty column
+    if (content.length === 0) {
+      content.push((element.textContent || '').trim()
+        ? this.buildWidget({ ...element, tagName: 'p', children: [] })
+        : this.buildFallbackTextWidget(element));
     }
-    
-    return count;
+
+    const settings = this.buildColumnSettings(element, row);
+
+    return this.applyResponsiveSettings({
+      id: this.generateElementId(element, 'column'),
+      elType: 'column',
+      settings,
+      elements: content
+    }, element, row);
   }
-  
-  countSectionsInStructure(structure) {
-    if (!structure) return 0;
-    
-    let count = structure.tagName === 'section' ? 1 : 0;
-    
-    if (structure.children) {
-      structure.children.forEach(child => {
-        count += this.countSectionsInStructure(child);
-      });
+
+  /**
+   * Convert the children of a column into widgets and inner sections
+   * @param {Array} children - Captured child nodes
+   * @param {boolean} inner - Whether the column belongs to an inner section (no further nesting)
+   * @returns {Array} Widget and inner section elements
+   */
+  convertColumnContent(children, inner) {
+    const elements = [];
+
+    for (const child of children) {
+      if (!child) continue;
+
+      if (!this.isStructuralNode(child)) {
+        elements.push(this.buildWidget(child));
+        continue;
+      }
+
+      const row = inner ? null : this.findRowContainer(child);
+      if (row) {
+        elements.push(this.applyResponsiveSettings({
+          id: this.generateElementId(child, 'section'),
+          elType: 'section',
+          isInner: true,
+          settings: this.buildSectionSettings(child),
+          elements: row.children.map(rowChild => this.buildLegacyColumn(rowChild, row, true))
+        }, child));
+        continue;
+      }
+
+      // Stacked wrappers and anything below an inner section are hoisted in document order
+      if ((child.children || []).length > 0) {
+        elements.push(...this.convertColumnContent(child.children, inner));
+      } else if ((child.textContent || '').trim()) {
+        elements.push(this.buildWidget({ ...child, tagName: 'p' }));
+      }
     }
-    
-    return count;
+
+    return elements;
   }
 
-  // IR conversion method - single source of truth for both preview and export
-  async toIR(input) {
-    console.log("�� ElementorConverter.toIR called");
-    let visualData;
-    if (typeof input === 'string') {
-      const src = String(input || '').trim();
-      if (!src) throw new Error('Empty source');
-      // Treat as HTML if it looks like markup
-      const looksLikeHtml = src.startsWith('<') || src.includes('<html');
-      if (looksLikeHtml) {
-        visualData = {
-          url: '',
-          pageInfo: { title: 'From HTML' },
-          visualStructure: { completeHTML: src, structure: null, styles: '' },
-          responsiveLayouts: {},
-          assets: { images: [], fonts: [], colors: [], gradients: [], videos: [], forms: [], buttons: [], links: [], stylesheets: [], scripts: [] },
-          timestamp: new Date().toISOString()
-        };
-      } else {
-        // Assume URL - scrape to build visual data
-        const scraper = new VisualWebScraper();
-        try {
-          visualData = await scraper.scrapeVisualLayout(src);
-        } finally {
-          await scraper.close().catch(() => {});
-        }
+  /**
+   * Check if a captured node is a layout container rather than content
+   * @param {object} element - Captured node
+   * @returns {boolean} True for section/column-like nodes
+   */
+  isStructuralNode(element) {
+    if (!element) return false;
+    return this.determineElementorElementType(element, 'column') !== 'widget';
+  }
+
+  /**
+   * Find the node whose children form a row of columns, descending through single-child wrappers
+   * (section > .container > .row > .col is common markup)
+   * @param {object} element - Captured node
+   * @returns {object|null} Row node or null when the content is stacked
+   */
+  findRowContainer(element) {
+    let current = element;
+
+    for (let depth = 0; current && depth < 10; depth++) {
+      const children = current.children || [];
+      const layout = current.layout || {};
+      const isFlexRow = (layout.display === 'flex' || layout.display === 'inline-flex') &&
+        !String(layout.flexDirection || 'row').startsWith('column');
+      const isGrid = layout.display === 'grid' || layout.display === 'inline-grid';
+
+      if ((isFlexRow || isGrid) && children.length >= 2 && children.length <= 10) {
+        return current;
       }
-    } else {
-      // Assume already visualData shape
-      visualData = input || {};
-    }
 
-    // Create comprehensive IR that includes all captured data
-    const ir = {
-      html: visualData.visualStructure?.completeHTML || '',
-      inlineStyledHTML: visualData.visualStructure?.inlineStyledHTML || visualData.visualStructure?.completeHTML || '',  // ENHANCED: Inline styled HTML for accurate preview
-      structure: visualData.visualStructure?.structure || null,
-      styles: visualData.visualStructure?.styles || '',
-      responsiveLayouts: visualData.responsiveLayouts || {},
-      assets: visualData.assets || {
-        images: [], fonts: [], colors: [], gradients: [], videos: [], forms: [], buttons: [], links: [], stylesheets: [], scripts: []
-      },
-      pageInfo: visualData.pageInfo || {
-        title: '', description: '', favicon: null, charset: '', lang: '', viewport: ''
+      if (children.length === 1 && this.isStructuralNode(children[0]) && !(current.textContent || '').trim()) {
+        current = children[0];
+        continue;
+      }
+
+      return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fallback text widget for nodes with nothing convertible
+   * @param {object} element - Captured node
+   * @returns {object} Text editor widget
+   */
+  buildFallbackTextWidget(element) {
+    return this.applyElementStyles({
+      id: this.generateElementId(element, 'fallback'),
+      elType: 'widget',
+      widgetType: 'text-editor',
+      settings: {
+        editor: element?.textContent || element?.innerHTML || 'Edit this text in Elementor',
+        align: 'left',
+        ...this.DEFAULT_TEXT_STYLING  // Add default styling for fallback widgets
       },
-      source: { url: visualData.url || '', timestamp: visualData.timestamp || new Date().toISOString() },
-      metadata: { processedAt: new Date().toISOString(), converterVersion: '1.0', elementorCompatible: true }
+      elements: []
+    }, element);
+  }
+
+  /**
+   * Convert captured structure to nested Flexbox Containers (Elementor 3.6+)
+   * Containers nest without a depth limit - every structural node becomes
+   * a container and content nodes become widgets inside it
+   * @param {object} structure - Root of the captured DOM structure
+   * @returns {Array} Top-level container elements
+   */
+  convertStructureToContainers(structure) {
+    if (!structure) return [];
+
+    const convertNode = (element, parent = null) => {
+      if (!element) return null;
+
+      const elementType = this.determineElementorElementType(element, parent ? 'container' : null);
+
+      if (elementType === 'widget') {
+        return this.buildWidget(element);
+      }
+
+      const childElements = (element.children || [])
+        .map(child => convertNode(child, element))
+        .filter(Boolean);
+
+      // Text-only containers keep their copy as a widget instead of disappearing
+      if (childElements.length === 0 && (element.textContent || '').trim()) {
+        childElements.push(this.buildWidget({ ...element, tagName: 'p', children: [] }));
+      }
+
+      return this.applyResponsiveSettings({
+        id: this.generateElementId(element, 'container'),
+        elType: 'container',
+        isInner: !!parent,
+        settings: this.buildContainerSettings(element, parent),
+        elements: childElements
+      }, element, parent);
+    };
+
+    const wrapInContainer = (node, element) => ({
+      id: this.generateElementId(element, 'wrapper'),
+      elType: 'container',
+      isInner: false,
+      settings: this.buildContainerSettings(element, null),
+      elements: [node]
+    });
+
+    // body/html are page wrappers - their children are the top-level containers
+    const isPageRoot = structure.tagName === 'body' || structure.tagName === 'html';
+    const topLevel = isPageRoot ? (structure.children || []) : [structure];
+
+    const content = topLevel.map(element => {
+      const node = convertNode(element, null);
+      if (!node) return null;
+      return node.elType === 'container' ? node : wrapInContainer(node, element);
+    }).filter(Boolean);
+
+    if (content.length === 0) {
+      return [wrapInContainer(this.applyElementStyles({
+        id: this.generateElementId(structure, 'fallback'),
+        elType: 'widget',
+        widgetType: 'text-editor',
+        settings: {
+          editor: structure.textContent || 'Edit this text in Elementor',
+          align: 'left',
+          ...this.DEFAULT_TEXT_STYLING
+        },
+        elements: []
+      }, structure), structure)];
+    }
+
+    return content;
+  }
+
+  /**
+   * Build Flexbox Container settings from a captured node's layout
+   * @param {object} element - Captured node
+   * @param {object|null} parent - Captured parent node (null for top-level containers)
+   * @returns {object} Container settings
+   */
+  buildContainerSettings(element, parent = null) {
+    const layout = element?.layout || {};
+    const isFlex = layout.display === 'flex' || layout.display === 'inline-flex';
+    const isGrid = layout.display === 'grid' || layout.display === 'inline-grid';
+
+    const settings = {
+      container_type: 'flex',
+      content_width: parent ? 'full' : 'boxed',
+      flex_direction: isFlex ? (layout.flexDirection || 'row') : (isGrid ? 'row' : 'column'),
+      flex_wrap: isGrid || (isFlex && layout.flexWrap === 'wrap') ? 'wrap' : 'nowrap',
+      flex_justify_content: isFlex || isGrid ? this.mapFlexJustify(layout.justifyContent) : '',
+      flex_align_items: isFlex || isGrid ? this.mapFlexAlign(layout.alignItems) : '',
+      flex_gap: this.parseGap(layout),
+      ...this.buildBackgroundSettings(element),
+      margin: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false },
+      padding: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false }
+    };
+
+    if (layout.padding && typeof layout.padding === 'object') {
+      settings.padding = {
+        unit: 'px',
+        top: parseInt(layout.padding.top) || '',
+        right: parseInt(layout.padding.right) || '',
+        bottom: parseInt(layout.padding.bottom) || '',
+        left: parseInt(layout.padding.left) || '',
+        isLinked: false
+      };
+    }
+
+    // Children of a row keep their share of the parent's width
+    const percent = this.getColumnWidthPercent(element, parent);
+    if (percent !== null) {
+      settings.width = { unit: '%', size: percent };
+    }
+
+    return settings;
+  }
+
+  /**
+   * Width of a node as a percentage of its parent, when the parent lays children out in a row
+   * @param {object} element - Captured node
+   * @param {object|null} parent - Captured parent node
+   * @returns {number|null} Percentage (1-100) or null when the parent stacks its children
+   */
+  getColumnWidthPercent(element, parent = null) {
+    const parentLayout = parent?.layout || {};
+    const parentIsRow = (parentLayout.display === 'flex' || parentLayout.display === 'inline-flex')
+      ? !String(parentLayout.flexDirection || 'row').startsWith('column')
+      : (parentLayout.display === 'grid' || parentLayout.display === 'inline-grid');
+    const parentWidth = parseFloat(parentLayout.width) || 0;
+    const width = parseFloat(element?.layout?.width) || 0;
+
+    if (!parentIsRow || parentWidth <= 0 || width <= 0) {
+      return null;
+    }
+
+    return Math.min(100, Math.max(1, Math.round((width / parentWidth) * 100)));
+  }
+
+  // ==================== RESPONSIVE SETTINGS ====================
+
+  /**
+   * Index tablet and mobile captures by DOM path so desktop nodes can be matched
+   * @param {object} responsiveLayouts - {desktop, tablet, mobile} captures from VisualWebScraper
+   * @param {object} desktopStructure - Structure the template is built from
+   */
+  indexResponsiveLayouts(responsiveLayouts, desktopStructure) {
+    this.responsiveNodes = null;
+    this._nodePaths = new WeakMap();
+
+    const devices = ['tablet', 'mobile'].filter(device => responsiveLayouts?.[device]?.structure);
+    if (!desktopStructure || devices.length === 0) {
+      return;
+    }
+
+    // Older captures have no domPath - fall back to the index path within the captured tree
+    const index = (node, path, map) => {
+      if (!node) return;
+      const key = node.domPath || path;
+      this._nodePaths.set(node, key);
+      if (map) map.set(key, node);
+      (node.children || []).forEach((child, i) => index(child, `${path}/${child?.tagName}[${i}]`, map));
+    };
+
+    index(desktopStructure, 'body', null);
+
+    this.responsiveNodes = {};
+    for (const device of devices) {
+      this.responsiveNodes[device] = new Map();
+      index(responsiveLayouts[device].structure, 'body', this.responsiveNodes[device]);
+    }
+  }
+
+  /**
+   * Get the key a node is matched by across breakpoints
+   * @param {object} element - Captured node
+   * @returns {string|null} DOM path key
+   */
+  getNodeKey(element) {
+    if (!element) return null;
+    return element.domPath || this._nodePaths?.get(element) || null;
+  }
+
+  /**
+   * Check if a captured layout is not rendered at its breakpoint
+   * @param {object} layout - Captured layout
+   * @returns {boolean} True if hidden
+   */
+  isHiddenLayout(layout) {
+    if (!layout) return false;
+    return layout.display === 'none' || layout.visibility === 'hidden' ||
+      (Number(layout.width) === 0 && Number(layout.height) === 0);
+  }
+
+  /**
+   * Write Elementor _tablet / _mobile variants for settings that differ between captures
+   * Mobile is compared against the effective tablet value, matching Elementor's cascade
+   * @param {object} node - Elementor element (section, column, container or widget)
+   * @param {object} element - Desktop captured node the element was built from
+   * @param {object|null} parent - Desktop captured parent node
+   * @returns {object} The same Elementor element
+   */
+  applyResponsiveSettings(node, element, parent = null) {
+    // Every built element passes through here - remember its source for applyUnmappedStyles
+    if (node && element) this._styleSources?.set(node, element);
+
+    if (!this.responsiveNodes || !node?.settings || !element) {
+      return node;
+    }
+
+    const key = this.getNodeKey(element);
+    if (!key) return node;
+
+    const settingsFor = (el, parentEl, previous) => {
+      switch (node.elType) {
+        case 'widget':
+          return this.applyElementStyles({ widgetType: node.widgetType, settings: {} }, el).settings;
+        case 'container': {
+          const settings = this.buildContainerSettings(el, parentEl);
+          if (!settings.width && previous.width) {
+            settings.width = { unit: '%', size: 100 };
+          }
+          return settings;
+        }
+        case 'column': {
+          // Stacked columns take the full width once the desktop row breaks
+          const percent = this.getColumnWidthPercent(el, parentEl);
+          return { _inline_size: percent ?? (previous._inline_size != null ? 100 : null) };
+        }
+        default:
+          return {};
+      }
+    };
+
+    if (this.isHiddenLayout(element.layout)) {
+      node.settings.hide_desktop = 'hidden-desktop';
+    }
+
+    let previous = settingsFor(element, parent, {});
+    for (const device of Object.keys(this.responsiveNodes)) {
+      const deviceNodes = this.responsiveNodes[device];
+      const deviceElement = deviceNodes.get(key);
+
+      if (!deviceElement || this.isHiddenLayout(deviceElement.layout)) {
+        node.settings[`hide_${device}`] = `hidden-${device}`;
+        continue;
+      }
+
+      const deviceParent = parent ? deviceNodes.get(this.getNodeKey(parent)) || null : null;
+      const deviceSettings = settingsFor(deviceElement, deviceParent, previous);
+
+      for (const settingKey of this.RESPONSIVE_SETTING_KEYS) {
+        if (!(settingKey in deviceSettings)) continue;
+        if (JSON.stringify(deviceSettings[settingKey]) !== JSON.stringify(previous[settingKey])) {
+          node.settings[`${settingKey}_${device}`] = deviceSettings[settingKey];
+        }
+      }
+
+      previous = { ...previous, ...deviceSettings };
+    }
+
+    return node;
+  }
+
+  // ==================== END RESPONSIVE SETTINGS ====================
+
+  /**
+   * Map CSS justify-content to Elementor's flex_justify_content choices
+   * @param {string} value - Computed justify-content
+   * @returns {string} Elementor value or '' for default
+   */
+  mapFlexJustify(value) {
+    const map = {
+      'flex-start': 'flex-start',
+      'start': 'flex-start',
+      'left': 'flex-start',
+      'center': 'center',
+      'flex-end': 'flex-end',
+      'end': 'flex-end',
+      'right': 'flex-end',
+      'space-between': 'space-between',
+      'space-around': 'space-around',
+      'space-evenly': 'space-evenly'
+    };
+    return map[String(value || '').trim()] || '';
+  }
+
+  /**
+   * Map CSS align-items to Elementor's flex_align_items choices
+   * @param {string} value - Computed align-items
+   * @returns {string} Elementor value or '' for default
+   */
+  mapFlexAlign(value) {
+    const map = {
+      'flex-start': 'flex-start',
+      'start': 'flex-start',
+      'center': 'center',
+      'flex-end': 'flex-end',
+      'end': 'flex-end',
+      'stretch': 'stretch'
+    };
+    return map[String(value || '').trim()] || '';
+  }
+
+  /**
+   * Helper: Parse CSS gap ("20px" or "10px 20px") into Elementor's flex_gap control
+   * @param {object} layout - Captured layout with gap/rowGap/columnGap
+   * @returns {object} - {unit, size, column, row, isLinked}
+   */
+  parseGap(layout = {}) {
+    const parts = String(layout.gap || '').trim().split(/\s+/);
+    const row = parseInt(layout.rowGap) || parseInt(parts[0]) || 0;
+    const column = parseInt(layout.columnGap) || parseInt(parts[1] ?? parts[0]) || 0;
+
+    return {
+      unit: 'px',
+      size: column,
+      column: String(column),
+      row: String(row),
+      isLinked: row === column
+    };
+  }
+
+  determineElementorElementType(element, parentType = null) {
+    const { tagName, layout, children } = element;
+
+    // PRIORITY 0: Recognized components (menus, ...) convert as a single widget
+    if (this.detectCompositeWidget(element)) {
+      return 'widget';
+    }
+
+    // Lists and wrappers holding repeated cards are layout, not a text blob
+    if (this.cardPatterns && (children || []).some(child => this.cardPatterns.has(child))) {
+      return ['body', 'section', 'header', 'footer', 'main', 'article', 'aside'].includes(tagName) ? 'section' : 'column';
+    }
+
+    // PRIORITY 1: Section logic - major layout containers
+    // These MUST be checked FIRST before content tags
+    if (tagName === 'body' || tagName === 'section' || tagName === 'header' || tagName === 'footer' ||
+        tagName === 'main' || tagName === 'article' || tagName === 'aside') {
+      return 'section';
+    }
+
+    // PRIORITY 2: Column logic - containers with children or flexbox/grid layout
+    // Check for structural containers BEFORE treating as widgets
+    if (tagName === 'div' || tagName === 'nav') {
+      // If parent is a section, this is likely a column
+      if (parentType === 'section') {
+        return 'column';
+      }
+      // Containers with children become columns
+      if (children && children.length > 0) {
+        // Check if children are mostly content widgets (not structural)
+        const contentTagCount = children.filter(c => {
+          const childTag = c.tagName || '';
+          return ['p', 'span', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'img', 'button', 'input', 'textarea', 'label', 'strong', 'em', 'i', 'b', 'u', 'small', 'mark', 'del', 'ins', 'sub', 'sup', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'].includes(childTag);
+        }).length;
+        
+        // If most children are content widgets, this is a column
+        if (contentTagCount > 0 && contentTagCount >= children.length * 0.5) {
+          return 'column';
+        }
+        
+        // If it has structural children (div, section, etc.), it's a column
+        const structuralChildren = children.filter(c => {
+          const childTag = c.tagName || '';
+          return ['div', 'section', 'header', 'footer', 'main', 'article', 'aside', 'nav'].includes(childTag);
+        });
+        if (structuralChildren.length > 0) {
+          return 'column';
+        }
+      }
+      // Containers with flexbox/grid layout become columns
+      if (layout && (layout.display === 'flex' || layout.display === 'grid')) {
+        return 'column';
+      }
+      // Large containers (likely layout containers) become columns
+      if (layout && layout.width && parseInt(layout.width) > 200) {
+        return 'column';
+      }
+    }
+
+    // Open shadow roots and same-origin frames were captured as children - they
+    // convert like any other wrapper
+    if ((element.shadowRoot || element.frame) && children && children.length > 0) {
+      return 'column';
+    }
+
+    // PRIORITY 3: Content tags - ONLY checked after section/column logic
+    // These are always widgets, never structural containers
+    const contentTags = ['p', 'span', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'img', 'button', 'input', 'textarea', 'label', 'strong', 'em', 'i', 'b', 'u', 'small', 'mark', 'del', 'ins', 'sub', 'sup', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li'];
+    if (contentTags.includes(tagName)) {
+      return 'widget';
+    }
+
+    // PRIORITY 4: Default fallback for unknown tags
+    return 'widget';
+  }
+  
+  hasValidContent(structure) {
+    if (!structure) return false;
+    
+    const hasText = structure.textContent && structure.textContent.trim().length > 0;
+    const hasChildren = structure.children && structure.children.length > 0;
+    const hasImages = structure.tagName === 'img' || 
+                     (structure.attributes && structure.attributes.src);
+    
+    return hasText || hasChildren || hasImages;
+  }
+  
+  countElementsInStructure(structure) {
+    if (!structure) return 0;
+    
+    let count = 1; // Count this element
+    
+    if (structure.children) {
+      structure.children.forEach(child => {
+        count += this.countElementsInStructure(child);
+      });
+    }
+    
+    return count;
+  }
+  
+  countSectionsInStructure(structure) {
+    if (!structure) return 0;
+    
+    let count = structure.tagName === 'section' ? 1 : 0;
+    
+    if (structure.children) {
+      structure.children.forEach(child => {
+        count += this.countSectionsInStructure(child);
+      });
+    }
+    
+    return count;
+  }
+
+  // IR conversion method - single source of truth for both preview and export
+  /**
+   * Build the intermediate representation from a URL, an HTML string or captured visual data
+   * @param {string|object} input - URL, markup or visualData
+   * @param {object} options - {scrapeOptions} passed to VisualWebScraper.scrapeVisualLayout for URLs,
+   *   {onSessionCookies} receives an authenticated capture's cookies (kept out of the IR)
+   * @returns {object} IR
+   */
+  async toIR(input, options = {}) {
+    console.log("�� ElementorConverter.toIR called");
+    let visualData;
+    if (typeof input === 'string') {
+      const src = String(input || '').trim();
+      if (!src) throw new Error('Empty source');
+      // Treat as HTML if it looks like markup
+      const looksLikeHtml = src.startsWith('<') || src.includes('<html');
+      if (looksLikeHtml) {
+        visualData = {
+          url: '',
+          pageInfo: { title: 'From HTML' },
+          visualStructure: { completeHTML: src, structure: null, styles: '' },
+          responsiveLayouts: {},
+          assets: { images: [], fonts: [], colors: [], gradients: [], videos: [], forms: [], buttons: [], links: [], stylesheets: [], scripts: [] },
+          timestamp: new Date().toISOString()
+        };
+      } else {
+        // Assume URL - scrape to build visual data
+        const scraper = new VisualWebScraper();
+        try {
+          visualData = await scraper.scrapeVisualLayout(src, undefined, options.scrapeOptions || {});
+          if (scraper.sessionCookies) {
+            options.onSessionCookies?.(scraper.sessionCookies);
+          }
+        } finally {
+          await scraper.close().catch(() => {});
+        }
+      }
+    } else {
+      // Assume already visualData shape
+      visualData = input || {};
+    }
+
+    // Create comprehensive IR that includes all captured data
+    const ir = {
+      html: visualData.visualStructure?.completeHTML || '',
+      inlineStyledHTML: visualData.visualStructure?.inlineStyledHTML || visualData.visualStructure?.completeHTML || '',  // ENHANCED: Inline styled HTML for accurate preview
+      structure: visualData.visualStructure?.structure || null,
+      styles: visualData.visualStructure?.styles || '',
+      responsiveLayouts: visualData.responsiveLayouts || {},
+      assets: visualData.assets || {
+        images: [], fonts: [], colors: [], gradients: [], videos: [], forms: [], buttons: [], links: [], stylesheets: [], scripts: []
+      },
+      components: visualData.components || [],
+      // What the pre-capture cleanup removed (consent banners, chat widgets, excludeSelectors)
+      overlays: visualData.overlays || { removed: [], scrollRestored: false },
+      // Lazy-load scroll report - budgetExhausted means content below scrolledTo may be missing
+      lazyLoad: visualData.lazyLoad || null,
+      // Shadow roots and same-origin frames captured inline; cross-origin frames as embeds {src, box}
+      frames: visualData.responsiveLayouts?.desktop?.frames || { shadowRoots: 0, sameOrigin: 0, embeds: [], styles: [] },
+      pageInfo: visualData.pageInfo || {
+        title: '', description: '', favicon: null, charset: '', lang: '', viewport: ''
+      },
+      source: { url: visualData.url || '', timestamp: visualData.timestamp || new Date().toISOString() },
+      metadata: { processedAt: new Date().toISOString(), converterVersion: '1.0', elementorCompatible: true }
+    };
+
+    console.log("✅ Comprehensive IR generated successfully");
+    return ir;
+  }
+  
+  // Legacy shim for buildIntermediateRepresentation
+  async buildIntermediateRepresentation(html) {
+    console.log("🔍 Legacy buildIntermediateRepresentation called - using toIR");
+    return this.toIR(html);
+  }
+  
+  // Export template method
+  async exportTemplate(ir, mode = "template", assetMapping = null, options = {}) {
+    console.log("🔍 ElementorConverter.exportTemplate called with mode:", mode);
+
+    // CRITICAL FIX: Get structure from responsiveLayouts.desktop.structure, not ir.structure
+    const desktopStructure = ir.responsiveLayouts?.desktop?.structure || ir.structure || null;
+
+    if (!this.isValidTableWidgetOption(options.tableWidget)) {
+      throw new Error(`Unknown tableWidget "${options.tableWidget}" - use 'html', one of ${Object.keys(this.TABLE_WIDGET_MAPPINGS).join(', ')} or a mapping object`);
+    }
+
+    const template = await this.convertVisualToElementor({
+      visualStructure: {
+        completeHTML: ir.html,
+        structure: desktopStructure,
+        styles: ir.styles || ''
+      },
+      pageInfo: ir.pageInfo || {},
+      assets: ir.assets || [],
+      components: ir.components || [],
+      responsiveLayouts: ir.responsiveLayouts || {}
+    }, {}, assetMapping, {
+      layout: mode === "container" ? "container" : "section",
+      elementorPro: !!options.elementorPro,
+      tableWidget: options.tableWidget || 'html',
+      rawHtmlSelectors: options.rawHtmlSelectors || [],
+      rawHtmlThreshold: options.rawHtmlThreshold ?? 0.5,
+      splitHeaderFooter: !!options.splitHeaderFooter
+    });
+    const themeParts = this.themeParts || [];
+
+    if ((mode === "template" || mode === "container") && themeParts.length > 0) {
+      // Page, header and footer as separate templates - Elementor's template import takes the zip as is
+      const zip = new AdmZip();
+      zip.addFile('page.json', Buffer.from(JSON.stringify(template, null, 2)));
+      for (const part of themeParts) {
+        zip.addFile(`${part.type}.json`, Buffer.from(JSON.stringify(part.template, null, 2)));
+      }
+      const bytes = zip.toBuffer();
+      return {
+        bytes,
+        kind: "zip",
+        templates: [template, ...themeParts.map(part => part.template)],
+        report: {
+          isValid: true,
+          mode,
+          size: bytes.length,
+          themeParts: themeParts.map(part => part.type),
+          unmappedStyles: template.metadata?.unmapped_styles
+        }
+      };
+    } else if (mode === "template" || mode === "container") {
+      const bytes = Buffer.from(JSON.stringify(template, null, 2));
+      return {
+        bytes,
+        kind: "json",
+        report: {
+          isValid: true,
+          mode,
+          size: bytes.length,
+          unmappedStyles: template.metadata?.unmapped_styles
+        }
+      };
+    } else if (mode === "kit") {
+      const exporter = new ElementorKitExporter();
+      const { bytes, report } = await exporter.build(template, ir, {
+        assetManager: options.assetManager,
+        sessionId: assetMapping?.sessionId,
+        themeParts
+      });
+      return {
+        bytes,
+        kind: "zip",
+        report: {
+          isValid: true,
+          mode: "kit",
+          size: bytes.length,
+          unmappedStyles: template.metadata?.unmapped_styles,
+          ...report
+        }
+      };
+    } else {
+      throw new Error("Invalid mode");
+    }
+  }
+
+  async counts(ir) {
+    try {
+      if (ir && ir.structure) {
+        const countRecursive = (node) => {
+          if (!node) return { sections: 0, elements: 0, images: 0 };
+          let sections = node.tagName === 'section' ? 1 : 0;
+          let images = node.tagName === 'img' || (node.attributes && node.attributes.src) ? 1 : 0;
+          let elements = 1;
+          if (Array.isArray(node.children)) {
+            for (const c of node.children) {
+              const sub = countRecursive(c);
+              sections += sub.sections;
+              images += sub.images;
+              elements += sub.elements;
+            }
+          }
+          return { sections, elements, images };
+        };
+        return countRecursive(ir.structure);
+      }
+      const $ = cheerio.load(ir?.html || '');
+      return {
+        sections: $('section').length,
+        elements: $('body *').length,
+        images: $('img').length
+      };
+    } catch (_e) {
+      return { sections: 0, elements: 0, images: 0 };
+    }
+  }
+
+  // Generate unique ID for Elementor elements
+  generateId() {
+    return Math.random().toString(36).substr(2, 8);
+  }
+
+  // Added missing methods for proper Elementor conversion
+  buildSectionSettings(element) {
+    return {
+      _element_width: "",
+      _element_width_tablet: "",
+      _element_width_mobile: "",
+      _element_custom_width: null,
+      _element_vertical_align: null,
+      ...this.buildBackgroundSettings(element),
+      _border_border: "",
+      _border_width: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
+      _border_color: "",
+      _border_radius: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
+      _box_shadow_box_shadow_type: "",
+      _margin: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false },
+      _padding: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false }
+    };
+  }
+
+  /**
+   * Column settings; a column inside a row keeps its share of the row's width
+   * @param {object} element - Captured node
+   * @param {object|null} row - Captured parent row
+   */
+  buildColumnSettings(element, row = null) {
+    const percent = this.getColumnWidthPercent(element, row);
+
+    return {
+      _column_size: percent ?? 100,
+      _inline_size: percent,
+      ...this.buildBackgroundSettings(element),
+      _border_border: "",
+      _border_width: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
+      _border_color: "",
+      _border_radius: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
+      _margin: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false },
+      _padding: { unit: "px", top: "20", right: "20", bottom: "20", left: "20", isLinked: true }
+    };
+  }
+
+  // ==================== BACKGROUNDS ====================
+
+  /**
+   * Split a CSS list on top-level commas (commas inside rgb()/url() are kept)
+   * @param {string} value - CSS value
+   * @returns {Array} Trimmed parts
+   */
+  splitCssList(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of String(value || '')) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) parts.push(current.trim());
+
+    return parts;
+  }
+
+  /**
+   * Alpha channel of a computed color
+   * @param {string} color - rgb()/rgba() color
+   * @returns {number} 0-1 (1 when unparseable)
+   */
+  getColorAlpha(color) {
+    const value = String(color || '').trim();
+    if (value === 'transparent') return 0;
+
+    const match = value.match(/^rgba?\((.+)\)$/);
+    if (!match) return 1;
+
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+    return parts.length >= 4 ? parseFloat(parts[3]) : 1;
+  }
+
+  /**
+   * Parse a computed linear/radial gradient
+   * Elementor gradients have two color stops - the first and last stop are kept
+   * @param {string} value - e.g. "linear-gradient(135deg, rgb(255, 0, 0) 0%, rgb(0, 0, 255) 100%)"
+   * @returns {object|null} { type, angle, position, stops: [{color, position}] }
+   */
+  parseCssGradient(value) {
+    const match = String(value || '').trim().match(/^(?:repeating-)?(linear|radial)-gradient\((.*)\)$/s);
+    if (!match) return null;
+
+    const [, type, body] = match;
+    const args = this.splitCssList(body);
+    const isColorStop = (arg) => /^(rgba?|hsla?)\(|^#|^transparent\b/i.test(arg) ||
+      (/^[a-z]+(\s+[\d.]+%)?$/i.test(arg) && !/^(to|circle|ellipse|closest|farthest|at)\b/i.test(arg));
+
+    let angle = 180;
+    let position = 'center center';
+
+    if (args.length > 0 && !isColorStop(args[0])) {
+      const shape = args.shift();
+
+      if (type === 'linear') {
+        const degrees = shape.match(/^(-?[\d.]+)(deg|turn|rad)$/);
+        if (degrees) {
+          const size = parseFloat(degrees[1]);
+          angle = degrees[2] === 'turn' ? size * 360 : degrees[2] === 'rad' ? size * 180 / Math.PI : size;
+        } else {
+          const directions = {
+            'to top': 0, 'to right': 90, 'to bottom': 180, 'to left': 270,
+            'to top right': 45, 'to right top': 45, 'to bottom right': 135, 'to right bottom': 135,
+            'to bottom left': 225, 'to left bottom': 225, 'to top left': 315, 'to left top': 315
+          };
+          angle = directions[shape.toLowerCase()] ?? 180;
+        }
+      } else {
+        const at = shape.match(/\bat\s+(.+)$/);
+        if (at) position = this.mapBackgroundPosition(at[1]).position || 'center center';
+      }
+    }
+
+    const stops = args.map((arg, index) => {
+      // The color may contain spaces (rgb(0, 0, 0)), the stop position is the trailing token
+      const stop = arg.match(/^(.*?)\s+(-?[\d.]+)(%|px)?$/);
+      const color = stop ? stop[1] : arg;
+      const fallback = args.length > 1 ? Math.round(index / (args.length - 1) * 100) : 0;
+      return { color: color.trim(), position: stop && stop[3] !== 'px' ? parseFloat(stop[2]) : fallback };
+    }).filter(stop => stop.color);
+
+    if (stops.length === 0) return null;
+
+    return { type, angle: Math.round(((angle % 360) + 360) % 360), position, stops };
+  }
+
+  /**
+   * Gradient settings under an Elementor background prefix (background / background_overlay)
+   * @param {object} gradient - Parsed gradient
+   * @param {string} prefix - Setting prefix
+   * @returns {object} Settings
+   */
+  buildGradientSettings(gradient, prefix) {
+    const first = gradient.stops[0];
+    const last = gradient.stops[gradient.stops.length - 1];
+
+    return {
+      [`${prefix}_background`]: 'gradient',
+      [`${prefix}_color`]: first.color,
+      [`${prefix}_color_stop`]: { unit: '%', size: first.position },
+      [`${prefix}_color_b`]: last.color,
+      [`${prefix}_color_b_stop`]: { unit: '%', size: last === first ? 100 : last.position },
+      [`${prefix}_gradient_type`]: gradient.type,
+      ...(gradient.type === 'linear'
+        ? { [`${prefix}_gradient_angle`]: { unit: 'deg', size: gradient.angle } }
+        : { [`${prefix}_gradient_position`]: gradient.position })
+    };
+  }
+
+  /**
+   * Map a computed background-position to Elementor's choices
+   * @param {string} value - e.g. "50% 0%" or "center top"
+   * @returns {object} { position } or { position: 'initial', xpos, ypos } for custom offsets
+   */
+  mapBackgroundPosition(value) {
+    const tokens = String(value || '').trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return {};
+
+    const keywords = { left: '0%', top: '0%', center: '50%', right: '100%', bottom: '100%' };
+    let [x, y = '50%'] = tokens;
+    // Keyword order may be "top left"
+    if (['top', 'bottom'].includes(x) || ['left', 'right'].includes(y)) [x, y] = [y, x];
+    x = keywords[x] || x;
+    y = keywords[y] || y;
+
+    const xNames = { '0%': 'left', '50%': 'center', '100%': 'right' };
+    const yNames = { '0%': 'top', '50%': 'center', '100%': 'bottom' };
+
+    if (xNames[x] && yNames[y]) {
+      return { position: `${yNames[y]} ${xNames[x]}` };
+    }
+
+    const toSlider = (token) => ({ unit: token.endsWith('%') ? '%' : 'px', size: parseFloat(token) || 0 });
+    return { position: 'initial', xpos: toSlider(x), ypos: toSlider(y) };
+  }
+
+  /**
+   * Check if a captured child is an empty, absolutely positioned, semi-transparent layer
+   * covering its parent - the usual markup for an overlay on a hero image
+   * @param {object} child - Captured node
+   * @param {object} parent - Captured parent node
+   * @returns {boolean} True for overlay layers
+   */
+  isOverlayLayer(child, parent) {
+    const layout = child?.layout || {};
+    const parentLayout = parent?.layout || {};
+
+    if (!['absolute', 'fixed'].includes(layout.position)) return false;
+    if ((child.children || []).length > 0 || (child.allTextContent || child.textContent || '').trim()) return false;
+
+    const covers = (size, parentSize) => parseFloat(parentSize) > 0 && parseFloat(size) >= parseFloat(parentSize) * 0.9;
+    if (!covers(layout.width, parentLayout.width) || !covers(layout.height, parentLayout.height)) return false;
+
+    return this.isSemiTransparentLayer(layout);
+  }
+
+  /**
+   * Check if a layer tints rather than hides what is under it
+   * @param {object} layer - {backgroundColor, backgroundImage, opacity}
+   * @returns {boolean} True when the layer is see-through
+   */
+  isSemiTransparentLayer(layer) {
+    if (!layer || String(layer.backgroundImage || '').includes('url(')) return false;
+
+    const opacity = layer.opacity === undefined ? 1 : parseFloat(layer.opacity);
+    const gradient = this.parseCssGradient(this.splitCssList(layer.backgroundImage)[0]);
+    const alpha = gradient
+      ? Math.max(...gradient.stops.map(stop => this.getColorAlpha(stop.color)))
+      : this.getColorAlpha(layer.backgroundColor);
+
+    return alpha > 0 && alpha * opacity < 1;
+  }
+
+  /**
+   * Fold overlay child layers into their parent's layout.overlay (same shape the scraper
+   * records for ::before/::after overlays) so they are not converted as content
+   * @param {object} element - Captured node
+   * @returns {object} Copy of the subtree without overlay layers
+   */
+  extractOverlayLayers(element) {
+    if (!element || typeof element !== 'object') return element;
+
+    const layout = element.layout || {};
+    const hasImage = String(layout.backgroundImage || '').includes('url(');
+    let overlay = layout.overlay || null;
+    const children = [];
+
+    for (const child of element.children || []) {
+      if (hasImage && !overlay && this.isOverlayLayer(child, element)) {
+        overlay = {
+          backgroundColor: child.layout.backgroundColor,
+          backgroundImage: child.layout.backgroundImage,
+          opacity: child.layout.opacity,
+          source: 'element'
+        };
+        continue;
+      }
+      children.push(this.extractOverlayLayers(child));
+    }
+
+    return {
+      ...element,
+      ...(element.layout && { layout: overlay ? { ...layout, overlay } : layout }),
+      children
+    };
+  }
+
+  /**
+   * Background settings for sections, columns and containers
+   * - url() layers → classic image (rewritten through the asset mapping) with size/position/repeat
+   * - gradient layers → gradient background
+   * - a semi-transparent layer over an image → background_overlay_*
+   * @param {object} element - Captured node
+   * @returns {object} Elementor background settings
+   */
+  buildBackgroundSettings(element) {
+    const layout = element?.layout || {};
+    const color = layout.backgroundColor && this.getColorAlpha(layout.backgroundColor) > 0 ? layout.backgroundColor : '';
+    const layers = layout.backgroundImage && layout.backgroundImage !== 'none' ? this.splitCssList(layout.backgroundImage) : [];
+    const imageIndex = layers.findIndex(layer => layer.startsWith('url('));
+
+    if (imageIndex === -1) {
+      const gradient = layers.map(layer => this.parseCssGradient(layer)).find(Boolean);
+      if (gradient) return this.buildGradientSettings(gradient, 'background');
+
+      return {
+        background_background: color ? 'classic' : '',
+        background_color: color
+      };
+    }
+
+    // Size, position and repeat are per-layer lists, aligned with background-image
+    const layerValue = (value, fallback) => {
+      const values = this.splitCssList(value);
+      return values[imageIndex] ?? values[values.length - 1] ?? fallback;
+    };
+
+    const url = layers[imageIndex].match(/^url\(["']?(.*?)["']?\)$/)?.[1] || '';
+    const size = layerValue(layout.backgroundSize, 'auto');
+    const repeat = layerValue(layout.backgroundRepeat, 'repeat');
+    const repeatMap = {
+      'repeat': 'repeat', 'repeat repeat': 'repeat', 'no-repeat': 'no-repeat', 'no-repeat no-repeat': 'no-repeat',
+      'repeat-x': 'repeat-x', 'repeat no-repeat': 'repeat-x', 'repeat-y': 'repeat-y', 'no-repeat repeat': 'repeat-y'
+    };
+    const position = this.mapBackgroundPosition(layerValue(layout.backgroundPosition, '0% 0%'));
+
+    const settings = {
+      background_background: 'classic',
+      background_color: color,
+      background_image: { url: this.resolveAssetUrl(url, this.assetMapping?.images), id: '' },
+      background_size: ['cover', 'contain', 'auto'].includes(size) ? size : 'initial',
+      ...(!['cover', 'contain', 'auto'].includes(size) && parseFloat(size) > 0 && {
+        background_bg_width: { unit: size.trim().split(/\s+/)[0].endsWith('%') ? '%' : 'px', size: parseFloat(size) }
+      }),
+      background_repeat: repeatMap[repeat] || 'repeat',
+      ...(position.position && { background_position: position.position }),
+      ...(position.xpos && { background_xpos: position.xpos, background_ypos: position.ypos }),
+      ...(layerValue(layout.backgroundAttachment, 'scroll') === 'fixed' && { background_attachment: 'fixed' })
+    };
+
+    // Overlay: a gradient layer stacked above the image, else a ::before/::after or child layer
+    const overlayGradient = layers.slice(0, imageIndex).map(layer => this.parseCssGradient(layer)).find(Boolean);
+    const overlayLayer = overlayGradient
+      ? { backgroundImage: layers.slice(0, imageIndex).find(layer => this.parseCssGradient(layer)), opacity: 1 }
+      : layout.overlay;
+
+    if (this.isSemiTransparentLayer(overlayLayer)) {
+      const gradient = this.parseCssGradient(this.splitCssList(overlayLayer.backgroundImage)[0]);
+      const opacity = overlayLayer.opacity === undefined ? 1 : parseFloat(overlayLayer.opacity);
+      // A flat gradient (same color at both ends) is just a tint
+      const isFlat = gradient && gradient.stops.every(stop => stop.color === gradient.stops[0].color);
+
+      Object.assign(settings,
+        gradient && !isFlat
+          ? this.buildGradientSettings(gradient, 'background_overlay')
+          : {
+            background_overlay_background: 'classic',
+            background_overlay_color: gradient ? gradient.stops[0].color : overlayLayer.backgroundColor
+          },
+        // Elementor defaults overlay opacity to 0.5 - the color already carries its alpha
+        { background_overlay_opacity: { unit: 'px', size: Number.isFinite(opacity) ? opacity : 1 } }
+      );
+    }
+
+    return settings;
+  }
+
+  // ==================== END BACKGROUNDS ====================
+
+  // ==================== REPEATED CARDS ====================
+
+  /**
+   * Walk a card subtree collecting its content parts and a shape signature
+   * (e.g. ['image', 'heading', 'text', 'button']) used to compare siblings
+   * @param {object} card - Captured node
+   * @returns {object} { tokens, image, icon, heading, texts, button, href }
+   */
+  getCardParts(card) {
+    const tokens = [];
+    const parts = { images: [], icons: [], headings: [], texts: [], buttons: [] };
+    const push = (token) => {
+      if (token !== 'text' || tokens[tokens.length - 1] !== 'text') tokens.push(token);
+    };
+
+    const walk = (node) => {
+      const tagName = node.tagName || '';
+      const isLeaf = (node.children || []).length === 0;
+      const text = (node.allTextContent || node.textContent || '').trim();
+
+      if (this.isIconNode(node)) {
+        parts.icons.push(node);
+        return push('icon');
+      }
+      if (tagName === 'img') {
+        parts.images.push(node);
+        return push('image');
+      }
+      if (/^h[1-6]$/.test(tagName)) {
+        parts.headings.push(node);
+        return push('heading');
+      }
+      if (tagName === 'button' || (tagName === 'a' && this.isButtonLike(node))) {
+        parts.buttons.push(node);
+        return push('button');
+      }
+      if (['video', 'iframe', 'form', 'table', 'ul', 'ol', 'input', 'select', 'textarea', 'section'].includes(tagName)) {
+        return push('other');
+      }
+      if (tagName === 'a' && isLeaf) {
+        return push('link');
+      }
+      if (tagName === 'p' || (isLeaf && text)) {
+        parts.texts.push(node);
+        return push('text');
+      }
+      (node.children || []).forEach(walk);
+    };
+    (card.children || []).forEach(walk);
+
+    const links = this.findDescendants(card, node => node.tagName === 'a' && node.attributes?.href, true);
+    const href = card.tagName === 'a' ? card.attributes?.href : (parts.buttons[0]?.attributes?.href || links[0]?.attributes?.href);
+
+    return {
+      tokens,
+      image: parts.images[0] || null,
+      icon: parts.icons[0] || null,
+      heading: parts.headings[0] || null,
+      texts: parts.texts,
+      button: parts.buttons[0] || null,
+      href: href || ''
+    };
+  }
+
+  /**
+   * Check if a signature describes a card: one image or icon leading one heading,
+   * optional copy and a link/button, nothing else
+   * @param {Array} tokens - Card signature
+   * @returns {boolean} True for card shapes
+   */
+  isCardShape(tokens) {
+    const count = (token) => tokens.filter(t => t === token).length;
+    const mediaIndex = tokens.findIndex(t => t === 'image' || t === 'icon');
+
+    return tokens.length <= 6 &&
+      count('heading') === 1 &&
+      count('image') + count('icon') === 1 &&
+      count('other') === 0 &&
+      count('button') <= 1 &&
+      mediaIndex < tokens.indexOf('heading');
+  }
+
+  /**
+   * Where the card's media sits relative to its heading
+   * @param {object} parts - Card parts
+   * @returns {string} 'top' | 'left' | 'right'
+   */
+  getCardMediaPosition(parts) {
+    const media = (parts.image || parts.icon)?.layout || {};
+    const heading = parts.heading?.layout || {};
+
+    if (media.right !== undefined && heading.left !== undefined && media.right <= heading.left) return 'left';
+    if (media.left !== undefined && heading.right !== undefined && media.left >= heading.right) return 'right';
+    return 'top';
+  }
+
+  /**
+   * Find repeated sibling cards (same signature, 3-12 siblings) across the structure
+   * @param {object} root - Captured structure
+   * @returns {WeakMap} card node → { kind, style, size }
+   */
+  detectRepeatedCards(root) {
+    const patterns = new WeakMap();
+    const cardTags = ['div', 'article', 'li', 'a', 'figure'];
+
+    const visit = (node) => {
+      const children = node.children || [];
+
+      if (children.length >= 3) {
+        const groups = new Map();
+
+        for (const child of children) {
+          if (!cardTags.includes(child.tagName) || (child.allTextContent || '').length > 600) continue;
+
+          const parts = this.getCardParts(child);
+          if (!this.isCardShape(parts.tokens)) continue;
+
+          const signature = parts.tokens.join('|');
+          if (!groups.has(signature)) groups.set(signature, []);
+          groups.get(signature).push({ card: child, parts });
+        }
+
+        for (const group of groups.values()) {
+          if (group.length < 3 || group.length > 12) continue;
+
+          const { parts } = group[0];
+          // Uploaded svg icons need their session copy - otherwise the cards convert piece by piece
+          if (parts.icon && group.some(({ parts: cardParts }) => !this.resolveIcon(cardParts.icon))) continue;
+
+          const kind = parts.icon
+            ? 'icon-box'
+            : (parts.button && this.exportOptions?.elementorPro ? 'call-to-action' : 'image-box');
+          // Only call-to-action has a button - other boxes would drop its label, so those cards convert piece by piece
+          if (parts.button && kind !== 'call-to-action') continue;
+
+          const style = this.getCardStyle(group.map(({ card }) => card));
+
+          group.forEach(({ card }) => patterns.set(card, { kind, style, size: group.length }));
+          console.log(`🃏 Found ${group.length} repeated cards (${parts.tokens.join(' + ')}) → ${kind}`);
+        }
+      }
+
+      children.forEach(child => {
+        if (!patterns.has(child)) visit(child);
+      });
+    };
+    visit(root);
+
+    return patterns;
+  }
+
+  /**
+   * Styling shared by a group of cards - each value is the one most cards use,
+   * so every card in the group gets identical settings
+   * @param {Array} cards - Card nodes (one node for a standalone card)
+   * @returns {object} { title, description, button, icon, box, position, imageWidth }
+   */
+  getCardStyle(cards) {
+    const entries = cards.map(card => ({ card, parts: this.getCardParts(card) }));
+
+    const shared = (pick) => {
+      const counts = new Map();
+      for (const entry of entries) {
+        const value = pick(entry);
+        if (value === undefined || value === null || value === '' || Number.isNaN(value)) continue;
+        const key = JSON.stringify(value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+
+      let best;
+      let bestCount = 0;
+      for (const [key, count] of counts) {
+        if (count > bestCount) {
+          best = key;
+          bestCount = count;
+        }
+      }
+      return best === undefined ? undefined : JSON.parse(best);
+    };
+
+    const layoutFields = (getNode, keys) => Object.fromEntries(keys
+      .map(key => [key, shared(entry => getNode(entry)?.layout?.[key])])
+      .filter(([, value]) => value !== undefined));
+
+    const textKeys = ['color', 'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'textAlign'];
+
+    return {
+      title: layoutFields(({ parts }) => parts.heading, textKeys),
+      description: layoutFields(({ parts }) => parts.texts[0], textKeys),
+      button: layoutFields(({ parts }) => parts.button, [...textKeys, 'backgroundColor', 'borderRadius']),
+      icon: layoutFields(({ parts }) => parts.icon, ['color', 'fontSize', 'width', 'height']),
+      image: layoutFields(({ parts }) => parts.image, ['borderRadius']),
+      box: layoutFields(({ card }) => card, ['backgroundColor', 'borderRadius', 'padding']),
+      position: shared(({ parts }) => this.getCardMediaPosition(parts)),
+      imageWidth: shared(({ card, parts }) => parts.image
+        ? Math.min(100, Math.round(parseFloat(parts.image.layout?.width) / parseFloat(card.layout?.width) * 100))
+        : undefined)
+    };
+  }
+
+  /**
+   * Typography settings under an Elementor prefix (title, description, button...)
+   * @param {string} prefix - Setting prefix
+   * @param {object} layout - Captured layout values
+   * @returns {object} Settings
+   */
+  buildTypographySettings(prefix, layout = {}) {
+    return {
+      [`${prefix}_typography_typography`]: 'custom',
+      ...(layout.fontFamily && {
+        [`${prefix}_typography_font_family`]: layout.fontFamily.split(',')[0].trim().replace(/['"]/g, '')
+      }),
+      ...(layout.fontSize && {
+        [`${prefix}_typography_font_size`]: { size: parseInt(layout.fontSize) || 16, unit: 'px' }
+      }),
+      ...(layout.fontWeight && { [`${prefix}_typography_font_weight`]: layout.fontWeight })
+    };
+  }
+
+  /**
+   * Advanced-tab box styling (background, padding, corner radius) for a widget
+   * that replaces a whole card
+   * @param {object} box - Card layout values
+   * @param {boolean} includeBackground - Widgets with their own content background skip it
+   * @returns {object} Settings
+   */
+  buildBoxSettings(box = {}, includeBackground = true) {
+    const px = (value) => parseInt(value) || 0;
+    const padding = box.padding || {};
+    const hasBackground = box.backgroundColor && this.getColorAlpha(box.backgroundColor) > 0;
+
+    return {
+      ...(hasBackground && includeBackground && { _background_background: 'classic', _background_color: box.backgroundColor }),
+      ...(['top', 'right', 'bottom', 'left'].some(side => px(padding[side]) > 0) && {
+        _padding: { unit: 'px', top: px(padding.top), right: px(padding.right), bottom: px(padding.bottom), left: px(padding.left), isLinked: false }
+      }),
+      ...(px(box.borderRadius) > 0 && {
+        _border_radius: { unit: 'px', top: px(box.borderRadius), right: px(box.borderRadius), bottom: px(box.borderRadius), left: px(box.borderRadius), isLinked: true }
+      })
+    };
+  }
+
+  /**
+   * Build an icon-box, image-box or call-to-action widget from a card
+   * Cards found by detectRepeatedCards use their group's shared style
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Card node
+   * @param {string} kind - 'icon-box' | 'image-box' | 'call-to-action'
+   * @returns {object} The filled widget
+   */
+  buildCardWidget(widget, element, kind) {
+    const parts = this.getCardParts(element);
+    const style = this.cardPatterns?.get(element)?.style || this.getCardStyle([element]);
+    const { title, description, button, box } = style;
+
+    const titleText = (parts.heading?.allTextContent || parts.heading?.textContent || '').trim();
+    const descriptionText = parts.texts.map(text => (text.allTextContent || text.textContent || '').trim()).filter(Boolean).join('\n\n');
+    const hasRealHref = parts.href && parts.href !== '#' && !parts.href.startsWith('javascript:');
+    const link = hasRealHref ? { link: { url: parts.href, is_external: '', nofollow: '' } } : {};
+    const align = ['left', 'center', 'right'].includes(title.textAlign) ? title.textAlign : 'left';
+    const px = (value) => parseInt(value) || 0;
+    const radius = (value) => ({ unit: 'px', top: px(value), right: px(value), bottom: px(value), left: px(value), isLinked: true });
+    const imageUrl = parts.image ? this.resolveAssetUrl(parts.image.attributes?.src || '', this.assetMapping?.images) : '';
+
+    const textSettings = {
+      ...(title.color && { title_color: title.color }),
+      ...(description.color && { description_color: description.color }),
+      ...this.buildTypographySettings('title', title),
+      ...(parts.texts.length > 0 && this.buildTypographySettings('description', description))
+    };
+
+    // Card box styling sits on the widget itself
+    const hasBox = box.backgroundColor && this.getColorAlpha(box.backgroundColor) > 0;
+    const boxSettings = this.buildBoxSettings(box, kind !== 'call-to-action');
+
+    if (kind === 'icon-box') {
+      widget.widgetType = "icon-box";
+      widget.settings = {
+        selected_icon: this.resolveIcon(parts.icon),
+        view: 'default',
+        position: style.position || 'top',
+        title_text: titleText,
+        description_text: descriptionText,
+        title_size: parts.heading.tagName,
+        text_align: align,
+        ...link,
+        ...this.buildIconStyle({ ...parts.icon, layout: { ...parts.icon.layout, ...style.icon } }, 'icon_size'),
+        ...textSettings,
+        ...boxSettings
+      };
+    } else if (kind === 'image-box') {
+      widget.widgetType = "image-box";
+      widget.settings = {
+        image: { url: imageUrl, id: '', alt: parts.image.attributes?.alt || '' },
+        thumbnail_size: 'full',
+        ...(style.imageWidth > 0 && { image_size: { unit: '%', size: style.imageWidth } }),
+        ...(px(style.image.borderRadius) > 0 && { image_border_radius: radius(style.image.borderRadius) }),
+        position: style.position || 'top',
+        title_text: titleText,
+        description_text: descriptionText,
+        title_size: parts.heading.tagName,
+        text_align: align,
+        ...link,
+        ...textSettings,
+        ...boxSettings
+      };
+    } else {
+      const buttonText = (parts.button?.allTextContent || parts.button?.textContent || '').trim();
+      const layoutMap = { left: 'left', right: 'right', top: 'above' };
+
+      widget.widgetType = "call-to-action";
+      widget.settings = {
+        skin: 'classic',
+        layout: layoutMap[style.position] || 'above',
+        bg_image: { url: imageUrl, id: '' },
+        title: titleText,
+        description: descriptionText,
+        title_tag: parts.heading.tagName,
+        button: buttonText || 'Learn More',
+        ...link,
+        alignment: align,
+        ...(hasBox && { content_bg_color: box.backgroundColor }),
+        ...textSettings,
+        ...(button.color && { button_text_color: button.color }),
+        ...(button.backgroundColor && this.getColorAlpha(button.backgroundColor) > 0 && { button_background_color: button.backgroundColor }),
+        ...(px(button.borderRadius) > 0 && { button_border_radius: radius(button.borderRadius) }),
+        ...this.buildTypographySettings('button', button),
+        ...boxSettings
+      };
+    }
+
+    return widget;
+  }
+
+  // ==================== END REPEATED CARDS ====================
+
+  // ==================== PRICE TABLES ====================
+
+  /**
+   * Parse a displayed price such as "$29", "€19,99/mo", "29 USD per month"
+   * A bare number is not a price - it needs a currency or a period
+   * @param {string} text - Price text
+   * @returns {object|null} { currency, price, period, decimalComma }
+   */
+  parsePrice(text) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!value || value.length > 40) return null;
+
+    const match = value.match(/^(?:(R\$|[$€£¥₹₩₽]|[A-Z]{3}) ?)?(\d{1,3}(?:[,. ]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?) ?(R\$|[$€£¥₹₩₽]|[A-Z]{3})? *(?:(?:\/|per ) *([A-Za-z][A-Za-z .]{0,20}))?$/);
+    if (!match) return null;
+
+    const [, prefix, amount, suffix, period] = match;
+    if (!prefix && !suffix && !period) return null;
+
+    // "19,99" uses a decimal comma; "1.299" and "1,299" are thousands
+    const digits = amount.replace(/ /g, '');
+    const decimalComma = /,\d{1,2}$/.test(digits);
+    const price = decimalComma
+      ? digits.replace(/\./g, '').replace(',', '.')
+      : digits.replace(/,/g, '').replace(/\.(?=\d{3}(\.|$))/g, '');
+
+    return { currency: prefix || suffix || '', price, period: (period || '').trim(), decimalComma };
+  }
+
+  /**
+   * Recognize a pricing plan: one price, one feature list and a CTA, with a plan
+   * name, optional sub heading, struck-through original price, ribbon and footer note
+   * @param {object} element - Candidate node
+   * @returns {object|null} Price table parts
+   */
+  getPriceTableParts(element) {
+    if (!['div', 'article', 'li', 'section', 'figure'].includes(element?.tagName)) return null;
+
+    const allText = (element.allTextContent || element.textContent || '').trim();
+    if (!allText || allText.length > 1500) return null;
+
+    const textOf = node => (node?.allTextContent || node?.textContent || '').replace(/\s+/g, ' ').trim();
+    const struckTags = ['del', 's', 'strike'];
+    const order = [];
+    const prices = [];
+    const originals = [];
+    const lists = [];
+
+    const walk = (node) => {
+      const tagName = node.tagName || '';
+      const text = textOf(node);
+      if (!text && (node.children || []).length === 0) return;
+
+      if (tagName === 'ul' || tagName === 'ol') {
+        lists.push(node);
+        return order.push({ kind: 'list', node });
+      }
+      if (tagName === 'button' || (tagName === 'a' && this.isButtonLike(node))) {
+        return order.push({ kind: 'button', node });
+      }
+      if (struckTags.includes(tagName) && this.parsePrice(text)) {
+        originals.push(this.parsePrice(text));
+        return;
+      }
+
+      // Sale prices wrap the original in <del>/<s> next to the current amount
+      const struck = this.findDescendants(node, child => struckTags.includes(child.tagName));
+      const price = this.parsePrice(struck.reduce((rest, child) => rest.replace(textOf(child), ''), text));
+      if (price) {
+        prices.push({ node, ...price });
+        struck.map(child => this.parsePrice(textOf(child))).filter(Boolean).forEach(original => originals.push(original));
+        return order.push({ kind: 'price', node });
+      }
+
+      if (/^h[1-6]$/.test(tagName)) return order.push({ kind: 'heading', node });
+      if (tagName === 'p' || (node.children || []).length === 0) return order.push({ kind: 'text', node });
+      (node.children || []).forEach(walk);
+    };
+    (element.children || []).forEach(walk);
+
+    const list = lists[0];
+    if (prices.length !== 1 || lists.length !== 1 || (list.children || []).filter(item => item.tagName === 'li').length < 2) return null;
+
+    const at = kind => order.findIndex(entry => entry.kind === kind);
+    const priceIndex = at('price');
+    const listIndex = at('list');
+    const buttonIndex = at('button');
+    if (buttonIndex === -1 && at('heading') === -1) return null;
+
+    // A short badge-like text ("Most popular") is the ribbon
+    const isRibbon = ({ kind, node }) => kind === 'text' && textOf(node).length <= 24 &&
+      (/\b(ribbon|badge|popular|featured|recommended|highlight|label|tag)\b/i.test(node.className || '') ||
+        /(popular|best|recommended|featured|most|favorite|save)/i.test(textOf(node)));
+    const ribbon = order.find(isRibbon);
+    const texts = order.filter(entry => entry.kind === 'text' && entry !== ribbon);
+
+    const headingEntry = order.find((entry, i) => entry.kind === 'heading' && i < priceIndex) ||
+      texts.find(entry => order.indexOf(entry) < priceIndex);
+    const headingIndex = order.indexOf(headingEntry);
+    const subHeading = texts.find(entry => entry !== headingEntry && order.indexOf(entry) > headingIndex &&
+      order.indexOf(entry) < listIndex && !/^(\/|per )/i.test(textOf(entry.node)));
+    // A period set apart from the amount ("$29" then "/month")
+    const periodEntry = order[priceIndex + 1]?.kind === 'text' && /^(\/|per )/i.test(textOf(order[priceIndex + 1].node))
+      ? order[priceIndex + 1] : null;
+    const footer = buttonIndex === -1 ? null : texts.find(entry => order.indexOf(entry) > buttonIndex);
+
+    return {
+      heading: headingEntry?.node || null,
+      subHeading: subHeading?.node || null,
+      price: prices[0],
+      originalPrice: originals[0] || null,
+      period: prices[0].period || textOf(periodEntry?.node).replace(/^(\/|per )\s*/i, ''),
+      periodNode: periodEntry?.node || null,
+      list,
+      features: (list.children || []).filter(item => item.tagName === 'li'),
+      button: buttonIndex === -1 ? null : order[buttonIndex].node,
+      ribbon: ribbon?.node || null,
+      footer: footer?.node || null
+    };
+  }
+
+  /**
+   * Build an Elementor Pro price-table widget from a recognized plan
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Plan node
+   * @param {object} parts - Parts from getPriceTableParts
+   * @returns {object} The filled widget
+   */
+  buildPriceTableWidget(widget, element, parts) {
+    const textOf = node => (node?.allTextContent || node?.textContent || '').replace(/\s+/g, ' ').trim();
+    const color = value => value && this.getColorAlpha(value) > 0 ? value : null;
+    const px = (value) => parseInt(value) || 0;
+    const symbols = { '$': 'dollar', '€': 'euro', '£': 'pound', '¥': 'yen', '₹': 'indian_rupee', '₩': 'won', '₽': 'ruble', 'R$': 'real' };
+    const { price, originalPrice } = parts;
+    const href = parts.button?.attributes?.href || '';
+    const hasRealHref = href && href !== '#' && !href.startsWith('javascript:');
+
+    const headingLayout = parts.heading?.layout || {};
+    // A wrapper around the plan name (but not the features) is the header band
+    const contains = (node, target) => this.findDescendants(node, child => child === target, true).length > 0;
+    const header = parts.heading && (element.children || [])
+      .find(child => child !== parts.heading && contains(child, parts.heading) && !contains(child, parts.list));
+    const headerLayout = header?.layout;
+    const priceLayout = price.node.layout || {};
+    const featureLayout = parts.features[0]?.layout || {};
+    const buttonLayout = parts.button?.layout || {};
+    const ribbonLayout = parts.ribbon?.layout || {};
+    const ribbonOnLeft = parts.ribbon && element.layout?.left !== undefined && ribbonLayout.left !== undefined &&
+      ribbonLayout.left - element.layout.left < (parseFloat(element.layout.width) || 0) / 3;
+
+    widget.widgetType = 'price-table';
+    widget.settings = {
+      heading: textOf(parts.heading),
+      heading_tag: /^h[1-6]$/.test(parts.heading?.tagName) ? parts.heading.tagName : 'h3',
+      sub_heading: textOf(parts.subHeading),
+      currency_symbol: price.currency ? (symbols[price.currency] || 'custom') : '',
+      ...(price.currency && !symbols[price.currency] && { currency_symbol_custom: price.currency }),
+      price: price.price,
+      currency_format: price.decimalComma ? ',' : '',
+      ...(originalPrice && { sale: 'yes', original_price: originalPrice.price }),
+      period: parts.period,
+      features_list: parts.features.map(item => {
+        const itemParts = this.getListItemParts(item);
+        const iconColor = itemParts.iconNode?.layout?.color;
+        return {
+          _id: this.generateElementId(item, 'feature').substring(0, 7),
+          item_text: itemParts.text,
+          selected_item_icon: this.getListMarkerIcon(item, itemParts.iconNode),
+          ...(color(iconColor) && { item_icon_color: iconColor })
+        };
+      }),
+      button_text: textOf(parts.button),
+      ...(hasRealHref && { link: { url: href, is_external: '', nofollow: '' } }),
+      footer_additional_info: textOf(parts.footer),
+      ...(parts.ribbon && {
+        show_ribbon: 'yes',
+        ribbon_title: textOf(parts.ribbon),
+        ribbon_horizontal_position: ribbonOnLeft ? 'left' : 'right',
+        ...(color(ribbonLayout.backgroundColor) && { ribbon_bg_color: ribbonLayout.backgroundColor }),
+        ...(color(ribbonLayout.color) && { ribbon_text_color: ribbonLayout.color })
+      }),
+
+      // Colors and type from the captured plan
+      ...(color(headerLayout?.backgroundColor) && { header_bg_color: headerLayout.backgroundColor }),
+      ...(color(headingLayout.color) && { heading_color: headingLayout.color }),
+      ...(parts.heading && this.buildTypographySettings('heading', headingLayout)),
+      ...(color(parts.subHeading?.layout?.color) && { sub_heading_color: parts.subHeading.layout.color }),
+      ...(color(priceLayout.color) && { price_color: priceLayout.color }),
+      ...this.buildTypographySettings('price', priceLayout),
+      ...(color(parts.periodNode?.layout?.color) && { period_color: parts.periodNode.layout.color }),
+      ...(color(parts.list.layout?.backgroundColor) && { features_list_bg_color: parts.list.layout.backgroundColor }),
+      ...(color(featureLayout.color) && { features_list_color: featureLayout.color }),
+      ...(parts.button && {
+        ...(color(buttonLayout.color) && { button_text_color: buttonLayout.color }),
+        ...(color(buttonLayout.backgroundColor) && { button_background_color: buttonLayout.backgroundColor }),
+        ...(px(buttonLayout.borderRadius) > 0 && {
+          button_border_radius: { unit: 'px', top: px(buttonLayout.borderRadius), right: px(buttonLayout.borderRadius), bottom: px(buttonLayout.borderRadius), left: px(buttonLayout.borderRadius), isLinked: true }
+        }),
+        ...this.buildTypographySettings('button', buttonLayout)
+      }),
+      ...this.buildBoxSettings(element.layout || {})
+    };
+
+    console.log(`💲 Built price-table "${widget.settings.heading}" (${price.currency}${price.price}${parts.period ? ' / ' + parts.period : ''})`);
+    return widget;
+  }
+
+  // ==================== END PRICE TABLES ====================
+
+  // ==================== COMPOSITE WIDGETS ====================
+
+  /**
+   * Recognize subtrees that convert to a single composite Elementor widget
+   * Checked before structure, so a recognized container is not split into columns
+   * @param {object} element - Captured node
+   * @returns {string|null} Composite kind or null
+   */
+  detectCompositeWidget(element) {
+    if (!element || !element.tagName) return null;
+
+    // Regions the export asked to keep verbatim
+    if (this.rawHtmlPaths?.has(this.getNodeKey(element))) return 'raw-html';
+
+    if (this.isNavigationMenu(element)) return 'nav-menu';
+    const component = this.getInteractiveComponent(element);
+    if (component?.type === 'carousel') {
+      const carouselType = this.getCarouselWidgetType(component);
+      if (carouselType) return carouselType;
+    } else if (component) {
+      return component.type;
+    }
+    if (element.tagName === 'form' && this.findDescendants(element, node =>
+      ['input', 'textarea', 'select'].includes(node.tagName)).length > 0) return 'form';
+    if (element.tagName === 'table') return 'table';
+    if (element.tagName === 'video' ||
+        (element.tagName === 'iframe' && this.parseVideoEmbed(element.attributes?.src))) return 'video';
+    // Cross-origin frames could not be captured - the iframe itself is kept
+    if (element.tagName === 'iframe' && element.embed) return 'raw-html';
+    if (this.isIconNode(element)) return 'icon';
+    if (this.exportOptions?.elementorPro && this.getPriceTableParts(element)) return 'price-table';
+    if (this.cardPatterns?.has(element)) return this.cardPatterns.get(element).kind;
+    if (this.findIconBoxParts(element)) return 'icon-box';
+    if (this.isContentList(element)) return 'icon-list';
+
+    // Ugly-but-faithful beats wrong: low-confidence regions stay raw HTML
+    if (this.getConversionConfidence(element) < (this.exportOptions?.rawHtmlThreshold ?? 0.5)) return 'raw-html';
+
+    return null;
+  }
+
+  /**
+   * Collect descendants matching a predicate (document order)
+   * @param {object} element - Root node (not included)
+   * @param {Function} predicate - (node) => boolean
+   * @param {boolean} descendIntoMatches - Keep searching inside matched nodes
+   * @returns {Array} Matching nodes
+   */
+  findDescendants(element, predicate, descendIntoMatches = false) {
+    const matches = [];
+
+    const traverse = (node, depth = 0) => {
+      if (!node || depth > 50) return;
+      for (const child of node.children || []) {
+        if (predicate(child)) {
+          matches.push(child);
+          if (!descendIntoMatches) continue;
+        }
+        traverse(child, depth + 1);
+      }
+    };
+
+    traverse(element);
+    return matches;
+  }
+
+  /**
+   * Check if an element is a navigation menu: a <nav> holding only links,
+   * or a menu-like ul > li > a list
+   * @param {object} element - Element to check
+   * @returns {boolean} True if element should become a menu widget
+   */
+  isNavigationMenu(element) {
+    const tagName = element.tagName || '';
+
+    if (tagName === 'nav') {
+      const links = this.findDescendants(element, node => node.tagName === 'a');
+      // Logos and search forms inside <nav> keep it structural - its lists are matched on their own
+      const strayContent = this.findDescendants(element, node =>
+        ['img', 'svg', 'form', 'input', 'select', 'textarea'].includes(node.tagName)
+      );
+      return links.length > 0 && strayContent.length === 0;
+    }
+
+    if (tagName === 'ul' || tagName === 'ol') {
+      return this.isMenuList(element);
+    }
+
+    return false;
+  }
+
+  /**
+   * Check if a list is a menu: every li starts with a short link, and the list
+   * carries a menu hint (class/role) or its links look like navigation
+   * @param {object} list - ul/ol element
+   * @returns {boolean} True if the list is a menu
+   */
+  isMenuList(list) {
+    const children = list.children || [];
+    const items = children.filter(child => child.tagName === 'li');
+    if (items.length < 2 || items.length !== children.length) return false;
+
+    const links = items.map(item => (item.children || []).find(child => child.tagName === 'a'));
+    if (links.some(link => !link)) return false;
+
+    const labelOf = (link) => (link.allTextContent || link.textContent || '').trim();
+    if (links.some(link => labelOf(link).length === 0 || labelOf(link).length > 40)) return false;
+
+    const className = typeof list.className === 'string' ? list.className : '';
+    const role = list.attributes?.role || '';
+    const hasMenuHint = /\b(nav|menu|navbar|navigation)\b/i.test(className) ||
+      ['menu', 'menubar', 'navigation'].includes(role);
+    const navLinkCount = links.filter(link => this.isNavigationLink(link)).length;
+
+    return hasMenuHint || navLinkCount >= links.length / 2;
+  }
+
+  /**
+   * Extract menu items (label, url, nested children) from a nav or menu list
+   * @param {object} element - nav or ul/ol element
+   * @returns {Array} [{label, url, children}]
+   */
+  extractMenuItems(element) {
+    const isList = (node) => node.tagName === 'ul' || node.tagName === 'ol';
+    const labelOf = (link) => (link.allTextContent || link.textContent || '').trim();
+
+    const fromList = (list, depth = 0) => (list.children || [])
+      .filter(child => child.tagName === 'li')
+      .map(item => {
+        const link = (item.children || []).find(child => child.tagName === 'a') ||
+          this.findDescendants(item, node => node.tagName === 'a')[0];
+        const submenu = depth < 3 ? this.findDescendants(item, isList)[0] : null;
+
+        return {
+          label: link ? labelOf(link) : (item.textContent || '').trim(),
+          url: link?.attributes?.href || '#',
+          children: submenu ? fromList(submenu, depth + 1) : []
+        };
+      })
+      .filter(item => item.label);
+
+    if (isList(element)) {
+      return fromList(element);
+    }
+
+    const lists = this.findDescendants(element, isList);
+    if (lists.length > 0) {
+      return lists.flatMap(list => fromList(list));
+    }
+
+    // Bare <nav><a/><a/></nav>
+    return this.findDescendants(element, node => node.tagName === 'a')
+      .map(link => ({ label: labelOf(link), url: link.attributes?.href || '#', children: [] }))
+      .filter(item => item.label);
+  }
+
+  /**
+   * Check if a menu lays its items out horizontally
+   * @param {object} element - nav or list element
+   * @returns {boolean} True for horizontal menus
+   */
+  isHorizontalMenu(element) {
+    const list = (element.tagName === 'ul' || element.tagName === 'ol')
+      ? element
+      : this.findDescendants(element, node => node.tagName === 'ul' || node.tagName === 'ol')[0] || element;
+    const layout = list.layout || {};
+
+    if ((layout.display === 'flex' || layout.display === 'inline-flex') &&
+        !String(layout.flexDirection || 'row').startsWith('column')) {
+      return true;
+    }
+
+    const items = (list.children || []).filter(child => child.layout);
+    return items.length >= 2 && Math.abs((items[0].layout.y || 0) - (items[1].layout.y || 0)) < 5;
+  }
+
+  /**
+   * Build a menu widget: Elementor Pro nav-menu, or a linked icon-list for free Elementor
+   * Pro menus reference a WordPress menu, so their items are recorded in template metadata
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - nav or list element
+   * @returns {object} The filled widget
+   */
+  buildNavMenuWidget(widget, element) {
+    const items = this.extractMenuItems(element);
+    const horizontal = this.isHorizontalMenu(element);
+    const firstLink = this.findDescendants(element, node => node.tagName === 'a')[0] || element;
+    const linkLayout = firstLink.layout || {};
+    const containerLayout = element.layout || {};
+    const alignMap = { 'flex-start': 'left', 'start': 'left', 'center': 'center', 'flex-end': 'right', 'end': 'right', 'space-between': 'justify' };
+    const hasColor = linkLayout.color && linkLayout.color !== "rgb(0, 0, 0)";
+
+    const typography = (prefix) => ({
+      [`${prefix}_typography`]: "custom",
+      ...(linkLayout.fontFamily && {
+        [`${prefix}_font_family`]: linkLayout.fontFamily.split(',')[0].trim().replace(/['"]/g, '')
+      }),
+      ...(linkLayout.fontSize && {
+        [`${prefix}_font_size`]: { size: parseInt(linkLayout.fontSize) || 16, unit: "px" }
+      }),
+      ...(linkLayout.fontWeight && {
+        [`${prefix}_font_weight`]: linkLayout.fontWeight
+      })
+    });
+
+    if (this.exportOptions?.elementorPro) {
+      this.menus = this.menus || [];
+      const slug = `cloned-menu-${this.menus.length + 1}`;
+      this.menus.push({
+        slug,
+        name: element.attributes?.['aria-label'] || `Cloned Menu ${this.menus.length + 1}`,
+        items
+      });
+
+      widget.widgetType = "nav-menu";
+      widget.settings = {
+        menu: slug,
+        layout: horizontal ? "horizontal" : "vertical",
+        align_items: alignMap[containerLayout.justifyContent] || "left",
+        pointer: "none",
+        submenu_icon: { value: "fas fa-caret-down", library: "fa-solid" },
+        dropdown: "tablet",
+        ...(hasColor && { color_menu_item: linkLayout.color }),
+        ...typography('menu_typography')
+      };
+      return widget;
+    }
+
+    // Free Elementor has no menu widget - submenu items follow their parent in document
+    // order, indented per level behind a chevron so the hierarchy stays readable
+    const withDepth = (list, depth = 0) => list.flatMap(item => [{ ...item, depth }, ...withDepth(item.children, depth + 1)]);
+    const hasSubmenus = items.some(item => item.children.length > 0);
+
+    widget.widgetType = "icon-list";
+    widget.settings = {
+      view: horizontal && !hasSubmenus ? "inline" : "traditional",
+      icon_list: withDepth(items).map((item, i) => ({
+        _id: this.generateElementId(element, `menu-item-${i}`).substring(0, 7),
+        text: `${'\u00A0'.repeat(item.depth * 4)}${item.label}`,
+        selected_icon: item.depth > 0
+          ? { value: "fas fa-angle-right", library: "fa-solid" }
+          : { value: "", library: "" },
+        link: { url: item.url, is_external: "", nofollow: "" }
+      })),
+      ...(hasColor && { text_color: linkLayout.color }),
+      ...typography('icon_typography')
+    };
+
+    const gap = this.parseGap(containerLayout);
+    if (gap.size > 0) {
+      widget.settings.space_between = { unit: "px", size: gap.size };
+    }
+
+    return widget;
+  }
+
+  /**
+   * Check if a ul/ol holds short text items that fit an icon-list
+   * (lists of cards, media or headings stay out - they are not a single widget)
+   * @param {object} list - Captured node
+   * @returns {boolean} True for plain content lists
+   */
+  isContentList(list) {
+    if (list?.tagName !== 'ul' && list?.tagName !== 'ol') return false;
+
+    const items = list.children || [];
+    if (items.length === 0 || items.some(item => item.tagName !== 'li')) return false;
+
+    const blockers = this.findDescendants(list, node =>
+      ['img', 'video', 'iframe', 'form', 'table', 'section', 'article', 'button',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(node.tagName));
+    if (blockers.length > 0) return false;
+
+    return items.every(item => {
+      const text = this.getListItemParts(item).text;
+      return text.length > 0 && text.length <= 300 &&
+        (item.children || []).filter(child => ['ul', 'ol'].includes(child.tagName)).every(nested => this.isContentList(nested));
+    });
+  }
+
+  /**
+   * Split a list item into its own text, link and icon - nested lists are left out
+   * @param {object} item - li node
+   * @returns {object} { text, href, linkNode, iconNode, nestedLists }
+   */
+  getListItemParts(item) {
+    const nestedLists = [];
+    const texts = [(item.textContent || '').trim()];
+    let linkNode = null;
+    let iconNode = null;
+
+    const traverse = (node) => {
+      if (['ul', 'ol'].includes(node.tagName)) {
+        if (node !== item) nestedLists.push(node);
+        return;
+      }
+      if (node !== item) {
+        if (!linkNode && node.tagName === 'a' && node.attributes?.href) linkNode = node;
+        if (!iconNode && this.isIconNode(node)) {
+          iconNode = node;
+          return;
+        }
+      }
+      (node.children || []).forEach(traverse);
+    };
+    traverse(item);
+
+    const hasNested = nestedLists.length > 0;
+    if (hasNested) {
+      // Only the item's own copy - nested items follow as entries of their own
+      texts.push(...(item.children || [])
+        .filter(child => !['ul', 'ol'].includes(child.tagName))
+        .map(child => (child.allTextContent || child.textContent || '').trim()));
+    }
+
+    return {
+      text: (hasNested ? texts.filter(Boolean).join(' ') : (item.allTextContent || item.textContent || '').trim()).replace(/\s+/g, ' '),
+      href: linkNode?.attributes?.href || '',
+      linkNode,
+      iconNode,
+      nestedLists
+    };
+  }
+
+  /**
+   * Format an ordered-list counter the way the browser draws it
+   * @param {number} value - Counter value
+   * @param {string} type - list-style-type
+   * @returns {string|null} Counter text, null for unordered styles
+   */
+  formatListCounter(value, type) {
+    const alpha = (n) => {
+      let out = '';
+      for (let i = n; i > 0; i = Math.floor((i - 1) / 26)) {
+        out = String.fromCharCode(97 + ((i - 1) % 26)) + out;
+      }
+      return out;
+    };
+    const roman = (n) => [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+      [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']]
+      .reduce((out, [step, numeral]) => {
+        while (n >= step) { out += numeral; n -= step; }
+        return out;
+      }, '');
+
+    switch (type) {
+      case 'decimal': return String(value);
+      case 'decimal-leading-zero': return String(value).padStart(2, '0');
+      case 'lower-alpha': case 'lower-latin': return alpha(value);
+      case 'upper-alpha': case 'upper-latin': return alpha(value).toUpperCase();
+      case 'lower-roman': return roman(value);
+      case 'upper-roman': return roman(value).toUpperCase();
+      default: return null;
+    }
+  }
+
+  /**
+   * Resolve the bullet of a list item to an Elementor icon
+   * Order: an icon inside the item, a bullet image (list-style-image / ::before background),
+   * a ::before glyph, then the list-style-type
+   * @param {object} item - li node
+   * @param {object|null} iconNode - Icon found inside the item
+   * @returns {object} selected_icon value (empty value for unstyled lists)
+   */
+  getListMarkerIcon(item, iconNode) {
+    const none = { value: '', library: '' };
+    const layout = item.layout || {};
+    const before = layout.marker?.before;
+
+    const itemIcon = iconNode && this.resolveIcon(iconNode);
+    if (itemIcon) return itemIcon;
+
+    const bulletImage = [layout.listStyleImage, before?.backgroundImage]
+      .map(value => value && value !== 'none' ? String(value).match(/url\(['"]?([^'"]+)['"]?\)/)?.[1] : null)
+      .find(Boolean);
+    // Elementor uploads only take svg icons
+    if (bulletImage && /\.svg(\?|#|$)/i.test(bulletImage)) {
+      return { value: { url: this.resolveAssetUrl(bulletImage, this.assetMapping?.images), id: '' }, library: 'svg' };
+    }
+
+    if (before?.content) {
+      const glyph = String(before.content).replace(/^["']|["']$/g, '').trim();
+      // Font Awesome glyphs are private-use code points
+      const glyphs = {
+        '✓': 'fas fa-check', '✔': 'fas fa-check', '\uf00c': 'fas fa-check',
+        '✗': 'fas fa-times', '✘': 'fas fa-times', '×': 'fas fa-times', '\uf00d': 'fas fa-times',
+        '→': 'fas fa-arrow-right', '\uf061': 'fas fa-arrow-right',
+        '›': 'fas fa-angle-right', '>': 'fas fa-angle-right', '\uf105': 'fas fa-angle-right',
+        '»': 'fas fa-angle-double-right', '\uf054': 'fas fa-chevron-right', '\uf0da': 'fas fa-caret-right',
+        '★': 'fas fa-star', '\uf005': 'fas fa-star', '☆': 'far fa-star',
+        '•': 'fas fa-circle', '\uf111': 'fas fa-circle', '◦': 'far fa-circle',
+        '▪': 'fas fa-square', '■': 'fas fa-square',
+        '–': 'fas fa-minus', '-': 'fas fa-minus', '+': 'fas fa-plus', '\uf067': 'fas fa-plus'
+      };
+      const value = glyphs[glyph];
+      if (value) return { value, library: value.startsWith('far') ? 'fa-regular' : 'fa-solid' };
+    }
+
+    switch (layout.listStyleType) {
+      case 'disc': return { value: 'fas fa-circle', library: 'fa-solid' };
+      case 'circle': return { value: 'far fa-circle', library: 'fa-regular' };
+      case 'square': return { value: 'fas fa-square', library: 'fa-solid' };
+      default: return none;
+    }
+  }
+
+  /**
+   * Build an icon-list widget from a ul/ol - one entry per li, nested items flattened in
+   * document order; ordered lists keep their counters in the item text
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - ul/ol element
+   * @returns {object} The filled widget
+   */
+  buildIconListWidget(widget, element) {
+    const entries = [];
+
+    const collect = (list) => {
+      const start = parseInt(list.attributes?.allAttributes?.start) || 1;
+
+      (list.children || []).forEach((item, index) => {
+        const parts = this.getListItemParts(item);
+        const counter = list.tagName === 'ol'
+          ? this.formatListCounter(start + index, item.layout?.listStyleType || list.layout?.listStyleType || 'decimal')
+          : null;
+        const hasRealHref = parts.href && parts.href !== '#' && !parts.href.startsWith('javascript:');
+
+        entries.push({
+          item,
+          parts,
+          entry: {
+            _id: this.generateElementId(item, 'list-item').substring(0, 7),
+            text: counter ? `${counter}. ${parts.text}` : parts.text,
+            selected_icon: counter ? { value: '', library: '' } : this.getListMarkerIcon(item, parts.iconNode),
+            ...(hasRealHref && { link: { url: parts.href, is_external: '', nofollow: '' } })
+          }
+        });
+
+        parts.nestedLists.forEach(collect);
+      });
+    };
+    collect(element);
+
+    const first = entries[0];
+    const itemLayout = first?.item.layout || {};
+    const textLayout = (first?.parts.linkNode || first?.item)?.layout || {};
+    const marker = itemLayout.marker || {};
+    const markerColor = marker.before?.color || marker.color;
+    const listLayout = element.layout || {};
+    const horizontal = entries.length > 1 && this.isHorizontalMenu(element);
+    const hasIcons = entries.some(({ entry }) => entry.selected_icon.value);
+
+    // Spacing between entries: flex/grid gap, else the item's own margin and padding
+    const gap = this.parseGap(listLayout);
+    const px = (value) => parseFloat(value) || 0;
+    const space = horizontal
+      ? (gap.size || px(itemLayout.margin?.right) + px(itemLayout.margin?.left))
+      : (parseInt(gap.row) || px(itemLayout.margin?.bottom) + px(itemLayout.margin?.top) +
+        px(itemLayout.padding?.top) + px(itemLayout.padding?.bottom));
+
+    // Browser bullets are drawn at roughly a third of the font size
+    const isPlainBullet = !first?.parts.iconNode && !marker.before && ['disc', 'circle', 'square'].includes(itemLayout.listStyleType);
+    const markerSize = isPlainBullet
+      ? Math.max(4, Math.round(px(itemLayout.fontSize) * 0.35))
+      : Math.round(px(marker.before?.fontSize) || px(marker.fontSize) || px(itemLayout.fontSize));
+
+    widget.widgetType = "icon-list";
+    widget.settings = {
+      view: horizontal ? "inline" : "traditional",
+      icon_list: entries.map(({ entry }) => entry),
+      ...(['center', 'right'].includes(listLayout.textAlign) && { icon_align: listLayout.textAlign }),
+      ...(space > 0 && { space_between: { unit: "px", size: Math.round(space) } }),
+      ...(hasIcons && markerColor && { icon_color: markerColor }),
+      ...(hasIcons && markerSize > 0 && { icon_size: { unit: "px", size: markerSize } }),
+      ...(textLayout.color && { text_color: textLayout.color }),
+      icon_typography_typography: "custom",
+      ...(textLayout.fontFamily && {
+        icon_typography_font_family: textLayout.fontFamily.split(',')[0].trim().replace(/['"]/g, '')
+      }),
+      ...(textLayout.fontSize && {
+        icon_typography_font_size: { size: parseInt(textLayout.fontSize) || 16, unit: "px" }
+      }),
+      ...(textLayout.fontWeight && { icon_typography_font_weight: textLayout.fontWeight }),
+      ...(textLayout.lineHeight && parseFloat(textLayout.lineHeight) > 0 && {
+        icon_typography_line_height: { size: parseFloat(textLayout.lineHeight), unit: "px" }
+      })
+    };
+
+    return widget;
+  }
+
+  /**
+   * Strip scripts, inline event handlers and javascript: URLs from captured markup
+   * @param {string} html - Raw markup
+   * @returns {string} Sanitized markup
+   */
+  sanitizeHtml(html) {
+    if (!html) return '';
+
+    const $ = cheerio.load(String(html), null, false);
+    $('script, noscript, object, embed').remove();
+    $('*').each((_i, node) => {
+      for (const name of Object.keys(node.attribs || {})) {
+        const value = String(node.attribs[name] || '').trim().toLowerCase();
+        if (name.startsWith('on') || (['href', 'src', 'action', 'formaction', 'xlink:href'].includes(name) && value.startsWith('javascript:'))) {
+          $(node).removeAttr(name);
+        }
+      }
+    });
+
+    return $.html();
+  }
+
+  /**
+   * Collect the fields of a captured form in document order
+   * Radios and checkboxes sharing a name are grouped into one option field
+   * @param {object} form - Captured form element
+   * @returns {object} {fields, submit, hasLabels}
+   */
+  extractFormFields(form) {
+    const labelsFor = {};
+    const fields = [];
+    const groups = {};
+    let submit = null;
+    let hasLabels = false;
+
+    const attrsOf = (node) => ({ ...(node.attributes?.allAttributes || {}), ...node.attributes });
+    const textOf = (node) => (node?.allTextContent || node?.textContent || '').trim();
+
+    // First pass: <label for="..."> text
+    this.findDescendants(form, node => node.tagName === 'label').forEach(label => {
+      const target = label.attributes?.allAttributes?.for;
+      if (target) labelsFor[target] = textOf(label);
+    });
+
+    const traverse = (node, enclosingLabel = null, depth = 0) => {
+      if (!node || depth > 50) return;
+      const tagName = node.tagName || '';
+      const attrs = attrsOf(node);
+      const type = String(attrs.type || (tagName === 'button' ? 'submit' : 'text')).toLowerCase();
+
+      if (tagName === 'label') {
+        (node.children || []).forEach(child => traverse(child, node, depth + 1));
+        return;
+      }
+
+      const isSubmit = (tagName === 'button' && type === 'submit') ||
+        (tagName === 'input' && (type === 'submit' || type === 'image'));
+      if (isSubmit) {
+        submit = submit || node;
+        return;
+      }
+
+      if (['input', 'textarea', 'select'].includes(tagName) && !['hidden', 'button', 'reset'].includes(type)) {
+        const ownLabel = labelsFor[node.id] ||
+          (enclosingLabel ? textOf(enclosingLabel).replace(textOf(node), '').trim() : '') ||
+          attrs['aria-label'] || '';
+        if (ownLabel) hasLabels = true;
+
+        const required = 'required' in attrs || attrs['aria-required'] === 'true' ||
+          this.isRequiredInAssets(form, attrs.name);
+
+        if ((type === 'radio' || type === 'checkbox') && tagName === 'input') {
+          const key = `${type}:${attrs.name || fields.length}`;
+          const option = ownLabel || attrs.value || '';
+          if (groups[key]) {
+            groups[key].options.push({ label: option, value: attrs.value || option });
+            groups[key].required = groups[key].required || required;
+            return;
+          }
+          groups[key] = { tagName, type, node, name: attrs.name, label: '', required, options: [{ label: option, value: attrs.value || option }] };
+          fields.push(groups[key]);
+          return;
+        }
+
+        fields.push({
+          tagName,
+          type: tagName === 'input' ? type : tagName,
+          node,
+          name: attrs.name,
+          label: ownLabel,
+          placeholder: attrs.placeholder || '',
+          required,
+          options: tagName === 'select'
+            ? (node.children || []).filter(child => child.tagName === 'option').map(option => ({
+              label: textOf(option),
+              value: option.attributes?.value ?? textOf(option)
+            }))
+            : []
+        });
+        return;
+      }
+
+      (node.children || []).forEach(child => traverse(child, enclosingLabel, depth + 1));
+    };
+
+    (form.children || []).forEach(child => traverse(child));
+
+    // A lone button without an explicit type still submits the form
+    if (!submit) {
+      submit = this.findDescendants(form, node => node.tagName === 'button').pop() || null;
+    }
+
+    return { fields, submit, hasLabels };
+  }
+
+  /**
+   * Check the form inputs captured in ir.assets.forms for a required flag
+   * @param {object} form - Captured form element
+   * @param {string} name - Input name
+   * @returns {boolean} True if the matching captured input is required
+   */
+  isRequiredInAssets(form, name) {
+    if (!name) return false;
+
+    const forms = this.assets?.forms || [];
+    const match = forms.find(f => (form.id && f.id === form.id)) ||
+      forms.find(f => f.className && f.className === form.className) ||
+      (forms.length === 1 ? forms[0] : null);
+
+    return !!match?.inputs?.find(input => input.name === name)?.required;
+  }
+
+  /**
+   * Build a form widget: Elementor Pro form, or an html widget keeping the markup on free Elementor
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Captured form element
+   * @returns {object} The filled widget
+   */
+  buildFormWidget(widget, element) {
+    if (!this.exportOptions?.elementorPro) {
+      widget.widgetType = "html";
+      widget.settings = {
+        html: this.sanitizeHtml(element.outerHTML || `<form>${element.innerHTML || ''}</form>`)
+      };
+      return widget;
+    }
+
+    const { fields, submit, hasLabels } = this.extractFormFields(element);
+    const formWidth = parseFloat(element.layout?.width) || 0;
+    const widthSteps = [20, 25, 33, 40, 50, 60, 66, 75, 80, 100];
+    const fieldTypes = {
+      text: 'text', search: 'text', email: 'email', tel: 'tel', url: 'url', number: 'number',
+      date: 'date', time: 'time', password: 'password', file: 'upload',
+      textarea: 'textarea', select: 'select', radio: 'radio', checkbox: 'checkbox'
+    };
+
+    const usedIds = new Set();
+    const customId = (name, i) => {
+      let id = String(name || '').toLowerCase().replace(/[^a-z0-9_]/g, '_').replace(/^_+|_+$/g, '') || `field_${i + 1}`;
+      while (usedIds.has(id)) id = `${id}_${i + 1}`;
+      usedIds.add(id);
+      return id;
+    };
+
+    const formFields = fields.map((field, i) => {
+      const width = parseFloat(field.node.layout?.width) || 0;
+      const percent = formWidth > 0 && width > 0 ? (width / formWidth) * 100 : 100;
+      const snapped = widthSteps.reduce((best, step) => Math.abs(step - percent) < Math.abs(best - percent) ? step : best, 100);
+
+      // A single checkbox is a consent box
+      const fieldType = field.type === 'checkbox' && field.options.length === 1
+        ? 'acceptance'
+        : (fieldTypes[field.type] || 'text');
+
+      return {
+        _id: this.generateElementId(field.node, 'field').substring(0, 7),
+        custom_id: customId(field.name, i),
+        field_type: fieldType,
+        field_label: field.label || (fieldType === 'acceptance' ? '' : field.placeholder),
+        placeholder: field.placeholder || '',
+        required: field.required ? 'true' : '',
+        width: String(snapped),
+        ...(fieldType === 'acceptance' && { acceptance_text: field.options[0].label }),
+        ...(['select', 'radio', 'checkbox'].includes(fieldType) && {
+          field_options: field.options
+            .map(option => option.value && option.value !== option.label ? `${option.label}|${option.value}` : option.label)
+            .join('\n')
+        }),
+        ...(fieldType === 'textarea' && { rows: parseInt(field.node.attributes?.allAttributes?.rows) || 4 })
+      };
+    });
+
+    const submitLayout = submit?.layout || {};
+    const submitText = (submit?.allTextContent || submit?.textContent || submit?.attributes?.value || '').trim();
+    const hasButtonBackground = submitLayout.backgroundColor && submitLayout.backgroundColor !== "rgba(0, 0, 0, 0)";
+
+    widget.widgetType = "form";
+    widget.settings = {
+      form_name: element.attributes?.name || element.attributes?.['aria-label'] || element.id || 'Cloned Form',
+      form_fields: formFields,
+      show_labels: hasLabels ? 'yes' : '',
+      button_text: submitText || 'Send',
+      button_size: 'sm',
+      button_width: '100',
+      ...(hasButtonBackground && { button_background_color: submitLayout.backgroundColor }),
+      ...(submitLayout.color && { button_text_color: submitLayout.color }),
+      ...(submitLayout.borderRadius && parseInt(submitLayout.borderRadius) > 0 && {
+        button_border_radius: {
+          unit: 'px',
+          top: parseInt(submitLayout.borderRadius),
+          right: parseInt(submitLayout.borderRadius),
+          bottom: parseInt(submitLayout.borderRadius),
+          left: parseInt(submitLayout.borderRadius),
+          isLinked: true
+        }
+      }),
+      ...(submitLayout.fontSize && {
+        button_typography_typography: 'custom',
+        button_typography_font_size: { size: parseInt(submitLayout.fontSize) || 16, unit: 'px' },
+        ...(submitLayout.fontWeight && { button_typography_font_weight: submitLayout.fontWeight })
+      })
+    };
+
+    return widget;
+  }
+
+  /**
+   * Map Font Awesome classes (4.x, 5.x and 6.x naming) to an Elementor icon value
+   * @param {object} element - Captured node
+   * @returns {object|null} { value, library } or null when the node is not a Font Awesome glyph
+   */
+  getFontAwesomeIcon(element) {
+    if (!['i', 'span'].includes(element?.tagName)) return null;
+    if ((element.allTextContent || element.textContent || '').trim()) return null;
+
+    const classes = String(element.className || '').split(/\s+/).filter(Boolean);
+    const styles = {
+      fas: 'fa-solid', 'fa-solid': 'fa-solid',
+      far: 'fa-regular', 'fa-regular': 'fa-regular',
+      fab: 'fa-brands', 'fa-brands': 'fa-brands',
+      fa: null
+    };
+    const prefix = classes.find(cls => cls in styles);
+    if (prefix === undefined) return null;
+
+    const modifiers = ['fa-fw', 'fa-lg', 'fa-xs', 'fa-sm', 'fa-spin', 'fa-pulse', 'fa-border', 'fa-inverse', 'fa-solid', 'fa-regular', 'fa-brands'];
+    let name = classes.find(cls => cls.startsWith('fa-') && !modifiers.includes(cls) && !/^fa-\dx$/.test(cls) &&
+      !/^fa-(rotate|flip|pull|stack)/.test(cls));
+    if (!name) return null;
+
+    let library = styles[prefix];
+    if (!library) {
+      // Font Awesome 4: "-o" marks outline icons, brands share the "fa" prefix
+      const brands = ['facebook', 'facebook-f', 'twitter', 'instagram', 'linkedin', 'linkedin-in', 'youtube', 'github',
+        'pinterest', 'pinterest-p', 'whatsapp', 'tiktok', 'google', 'apple', 'android', 'vimeo', 'dribbble', 'behance',
+        'telegram', 'skype', 'slack', 'spotify', 'snapchat', 'reddit', 'tumblr', 'yelp', 'amazon', 'paypal', 'x-twitter'];
+      if (name.endsWith('-o')) {
+        name = name.slice(0, -2);
+        library = 'fa-regular';
+      } else {
+        library = brands.includes(name.slice(3)) ? 'fa-brands' : 'fa-solid';
+      }
+    }
+
+    const shortPrefix = { 'fa-solid': 'fas', 'fa-regular': 'far', 'fa-brands': 'fab' }[library];
+    return { value: `${shortPrefix} ${name}`, library };
+  }
+
+  /**
+   * Check if a node is an icon: an inline svg or an icon-font glyph
+   * @param {object} element - Captured node
+   * @returns {boolean} True for icon nodes
+   */
+  isIconNode(element) {
+    if (!element) return false;
+    if (element.tagName === 'svg') {
+      const layout = element.layout || {};
+      return !(parseFloat(layout.width) > 256 || parseFloat(layout.height) > 256);
+    }
+    return !!this.getFontAwesomeIcon(element);
+  }
+
+  /**
+   * Resolve an icon node to Elementor's selected_icon value
+   * Inline svgs need their session copy (saved by the AssetManager under a hash of the markup)
+   * @param {object} element - Icon node
+   * @returns {object|null} selected_icon value, null when the svg was not saved
+   */
+  resolveIcon(element) {
+    const fontIcon = this.getFontAwesomeIcon(element);
+    if (fontIcon) return fontIcon;
+
+    if (element?.tagName !== 'svg' || !element.outerHTML || !this.assetMapping?.images?.length) return null;
+
+    // Same key as ImageDownloader.inlineSvgKey
+    const key = `inline-svg:${crypto.createHash('md5').update(element.outerHTML).digest('hex')}`;
+    const asset = this.assetMapping.images.find(image => image.originalUrl === key);
+
+    return asset ? { value: { url: asset.localUrl, id: '' }, library: 'svg' } : null;
+  }
+
+  /**
+   * Icon color and size settings shared by icon and icon-box widgets
+   * @param {object} element - Icon node
+   * @param {string} sizeKey - Setting name for the icon size
+   * @returns {object} Settings
+   */
+  buildIconStyle(element, sizeKey) {
+    const layout = element.layout || {};
+    const isSvg = element.tagName === 'svg';
+    // Multi-color svgs keep their own fills
+    const usesCurrentColor = !isSvg || /currentColor/i.test(element.outerHTML || '');
+    const size = isSvg
+      ? Math.round(Math.max(parseFloat(layout.width) || 0, parseFloat(layout.height) || 0))
+      : parseInt(layout.fontSize);
+
+    return {
+      ...(usesCurrentColor && layout.color && { primary_color: layout.color }),
+      ...(size > 0 && { [sizeKey]: { size, unit: 'px' } })
+    };
+  }
+
+  /**
+   * Build an icon widget, or an html widget with the markup when an svg was not saved
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Icon node
+   * @returns {object} The filled widget
+   */
+  buildIconWidget(widget, element) {
+    const icon = this.resolveIcon(element);
+
+    if (!icon) {
+      widget.widgetType = "html";
+      widget.settings = { html: this.sanitizeHtml(element.outerHTML || '') };
+      return widget;
+    }
+
+    widget.widgetType = "icon";
+    widget.settings = {
+      selected_icon: icon,
+      view: 'default',
+      align: element.layout?.textAlign === 'center' || element.layout?.textAlign === 'right' ? element.layout.textAlign : 'left',
+      ...this.buildIconStyle(element, 'size')
+    };
+
+    return widget;
+  }
+
+  /**
+   * Find the parts of an icon + heading + text group (feature card)
+   * @param {object} element - Captured node
+   * @returns {object|null} { icon, heading, texts, link } or null when the node is not an icon box
+   */
+  findIconBoxParts(element) {
+    if (!['div', 'li', 'article', 'a', 'figure'].includes(element?.tagName)) return null;
+    // Feature cards carry a short blurb - skip the subtree walk for page wrappers
+    if ((element.allTextContent || '').length > 600) return null;
+
+    const icons = this.findDescendants(element, node => this.isIconNode(node));
+    if (icons.length !== 1) return null;
+
+    const headings = this.findDescendants(element, node => ['h2', 'h3', 'h4', 'h5', 'h6'].includes(node.tagName));
+    const texts = this.findDescendants(element, node => node.tagName === 'p');
+    const blockers = this.findDescendants(element, node =>
+      ['img', 'video', 'iframe', 'form', 'ul', 'ol', 'table', 'button', 'input', 'section'].includes(node.tagName));
+
+    if (headings.length !== 1 || texts.length > 2 || blockers.length > 0) return null;
+    if (!(headings[0].allTextContent || headings[0].textContent || '').trim()) return null;
+
+    // The icon leads the group (above or beside the heading)
+    const iconLayout = icons[0].layout || {};
+    const headingLayout = headings[0].layout || {};
+    const iconFirst = (iconLayout.y ?? 0) < (headingLayout.y ?? 0) ||
+      (iconLayout.right ?? 0) <= (headingLayout.left ?? 0);
+    if (!iconFirst || !this.resolveIcon(icons[0])) return null;
+
+    const links = this.findDescendants(element, node => node.tagName === 'a' && node.attributes?.href);
+    const href = element.tagName === 'a' ? element.attributes?.href : links[0]?.attributes?.href;
+
+    return { icon: icons[0], heading: headings[0], texts, href: links.length <= 1 ? href : null };
+  }
+
+  /**
+   * Parse a YouTube/Vimeo embed URL into its provider, watch URL and player flags
+   * @param {string} src - iframe src
+   * @returns {object|null} { provider, url, privacy, params } or null for other iframes
+   */
+  parseVideoEmbed(src) {
+    if (!src) return null;
+
+    let parsed;
+    try {
+      parsed = new URL(src, 'https://www.youtube.com');
+    } catch {
+      return null;
+    }
+
+    const host = parsed.hostname.replace(/^www\./, '');
+    const params = parsed.searchParams;
+
+    if (['youtube.com', 'youtube-nocookie.com', 'm.youtube.com', 'youtu.be'].includes(host)) {
+      const id = host === 'youtu.be'
+        ? parsed.pathname.slice(1)
+        : (parsed.pathname.match(/\/(?:embed|shorts|v)\/([\w-]+)/)?.[1] || params.get('v'));
+      if (!id || id === 'videoseries') return null;
+      return { provider: 'youtube', url: `https://www.youtube.com/watch?v=${id}`, privacy: host === 'youtube-nocookie.com', params };
+    }
+
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+      const id = parsed.pathname.match(/\/(?:video\/)?(\d+)/)?.[1];
+      if (!id) return null;
+      return { provider: 'vimeo', url: `https://vimeo.com/${id}`, privacy: false, params };
+    }
+
+    return null;
+  }
+
+  /**
+   * Map a captured URL to its downloaded session copy, if any
+   * @param {string} url - Original URL
+   * @param {Array} assets - Asset mapping entries ({originalUrl, localUrl})
+   * @returns {string} Local URL or the original
+   */
+  resolveAssetUrl(url, assets) {
+    if (!url || !assets?.length) return url;
+
+    try {
+      return this.findMatchingAsset(url, assets)?.localUrl || url;
+    } catch (assetError) {
+      console.error(`❌ Asset mapping error for ${url}:`, assetError.message);
+      return url;
+    }
+  }
+
+  /**
+   * Snap a box to the nearest aspect ratio offered by the Elementor video widget
+   * @param {number} width - Rendered width
+   * @param {number} height - Rendered height
+   * @returns {string} Elementor aspect_ratio value
+   */
+  nearestAspectRatio(width, height) {
+    if (!(width > 0) || !(height > 0)) return '169';
+
+    const ratios = { '169': 16 / 9, '219': 21 / 9, '43': 4 / 3, '32': 3 / 2, '11': 1, '916': 9 / 16 };
+    const actual = width / height;
+
+    return Object.entries(ratios).reduce((best, [key, ratio]) =>
+      Math.abs(ratio - actual) < Math.abs(ratios[best] - actual) ? key : best, '169');
+  }
+
+  /**
+   * Build a video widget from a YouTube/Vimeo iframe or a <video> tag
+   * Self-hosted files point at the session copy when the video was downloaded
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Captured video/iframe element
+   * @returns {object} The filled widget
+   */
+  buildVideoWidget(widget, element) {
+    const attributes = element.attributes || {};
+    const allAttributes = attributes.allAttributes || {};
+    const src = attributes.src || allAttributes.src || '';
+    const embed = element.tagName === 'iframe' ? this.parseVideoEmbed(src) : null;
+
+    // assets.videos carries the player state for the same source
+    const asset = (this.assets?.videos || []).find(video => video.src && video.src === src) || {};
+    const width = parseFloat(element.layout?.width) || asset.width;
+    const height = parseFloat(element.layout?.height) || asset.height;
+    const flag = value => value ? 'yes' : '';
+
+    widget.widgetType = "video";
+
+    if (embed) {
+      const param = name => embed.params.get(name) === '1';
+      const start = parseInt(embed.params.get('start') || embed.params.get('t')) || 0;
+
+      widget.settings = {
+        video_type: embed.provider,
+        [`${embed.provider}_url`]: embed.url,
+        autoplay: flag(param('autoplay')),
+        mute: flag(param('mute') || param('muted')),
+        loop: flag(param('loop')),
+        ...(embed.provider === 'youtube' && {
+          controls: flag(embed.params.get('controls') !== '0'),
+          ...(embed.privacy && { yt_privacy: 'yes' }),
+          ...(start > 0 && { start })
+        })
+      };
+    } else {
+      const has = name => name in allAttributes || !!asset[name];
+      const videoUrl = this.resolveAssetUrl(src, this.assetMapping?.videos);
+      const poster = attributes.poster || allAttributes.poster || asset.poster;
+
+      widget.settings = {
+        video_type: "hosted",
+        insert_url: "yes",
+        external_url: { url: videoUrl || '', is_external: '', nofollow: '' },
+        autoplay: flag(has('autoplay')),
+        mute: flag(has('muted')),
+        loop: flag(has('loop')),
+        controls: flag(has('controls')),
+        ...(poster && {
+          show_image_overlay: 'yes',
+          image_overlay: { url: this.resolveAssetUrl(poster, this.assetMapping?.images), id: '' }
+        })
+      };
+    }
+
+    widget.settings.aspect_ratio = this.nearestAspectRatio(width, height);
+
+    return widget;
+  }
+
+  /**
+   * Index the accordions/toggles/tabs and carousels recorded by the scraper by DOM path
+   * @param {Array} components - Scraped components ({type, domPath, items | slides, ...})
+   * @returns {Map} domPath → component
+   */
+  indexInteractiveComponents(components) {
+    const index = new Map();
+
+    for (const component of Array.isArray(components) ? components : []) {
+      const entries = component?.type === 'carousel' ? component.slides : component?.items;
+      if (component?.domPath && ['accordion', 'toggle', 'tabs', 'carousel'].includes(component.type) && entries?.length) {
+        index.set(component.domPath, component);
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Get the collapsible component or carousel rooted at a node
+   * Scraped components carry every panel/slide; without them <details> groups are
+   * read straight from the captured tree (their closed content is still in the DOM)
+   * @param {object} element - Captured node
+   * @returns {object|null} Component ({type, items, style})
+   */
+  getInteractiveComponent(element) {
+    const key = this.getNodeKey(element);
+    if (key && this.interactiveComponents?.has(key)) return this.interactiveComponents.get(key);
+
+    const children = element.children || [];
+    const group = element.tagName === 'details'
+      ? [element]
+      : (children.length > 0 && children.every(child => child.tagName === 'details') ? children : null);
+    if (!group) return null;
+
+    const names = group.map(details => details.attributes?.allAttributes?.name).filter(Boolean);
+    const summaries = group.map(details => (details.children || []).find(child => child.tagName === 'summary'));
+
+    return {
+      type: group.length > 1 && names.length === group.length && new Set(names).size === 1 ? 'accordion' : 'toggle',
+      source: 'details',
+      items: group.map((details, i) => ({
+        title: (summaries[i]?.allTextContent || summaries[i]?.textContent || '').trim(),
+        content: (details.children || []).filter(child => child !== summaries[i]).map(child => child.outerHTML || '').join(''),
+        open: 'open' in (details.attributes?.allAttributes || {})
+      })),
+      style: { title: summaries[0]?.layout, content: group[0].layout }
+    };
+  }
+
+  /**
+   * Prepare captured panel markup for a WYSIWYG field: sanitized, with images
+   * pointing at their session copies
+   * @param {string} html - Panel markup
+   * @returns {string} Panel content
+   */
+  buildPanelContent(html) {
+    const $ = cheerio.load(this.sanitizeHtml(html), null, false);
+    $('img[src]').each((_i, img) => {
+      $(img).attr('src', this.resolveAssetUrl($(img).attr('src'), this.assetMapping?.images));
+    });
+    return $.html().trim();
+  }
+
+  /**
+   * Build an accordion, toggle or tabs widget holding every captured panel
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Component root node
+   * @param {object} component - Component from getInteractiveComponent
+   * @returns {object} The filled widget
+   */
+  buildCollapsibleWidget(widget, element, component) {
+    const style = component.style || {};
+    const title = style.title || {};
+    const content = style.content || {};
+    const color = value => value && this.getColorAlpha(value) > 0 ? value : null;
+    const borderWidth = parseFloat(title.borderWidth) || 0;
+
+    widget.widgetType = component.type;
+    widget.settings = {
+      tabs: component.items.map((item, i) => ({
+        _id: this.generateElementId(element, `tab-${i}`).substring(0, 7),
+        tab_title: item.title || `Item #${i + 1}`,
+        tab_content: this.buildPanelContent(item.content)
+      })),
+      ...this.buildTypographySettings(component.type === 'tabs' ? 'tab' : 'title', title),
+      ...this.buildTypographySettings('content', content),
+      ...(color(content.color) && { content_color: content.color })
+    };
+
+    if (component.type === 'tabs') {
+      const active = style.active || {};
+      Object.assign(widget.settings, {
+        type: component.orientation === 'vertical' ? 'vertical' : 'horizontal',
+        ...(color(title.color) && { tab_color: title.color }),
+        ...(color(active.color) && { tab_active_color: active.color }),
+        ...(color(content.backgroundColor) && { background_color: content.backgroundColor })
+      });
+    } else {
+      Object.assign(widget.settings, {
+        title_html_tag: 'div',
+        ...(color(title.color) && { title_color: title.color, tab_active_color: title.color }),
+        ...(color(title.backgroundColor) && { title_background: title.backgroundColor }),
+        ...(color(content.backgroundColor) && { content_background_color: content.backgroundColor }),
+        ...(borderWidth > 0 && {
+          border_width: { unit: 'px', size: borderWidth },
+          ...(color(title.borderColor) && { border_color: title.borderColor })
+        })
+      });
+    }
+
+    console.log(`✅ Built ${component.type} widget with ${component.items.length} items`);
+    return widget;
+  }
+
+  /**
+   * Pick the Elementor widget for a scraped carousel from its slide content
+   * Testimonial and slides carousels are Elementor Pro; without Pro, image-only
+   * sliders still become an image-carousel and the rest convert node by node
+   * @param {object} carousel - Carousel from extractCarousels
+   * @returns {string|null} 'testimonial-carousel' | 'slides' | 'image-carousel' | null
+   */
+  getCarouselWidgetType(carousel) {
+    const slides = carousel?.slides || [];
+    if (slides.length === 0) return null;
+
+    const share = predicate => slides.filter(predicate).length / slides.length;
+    const hasImage = slide => !!(slide.image?.src || slide.background);
+    const isAvatar = slide => !slide.image || (slide.image.width > 0 && slide.image.width <= 200);
+    const pro = !!this.exportOptions?.elementorPro;
+
+    const testimonial = share(slide => slide.quote ||
+      ((slide.name || slide.heading) && slide.description && !slide.button && !slide.background && isAvatar(slide))) >= 0.5;
+    const hero = share(slide => slide.background || (slide.heading && (slide.button || hasImage(slide)))) >= 0.5;
+
+    if (testimonial) return pro ? 'testimonial-carousel' : null;
+    if (hero && pro) return 'slides';
+    if (slides.every(hasImage) && (hero || share(slide => (slide.text || '').length <= 80) >= 0.5)) return 'image-carousel';
+
+    return null;
+  }
+
+  /**
+   * Build an image-carousel, testimonial-carousel or slides widget from every
+   * captured slide, with autoplay/navigation from the library config
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Carousel root node
+   * @param {object} carousel - Carousel from extractCarousels
+   * @param {string} kind - Widget type from getCarouselWidgetType
+   * @returns {object} The filled widget
+   */
+  buildCarouselWidget(widget, element, carousel, kind) {
+    const config = carousel.config || {};
+    const slides = carousel.slides || [];
+    const yes = value => value ? 'yes' : '';
+    const image = url => ({ url: this.resolveAssetUrl(url, this.assetMapping?.images) || '', id: '' });
+    const slidesToShow = String(Math.max(1, Math.min(10, Math.round(Number(config.slidesToShow) || 1))));
+    const speed = parseInt(config.speed) || 500;
+    const autoplaySpeed = parseInt(config.autoplaySpeed) || 5000;
+    const navigation = config.arrows && config.dots ? 'both' : (config.arrows ? 'arrows' : (config.dots ? 'dots' : 'none'));
+
+    widget.widgetType = kind;
+
+    if (kind === 'testimonial-carousel') {
+      widget.settings = {
+        slides: slides.map((slide, i) => ({
+          _id: this.generateElementId(element, `slide-${i}`).substring(0, 7),
+          content: slide.quote || slide.description || slide.text || '',
+          image: slide.image?.src ? image(slide.image.src) : { url: '', id: '' },
+          name: slide.name || slide.heading || '',
+          title: slide.role || ''
+        })),
+        layout: 'image_inline',
+        slides_per_view: slidesToShow,
+        slides_to_scroll: '1',
+        show_arrows: yes(config.arrows),
+        pagination: config.dots ? 'bullets' : '',
+        speed,
+        autoplay: yes(config.autoplay),
+        autoplay_speed: autoplaySpeed,
+        loop: yes(config.loop)
+      };
+    } else if (kind === 'slides') {
+      widget.settings = {
+        slides: slides.map((slide, i) => ({
+          _id: this.generateElementId(element, `slide-${i}`).substring(0, 7),
+          heading: slide.heading || '',
+          description: slide.description || '',
+          button_text: slide.button?.text || '',
+          link: { url: slide.button?.href || '', is_external: '', nofollow: '' },
+          ...((slide.background || slide.image?.src) && {
+            background_image: image(slide.background || slide.image.src),
+            background_size: 'cover'
+          })
+        })),
+        navigation,
+        autoplay: yes(config.autoplay),
+        autoplay_speed: autoplaySpeed,
+        infinite: yes(config.loop),
+        transition: config.fade ? 'fade' : 'slide',
+        transition_speed: speed,
+        ...(carousel.height > 0 && { slides_height: { unit: 'px', size: Math.round(carousel.height) } })
+      };
+    } else {
+      widget.settings = {
+        carousel: slides
+          .map(slide => slide.image?.src || slide.background)
+          .filter(Boolean)
+          .map(url => image(url)),
+        thumbnail_size: 'full',
+        slides_to_show: slidesToShow,
+        slides_to_scroll: '1',
+        navigation,
+        link_to: 'none',
+        autoplay: yes(config.autoplay),
+        autoplay_speed: autoplaySpeed,
+        infinite: yes(config.loop),
+        ...(slidesToShow === '1' && { effect: config.fade ? 'fade' : 'slide' }),
+        speed
+      };
+    }
+
+    console.log(`✅ Built ${kind} widget with ${slides.length} slides (${carousel.library || 'carousel'})`);
+    return widget;
+  }
+
+  /**
+   * Read a captured <table> into rows of cells (thead/tbody/tfoot order kept)
+   * @param {object} table - Captured table node
+   * @returns {Array} [{ group, node, cells: [{ node, tag, text, colspan, rowspan }] }]
+   */
+  getTableRows(table) {
+    const rows = [];
+
+    const collect = (node, group) => {
+      for (const child of node.children || []) {
+        if (['thead', 'tbody', 'tfoot'].includes(child.tagName)) {
+          collect(child, child.tagName);
+        } else if (child.tagName === 'tr') {
+          rows.push({
+            group,
+            node: child,
+            cells: (child.children || [])
+              .filter(cell => cell.tagName === 'td' || cell.tagName === 'th')
+              .map(cell => ({
+                node: cell,
+                tag: cell.tagName,
+                text: (cell.allTextContent || cell.textContent || '').replace(/\s+/g, ' ').trim(),
+                colspan: parseInt(cell.attributes?.allAttributes?.colspan) || 1,
+                rowspan: parseInt(cell.attributes?.allAttributes?.rowspan) || 1
+              }))
+          });
+        }
+      }
     };
+    collect(table, 'tbody');
 
-    console.log("✅ Comprehensive IR generated successfully");
-    return ir;
+    return rows;
   }
-  
-  // Legacy shim for buildIntermediateRepresentation
-  async buildIntermediateRepresentation(html) {
-    console.log("🔍 Legacy buildIntermediateRepresentation called - using toIR");
-    return this.toIR(html);
+
+  /**
+   * CSS declarations for a captured table cell
+   * @param {object} cell - Cell node
+   * @param {object} row - Row node (its background shows through transparent cells)
+   * @returns {object} property → value
+   */
+  getTableCellDeclarations(cell, row) {
+    const layout = cell.layout || {};
+    const padding = layout.padding || {};
+    const background = [layout.backgroundColor, row?.layout?.backgroundColor].find(color => color && this.getColorAlpha(color) > 0);
+    const declarations = {
+      'color': layout.color,
+      'background-color': background,
+      'font-size': layout.fontSize,
+      'font-weight': layout.fontWeight,
+      'font-style': layout.fontStyle === 'italic' ? 'italic' : undefined,
+      'text-align': ['left', 'center', 'right', 'justify'].includes(layout.textAlign) ? layout.textAlign : undefined,
+      'vertical-align': ['top', 'middle', 'bottom'].includes(layout.verticalAlign) ? layout.verticalAlign : undefined,
+      'text-transform': layout.textTransform && layout.textTransform !== 'none' ? layout.textTransform : undefined,
+      'white-space': layout.whiteSpace === 'nowrap' ? 'nowrap' : undefined,
+      'padding': ['top', 'right', 'bottom', 'left'].every(side => padding[side] !== undefined)
+        ? ['top', 'right', 'bottom', 'left'].map(side => padding[side]).join(' ')
+        : undefined
+    };
+
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      const border = layout.borderSides?.[side];
+      if (border && !/^0px|\bnone\b|\bhidden\b/.test(border)) declarations[`border-${side}`] = border;
+    }
+
+    return Object.fromEntries(Object.entries(declarations).filter(([, value]) => value !== undefined && value !== ''));
   }
-  
-  // Export template method
-  async exportTemplate(ir, mode = "template", assetMapping = null) {
-    console.log("🔍 ElementorConverter.exportTemplate called with mode:", mode);
 
-    // CRITICAL FIX: Get structure from responsiveLayouts.desktop.structure, not ir.structure
-    const desktopStructure = ir.responsiveLayouts?.desktop?.structure || ir.structure || null;
+  /**
+   * Keep captured CSS from closing the <style> element it is written into
+   * (a font-family or url() can carry "</style>")
+   * @param {string} css - CSS text
+   * @returns {string} CSS safe inside <style>
+   */
+  escapeStyleText(css) {
+    return String(css || '').replace(/<\/(style)/gi, '<\\/$1');
+  }
 
-    const template = await this.convertVisualToElementor({
-      visualStructure: {
-        completeHTML: ir.html,
-        structure: desktopStructure
-      },
-      pageInfo: ir.pageInfo || {},
-      assets: ir.assets || []
-    }, {}, assetMapping);
+  /**
+   * Scoped CSS reproducing a table's captured look: one rule per cell group
+   * (header, row headers, body, footer) from the values most cells share,
+   * plus row striping and column-wide alignment/weight/color overrides
+   * @param {object} table - Captured table node
+   * @param {Array} rows - Rows from getTableRows
+   * @param {string} scope - Scope class
+   * @returns {string} CSS
+   */
+  buildTableCss(table, rows, scope) {
+    const rules = [];
+    const format = (selector, declarations) => {
+      const body = Object.entries(declarations).map(([property, value]) => `${property}: ${value};`).join(' ');
+      if (body) rules.push(`${selector ? `.${scope} ${selector}` : `.${scope}`} { ${body} }`);
+    };
+    const majority = (declarationSets, minShare = 0.5) => {
+      const counts = {};
+      for (const declarations of declarationSets) {
+        for (const [property, value] of Object.entries(declarations)) {
+          counts[property] = counts[property] || new Map();
+          counts[property].set(value, (counts[property].get(value) || 0) + 1);
+        }
+      }
+      const result = {};
+      for (const [property, values] of Object.entries(counts)) {
+        const [value, count] = [...values].sort((a, b) => b[1] - a[1])[0];
+        if (count > declarationSets.length * minShare) result[property] = value;
+      }
+      return result;
+    };
 
-    if (mode === "template") {
-      const bytes = Buffer.from(JSON.stringify(template, null, 2));
-      return {
-        bytes,
-        kind: "json",
-        report: {
-          isValid: true,
-          mode: "template",
-          size: bytes.length
+    const layout = table.layout || {};
+    const tableBorders = Object.fromEntries(['top', 'right', 'bottom', 'left']
+      .map(side => [`border-${side}`, layout.borderSides?.[side]])
+      .filter(([, border]) => border && !/^0px|\bnone\b|\bhidden\b/.test(border)));
+    format('', { 'overflow-x': 'auto' });
+    format('table', {
+      'width': '100%',
+      'border-collapse': layout.borderCollapse === 'separate' ? 'separate' : 'collapse',
+      ...(layout.fontFamily && { 'font-family': layout.fontFamily }),
+      ...(layout.fontSize && { 'font-size': layout.fontSize }),
+      ...(layout.color && { 'color': layout.color }),
+      ...(layout.backgroundColor && this.getColorAlpha(layout.backgroundColor) > 0 && { 'background-color': layout.backgroundColor }),
+      ...tableBorders
+    });
+
+    const cells = rows.flatMap(row => row.cells.map((cell, column) => ({
+      ...cell,
+      row,
+      column,
+      declarations: this.getTableCellDeclarations(cell.node, row.node)
+    })));
+    const groups = [
+      ['thead > tr > *', cell => cell.row.group === 'thead'],
+      ['tbody > tr > th', cell => cell.row.group === 'tbody' && cell.tag === 'th'],
+      ['tbody > tr > td', cell => cell.row.group === 'tbody' && cell.tag === 'td'],
+      ['tfoot > tr > *', cell => cell.row.group === 'tfoot']
+    ];
+
+    for (const [selector, matches] of groups) {
+      const groupCells = cells.filter(matches);
+      if (groupCells.length === 0) continue;
+
+      const base = majority(groupCells.map(cell => cell.declarations));
+      format(selector, base);
+
+      // Zebra striping shows up as odd/even body rows with different backgrounds
+      if (selector === 'tbody > tr > td') {
+        const bodyRows = rows.filter(row => row.group === 'tbody');
+        const rowBackground = parity => majority(bodyRows
+          .filter((_row, i) => i % 2 === parity)
+          .flatMap(row => row.cells.map(cell => ({ 'background-color': this.getTableCellDeclarations(cell.node, row.node)['background-color'] || 'transparent' }))))['background-color'];
+        const odd = rowBackground(0);
+        const even = rowBackground(1);
+        if (bodyRows.length > 2 && odd && even && odd !== even) {
+          format('tbody > tr:nth-child(odd) > td', { 'background-color': odd });
+          format('tbody > tr:nth-child(even) > td', { 'background-color': even });
         }
+      }
+
+      // Columns that consistently differ from the group (a bold first column, right-aligned prices)
+      const columns = Math.max(...groupCells.map(cell => cell.column)) + 1;
+      for (let column = 0; column < columns && groupCells.length > columns; column++) {
+        const columnCells = groupCells.filter(cell => cell.column === column);
+        const columnValues = majority(columnCells.map(cell => cell.declarations), 0.75);
+        const overrides = Object.fromEntries(['text-align', 'font-weight', 'color', 'white-space']
+          .filter(property => columnValues[property] && columnValues[property] !== base[property])
+          .map(property => [property, columnValues[property]]));
+        format(selector.replace(/(\*|th|td)$/, `$1:nth-child(${column + 1})`), overrides);
+      }
+    }
+
+    return this.escapeStyleText(rules.join('\n'));
+  }
+
+  /**
+   * Check a tableWidget export option: 'html', a TABLE_WIDGET_MAPPINGS name, or a
+   * mapping object with the same widgetType/header/rows keys
+   * @param {string|object} option - tableWidget option
+   * @returns {boolean} True if buildTableWidget can use it
+   */
+  isValidTableWidgetOption(option) {
+    if (option === undefined || option === null || option === 'html') return true;
+    if (typeof option === 'string') return Object.hasOwn(this.TABLE_WIDGET_MAPPINGS, option);
+    return typeof option === 'object' && typeof option.widgetType === 'string' &&
+      ['key', 'text'].every(key => typeof option.header?.[key] === 'string') &&
+      ['key', 'type', 'text'].every(key => typeof option.rows?.[key] === 'string');
+  }
+
+  /**
+   * Build a table widget: an html widget with the sanitized table and scoped CSS,
+   * or a table add-on widget when the export names a mapping (tableWidget option)
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Captured table node
+   * @returns {object} The filled widget
+   */
+  buildTableWidget(widget, element) {
+    const rows = this.getTableRows(element);
+    const option = this.exportOptions?.tableWidget;
+    const mapping = typeof option === 'object' && option !== null ? option : this.TABLE_WIDGET_MAPPINGS[option];
+
+    if (mapping && rows.length > 0) {
+      // Header cells become the header repeater; body rows are row markers followed by their cells
+      const headerRow = rows.find(row => row.group === 'thead') || (rows[0].cells.every(cell => cell.tag === 'th') ? rows[0] : null);
+      const bodyRows = rows.filter(row => row !== headerRow);
+      const { header, rows: rowKeys } = mapping;
+
+      widget.widgetType = mapping.widgetType;
+      widget.settings = {
+        ...(mapping.settings || {}),
+        [header.key]: (headerRow?.cells || []).map(cell => ({
+          _id: this.generateElementId(cell.node, 'header-cell').substring(0, 7),
+          [header.text]: cell.text,
+          ...(header.colspan && cell.colspan > 1 && { [header.colspan]: cell.colspan })
+        })),
+        [rowKeys.key]: bodyRows.flatMap(row => [
+          { _id: this.generateElementId(row.node, 'row').substring(0, 7), [rowKeys.type]: 'row' },
+          ...row.cells.map(cell => ({
+            _id: this.generateElementId(cell.node, 'cell').substring(0, 7),
+            [rowKeys.type]: 'col',
+            ...(rowKeys.extra || {}),
+            [rowKeys.text]: cell.text,
+            ...(rowKeys.colspan && { [rowKeys.colspan]: cell.colspan }),
+            ...(rowKeys.rowspan && { [rowKeys.rowspan]: cell.rowspan })
+          }))
+        ])
       };
-    } else if (mode === "kit") {
-      const { default: AdmZip } = await import('adm-zip');
-      const zip = new AdmZip();
-      zip.addFile("template.json", Buffer.from(JSON.stringify(template, null, 2)));
-      // Add assets from ir (supports shapes: array or object collections)
-      const addAsset = (p, content) => {
-        const safe = String(p || '').replace(/[^a-zA-Z0-9._\/-]/g, '_');
-        const buf = Buffer.isBuffer(content) ? content : Buffer.from(String(content || ''), 'utf8');
-        zip.addFile(`assets/${safe}`, buf);
-      };
-      if (ir && ir.assets) {
-        if (Array.isArray(ir.assets)) {
-          ir.assets.forEach(a => addAsset(a.path || a.src || 'asset.bin', a.content || ''));
-        } else {
-          // Support categorized assets: images, fonts, etc.
-          const { images = [], fonts = [], videos = [] } = ir.assets;
-          images.forEach((img, i) => addAsset(img.path || img.src || `image_${i}.txt`, img.content || img.src || ''));
-          fonts.forEach((f, i) => addAsset(f.path || `font_${i}.txt`, f.content || ''));
-          videos.forEach((v, i) => addAsset(v.path || v.src || `video_${i}.txt`, v.content || v.src || ''));
-        }
+
+      console.log(`✅ Mapped table to ${mapping.widgetType} (${rows.length} rows)`);
+      return widget;
+    }
+
+    const scope = `cm-table-${widget.id}`;
+    const css = this.buildTableCss(element, rows, scope);
+    const markup = this.buildPanelContent(element.outerHTML || `<table>${element.innerHTML || ''}</table>`);
+
+    widget.widgetType = 'html';
+    widget.settings = {
+      html: `<div class="${scope}">\n${css ? `<style>\n${css}\n</style>\n` : ''}${markup}\n</div>`
+    };
+
+    console.log(`✅ Kept table as html widget (${rows.length} rows, ${css.split('\n').filter(Boolean).length} scoped rules)`);
+    return widget;
+  }
+
+  // ==================== END COMPOSITE WIDGETS ====================
+
+  // ==================== RAW HTML FALLBACK ====================
+
+  /**
+   * How well a node maps to native widgets: 1 maps fully, lower scores mean
+   * the visuals would be lost (canvas art, web components, large drawings,
+   * CSS art built from empty boxes, text-less shapes)
+   * @param {object} element - Captured node
+   * @returns {number} Confidence between 0 and 1
+   */
+  getConversionConfidence(element) {
+    const tagName = element.tagName || '';
+    const text = (element.allTextContent || element.textContent || '').trim();
+    const isDecorative = (node) => {
+      const layout = node.layout || {};
+      return !(node.allTextContent || node.textContent || '').trim() && node.tagName !== 'img' &&
+        Number(layout.width) > 0 && Number(layout.height) > 0 &&
+        ((layout.backgroundColor && this.getColorAlpha(layout.backgroundColor) > 0) ||
+          (layout.backgroundImage && layout.backgroundImage !== 'none') ||
+          (layout.boxShadow && layout.boxShadow !== 'none') ||
+          (layout.border && !/^0px|\bnone\b/.test(layout.border)));
+    };
+
+    if (tagName === 'canvas') return 0.1;
+    // Web components: little light-DOM text means the content is script- or shadow-rendered,
+    // unless the capture walked an open shadow root
+    if (tagName.includes('-') && !element.shadowRoot) return text.length <= 200 ? 0.3 : 0.6;
+    if (tagName === 'svg' && !this.isIconNode(element)) return 0.3;
+
+    const descendants = this.findDescendants(element, () => true, true);
+    if (!text && descendants.length >= 6 && descendants.filter(isDecorative).length >= descendants.length * 0.8) return 0.2;
+
+    // A bare shape would otherwise become a "Text content" placeholder
+    if (!text && descendants.length === 0 && ['div', 'span'].includes(tagName) && isDecorative(element)) return 0.4;
+
+    return 1;
+  }
+
+  /**
+   * Find the DOM paths of nodes matching the export's rawHtmlSelectors in the captured page
+   * @param {string} html - Captured page HTML
+   * @param {Array} selectors - CSS selectors
+   * @returns {Set} body/tag[index] paths
+   */
+  resolveRawHtmlSelectors(html, selectors) {
+    const paths = new Set();
+    if (!html || !Array.isArray(selectors) || selectors.length === 0) return paths;
+
+    const $ = this.getPageDocument();
+    const body = $?.('body')[0];
+    if (!body) return paths;
+
+    for (const selector of selectors) {
+      let matches = [];
+      try {
+        matches = $(selector).toArray();
+      } catch (error) {
+        console.warn(`⚠️ Invalid raw HTML selector "${selector}": ${error.message}`);
+        continue;
       }
-      // Add a simple manifest
-      zip.addFile("manifest.json", Buffer.from(JSON.stringify({
-        generatedAt: new Date().toISOString(),
-        sourceUrl: ir?.source?.url || '',
-        counts: await this.counts(ir)
-      }, null, 2)));
-      const bytes = zip.toBuffer();
-      return {
-        bytes,
-        kind: "zip",
-        report: {
-          isValid: true,
-          mode: "kit",
-          size: bytes.length
+
+      for (const node of matches) {
+        const parts = [];
+        let current = node;
+        while (current && current !== body && current.parent) {
+          parts.unshift(`${current.name}[${$(current).index()}]`);
+          current = current.parent;
         }
-      };
-    } else {
-      throw new Error("Invalid mode");
+        if (current === body) paths.add(['body', ...parts].join('/'));
+      }
+      console.log(`🧩 Raw HTML selector "${selector}" matched ${matches.length} element(s)`);
     }
+
+    return paths;
   }
 
-  async counts(ir) {
-    try {
-      if (ir && ir.structure) {
-        const countRecursive = (node) => {
-          if (!node) return { sections: 0, elements: 0, images: 0 };
-          let sections = node.tagName === 'section' ? 1 : 0;
-          let images = node.tagName === 'img' || (node.attributes && node.attributes.src) ? 1 : 0;
-          let elements = 1;
-          if (Array.isArray(node.children)) {
-            for (const c of node.children) {
-              const sub = countRecursive(c);
-              sections += sub.sections;
-              images += sub.images;
-              elements += sub.elements;
-            }
-          }
-          return { sections, elements, images };
-        };
-        return countRecursive(ir.structure);
+  /**
+   * The captured page parsed once per conversion
+   * @returns {Function|null} Cheerio root
+   */
+  getPageDocument() {
+    if (this._pageDocument === undefined) {
+      this._pageDocument = this.pageHtml ? cheerio.load(this.pageHtml) : null;
+    }
+    return this._pageDocument;
+  }
+
+  /**
+   * Locate a captured node in the parsed page by its DOM path
+   * @param {Function} $ - Cheerio root
+   * @param {string} domPath - body/tag[index] path
+   * @returns {object|null} Cheerio element
+   */
+  findDocumentNode($, domPath) {
+    if (!$ || !domPath) return null;
+
+    let current = $('body')[0];
+    for (const part of domPath.split('/').slice(1)) {
+      const match = part.match(/^(.+)\[(\d+)\]$/);
+      current = match && current ? $(current).children().get(Number(match[2])) : null;
+      if (!current || current.name !== match[1]) return null;
+    }
+    return current || null;
+  }
+
+  /**
+   * Parse the captured page CSS once per conversion
+   * @returns {object|null} css-tree AST, null when there is none or it does not parse
+   */
+  getPageStylesAst() {
+    if (this._pageStylesAst === undefined) {
+      this._pageStylesAst = null;
+      if (this.pageStyles) {
+        try {
+          this._pageStylesAst = csstree.parse(this.pageStyles, { parseValue: false, parseCustomProperty: false });
+        } catch (error) {
+          console.warn('⚠️ Could not parse page styles:', error.message);
+        }
       }
-      const $ = cheerio.load(ir?.html || '');
-      return {
-        sections: $('section').length,
-        elements: $('body *').length,
-        images: $('img').length
-      };
-    } catch (_e) {
-      return { sections: 0, elements: 0, images: 0 };
     }
+    return this._pageStylesAst;
   }
 
-  // Generate unique ID for Elementor elements
-  generateId() {
-    return Math.random().toString(36).substr(2, 8);
+  /**
+   * Collect the page's @keyframes rules for a set of animation names
+   * @param {Set<string>} names - Animation names (other tokens are ignored)
+   * @returns {string} CSS
+   */
+  collectKeyframesCss(names) {
+    const stylesAst = this.getPageStylesAst();
+    if (!stylesAst || names.size === 0) return '';
+
+    const css = [];
+    csstree.walk(stylesAst, {
+      visit: 'Atrule',
+      enter(atrule) {
+        if (/keyframes$/.test(atrule.name) && atrule.prelude && names.has(csstree.generate(atrule.prelude))) {
+          css.push(csstree.generate(atrule));
+        }
+      }
+    });
+    return css.join('\n');
   }
 
-  // Added missing methods for proper Elementor conversion
-  buildSectionSettings(element) {
-    const layout = element?.layout || {};
-    const hasBackground = layout.backgroundColor && layout.backgroundColor !== "rgba(0, 0, 0, 0)" && layout.backgroundColor !== "transparent";
+  /**
+   * Collect the page CSS that styles a region, rewritten under a scope class.
+   * Each selector keeps its longest tail that still matches inside the region,
+   * so ancestors outside it are dropped; @media/@supports wrappers and the
+   * @keyframes the rules animate with come along.
+   * @param {object} element - Region root node
+   * @param {string} scope - Scope class
+   * @returns {string} CSS
+   */
+  collectRegionCss(element, scope) {
+    const stylesAst = this.getPageStylesAst();
+    if (!stylesAst) return '';
 
-    return {
-      _element_width: "",
-      _element_width_tablet: "",
-      _element_width_mobile: "",
-      _element_custom_width: null,
-      _element_vertical_align: null,
-      _background_background: hasBackground ? "classic" : "",
-      _background_color: hasBackground ? layout.backgroundColor : "",
-      _background_image: layout.backgroundImage && layout.backgroundImage !== "none" ? { url: layout.backgroundImage } : "",
-      _border_border: "",
-      _border_width: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
-      _border_color: "",
-      _border_radius: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
-      _box_shadow_box_shadow_type: "",
-      _margin: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false },
-      _padding: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false }
+    const $doc = this.getPageDocument();
+    const root = this.findDocumentNode($doc, this.getNodeKey(element));
+    const $region = cheerio.load(`<div class="${scope}">${element.outerHTML || ''}</div>`, null, false);
+    const dynamicPseudo = /::?(?:before|after|hover|focus|focus-within|focus-visible|active|visited|link|placeholder|selection|marker|first-line|first-letter|-webkit-[a-z-]+|-moz-[a-z-]+)(?![\w-])/gi;
+    const testable = selector => {
+      const stripped = selector.replace(dynamicPseudo, '').trim();
+      return !stripped || /[>+~]$/.test(stripped) ? `${stripped} *`.trim() : stripped;
+    };
+    const matchesIn = ($, selector, check) => {
+      try {
+        return check($(testable(selector)).toArray());
+      } catch (error) {
+        return false;
+      }
+    };
+
+    const scoped = (selectorNode) => {
+      const source = csstree.generate(selectorNode);
+      // Skip selectors that style nothing inside the region on the live page
+      if (root && !matchesIn($doc, source, nodes => nodes.some(node => node === root || $doc.contains(root, node)))) return null;
+
+      const items = selectorNode.children.toArray();
+      const starts = [0, ...items.map((item, i) => item.type === 'Combinator' ? i + 1 : -1).filter(i => i > 0)];
+      for (const start of starts) {
+        const tail = csstree.generate({ type: 'Selector', children: new csstree.List().fromArray(items.slice(start)) });
+        if (matchesIn($region, `.${scope} ${tail}`, nodes => nodes.length > 0)) return `.${scope} ${tail}`;
+      }
+      return null;
+    };
+
+    const groups = new Map();
+    const animations = new Set();
+    csstree.walk(stylesAst, {
+      visit: 'Rule',
+      enter(rule) {
+        const atrule = this.atrule;
+        if (atrule && !['media', 'supports', 'layer', 'container'].includes(atrule.name)) return;
+        if (rule.prelude?.type !== 'SelectorList') return;
+
+        const selectors = rule.prelude.children.toArray().map(scoped).filter(Boolean);
+        if (selectors.length === 0) return;
+
+        const block = csstree.generate(rule.block);
+        (block.match(/animation(?:-name)?:[^;}]+/g) || [])
+          .forEach(declaration => declaration.split(':')[1].split(/[\s,]+/).forEach(name => animations.add(name)));
+
+        const wrapper = atrule ? `@${atrule.name} ${atrule.prelude ? csstree.generate(atrule.prelude) : ''}`.trim() : '';
+        if (!groups.has(wrapper)) groups.set(wrapper, []);
+        groups.get(wrapper).push(`${[...new Set(selectors)].join(', ')} ${block}`);
+      }
+    });
+
+    const css = [];
+    for (const [wrapper, rules] of groups) {
+      css.push(wrapper ? `${wrapper} {\n${rules.join('\n')}\n}` : rules.join('\n'));
+    }
+    const keyframes = this.collectKeyframesCss(animations);
+    if (keyframes) css.push(keyframes);
+
+    const output = this.escapeStyleText(css.join('\n'));
+    if (output.length > 60000) {
+      console.warn(`⚠️ Scoped CSS for ${scope} truncated (${output.length} chars)`);
+      return output.slice(0, output.lastIndexOf('}', 60000) + 1);
+    }
+    return output;
+  }
+
+  /**
+   * Build an html widget holding a region's sanitized markup and its scoped
+   * page CSS - for content native widgets cannot reproduce
+   * @param {object} widget - Base widget to fill
+   * @param {object} element - Region root node
+   * @returns {object} The filled widget
+   */
+  buildRawHtmlWidget(widget, element) {
+    const scope = `cm-raw-${widget.id}`;
+    const $ = cheerio.load(this.buildPanelContent(element.outerHTML || ''), null, false);
+
+    // Canvases come back empty without their script - show the captured frame instead
+    const canvases = element.tagName === 'canvas' ? [element] : this.findDescendants(element, node => node.tagName === 'canvas', true);
+    $('canvas').each((i, canvas) => {
+      const snapshot = canvases[i]?.snapshot;
+      if (!snapshot) return;
+      const image = $('<img alt="">').attr('src', snapshot);
+      for (const name of ['id', 'class', 'style', 'width', 'height']) {
+        if ($(canvas).attr(name) !== undefined) image.attr(name, $(canvas).attr(name));
+      }
+      $(canvas).replaceWith(image);
+    });
+
+    const css = this.collectRegionCss(element, scope);
+    widget.widgetType = 'html';
+    widget.settings = {
+      html: `<div class="${scope}">\n${css ? `<style>\n${css}\n</style>\n` : ''}${$.html().trim()}\n</div>`
     };
+
+    console.log(`🧩 Raw HTML fallback for <${element.tagName}> (${css ? css.split('\n').length : 0} lines of scoped CSS)`);
+    return widget;
   }
 
-  buildColumnSettings(element) {
+  // ==================== END RAW HTML FALLBACK ====================
+
+  // ==================== UNMAPPED STYLES ====================
+
+  /**
+   * Get the computed declarations of a node that no Elementor control reproduces
+   * and that differ from the browser default (or, for inherited properties, from the parent)
+   * @param {object} element - Captured node
+   * @param {object|null} parent - Captured node of the enclosing Elementor element
+   * @returns {Array} [{property, value}] with CSS property names
+   */
+  getUnmappedDeclarations(element, parent = null) {
     const layout = element?.layout || {};
-    const hasBackground = layout.backgroundColor && layout.backgroundColor !== "rgba(0, 0, 0, 0)" && layout.backgroundColor !== "transparent";
+    const parentLayout = parent?.layout || null;
+    const tagDefaults = this.UNMAPPED_STYLE_TAG_DEFAULTS[element.tagName] || {};
+    const hasDuration = value => String(value).split(/[\s,]+/).some(token => /^[\d.]+m?s$/.test(token) && parseFloat(token) > 0);
+    const toCss = name => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    const declarations = [];
 
-    return {
-      _column_size: 100,
-      _inline_size: null,
-      _background_background: hasBackground ? "classic" : "",
-      _background_color: hasBackground ? layout.backgroundColor : "",
-      _background_image: layout.backgroundImage && layout.backgroundImage !== "none" ? { url: layout.backgroundImage } : "",
-      _border_border: "",
-      _border_width: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
-      _border_color: "",
-      _border_radius: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: true },
-      _margin: { unit: "px", top: "", right: "", bottom: "", left: "", isLinked: false },
-      _padding: { unit: "px", top: "20", right: "20", bottom: "20", left: "20", isLinked: true }
+    for (const [name, defaults] of Object.entries(this.UNMAPPED_STYLE_DEFAULTS)) {
+      const value = layout[name];
+      if (value == null || value === '') continue;
+
+      const normalized = String(value).trim();
+      // text-decoration serializes line, style and color - the line decides
+      const compared = name === 'textDecoration' ? normalized.split(/\s+/)[0] : normalized;
+      // An inherited value is already in effect when the parent has it - and
+      // a default is not, when the parent overrides it
+      const inheritedFrom = this.INHERITED_STYLE_PROPERTIES.includes(name) && parentLayout?.[name] != null
+        ? String(parentLayout[name]).trim()
+        : null;
+      if ((tagDefaults[name] || []).includes(compared)) continue;
+      if (inheritedFrom !== null ? inheritedFrom === normalized : defaults.includes(compared)) continue;
+      if ((name === 'transition' || name === 'animation') && !hasDuration(normalized)) continue;
+      const shorthand = this.UNMAPPED_STYLE_SHORTHANDS[name];
+      if (shorthand && declarations.some(({ property }) => property === toCss(shorthand))) continue;
+
+      // Positioned elements keep their offsets; relative without offsets changes nothing
+      if (name === 'position') {
+        const offsets = ['top', 'right', 'bottom', 'left']
+          .filter(side => layout.inset?.[side] && layout.inset[side] !== 'auto' && !(normalized === 'relative' && parseFloat(layout.inset[side]) === 0))
+          .map(side => ({ property: side, value: String(layout.inset[side]).trim() }));
+        if (normalized === 'relative' && offsets.length === 0) continue;
+        declarations.push({ property: 'position', value: normalized }, ...offsets);
+        continue;
+      }
+
+      declarations.push({ property: toCss(name), value: normalized });
+
+      // The origin only matters for a transform, and only off-centre
+      if (name === 'transform' && layout.transformOrigin) {
+        const [x, y] = String(layout.transformOrigin).split(/\s+/).map(parseFloat);
+        const centred = Math.abs(x - (Number(layout.width) || 0) / 2) < 1 && Math.abs(y - (Number(layout.height) || 0) / 2) < 1;
+        if (!centred) declarations.push({ property: 'transform-origin', value: String(layout.transformOrigin).trim() });
+      }
+    }
+
+    return declarations;
+  }
+
+  /**
+   * Captured properties that are set on a node but neither mapped to a
+   * setting nor carried over as custom CSS
+   * @param {object} element - Captured node
+   * @returns {Array} Layout property names
+   */
+  getDroppedStyleProperties(element) {
+    return Object.entries(element?.layout || {})
+      .filter(([name, value]) => value != null && value !== '' &&
+        !this.MAPPED_STYLE_PROPERTIES.includes(name) && !Object.hasOwn(this.UNMAPPED_STYLE_DEFAULTS, name))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Carry computed styles no setting received over as custom CSS, walking the
+   * built tree so inherited values are compared against the enclosing element.
+   * With Elementor Pro each element gets its own custom_css; otherwise one
+   * page-level block keys the rules by element ID.
+   * @param {Array} content - Built Elementor elements
+   * @returns {object} {css, report} - page CSS ('' with Pro) and which properties went where
+   */
+  applyUnmappedStyles(content) {
+    const perElement = !!this.exportOptions?.elementorPro;
+    const report = { destination: perElement ? 'custom_css' : 'page_custom_css', elements: 0, properties: {}, dropped: {} };
+    const pageRules = [];
+    const animations = new Set();
+    let keyframesHost = null;
+
+    const visit = (node, parentSource) => {
+      if (!node) return;
+      const source = this._styleSources?.get(node) || null;
+
+      // html widgets carry their own CSS; a node built from the same capture as
+      // its parent (text-only wrappers, content-only columns) must not apply it twice
+      const skip = !source || !node.settings || (node.widgetType === 'html') ||
+        (parentSource && source.layout === parentSource.layout) || this.isHiddenLayout(source.layout);
+
+      if (!skip) {
+        for (const property of this.getDroppedStyleProperties(source)) {
+          report.dropped[property] = (report.dropped[property] || 0) + 1;
+        }
+
+        const declarations = this.getUnmappedDeclarations(source, parentSource);
+        if (declarations.length > 0) {
+          const body = declarations.map(({ property, value }) => `  ${property}: ${value};`).join('\n');
+          if (perElement) {
+            node.settings.custom_css = [node.settings.custom_css, `selector {\n${body}\n}`].filter(Boolean).join('\n');
+          } else {
+            pageRules.push(`.elementor-element.elementor-element-${node.id} {\n${body}\n}`);
+          }
+
+          report.elements++;
+          for (const { property, value } of declarations) {
+            (report.properties[property] ||= []).push(node.id);
+            if (property === 'animation') {
+              value.split(/[\s,]+/).forEach(token => animations.add(token));
+              keyframesHost ||= node;
+            }
+          }
+        }
+      }
+
+      (node.elements || []).forEach(child => visit(child, source || parentSource));
     };
+
+    (content || []).forEach(node => visit(node, null));
+
+    // Animations need their @keyframes, which exist only in the page stylesheet
+    const keyframes = this.collectKeyframesCss(animations);
+    if (keyframes) {
+      if (perElement) {
+        keyframesHost.settings.custom_css += `\n${keyframes}`;
+      } else {
+        pageRules.push(keyframes);
+      }
+    }
+
+    const summary = Object.entries(report.properties).map(([property, ids]) => `${property} ×${ids.length}`).join(', ');
+    if (summary) {
+      console.log(`🎨 Unmapped styles → ${report.destination} on ${report.elements} elements: ${summary}`);
+    }
+    if (Object.keys(report.dropped).length > 0) {
+      console.warn(`⚠️ Captured styles with no setting or CSS fallback: ${Object.keys(report.dropped).join(', ')}`);
+    }
+
+    return { css: pageRules.join('\n'), report };
   }
 
+  // ==================== END UNMAPPED STYLES ====================
+
   buildWidget(element) {
     const baseWidget = {
-      id: this.generateElementId(),
+      id: this.generateElementId(element, 'widget'),
       elType: "widget",
       settings: {},
       elements: [],
@@ -1130,8 +4560,31 @@ class ElementorConverter {
     // ENHANCED: Use allTextContent first (aggressive extraction), fallback to textContent, then innerHTML
     const textContent = element.allTextContent || element.textContent || element.text || element.innerHTML || '';
     const attributes = element.attributes || {};
+    const compositeType = this.detectCompositeWidget(element);
     
-    if (tagName === 'img') {
+    if (compositeType === 'nav-menu') {
+      this.buildNavMenuWidget(baseWidget, element);
+    } else if (compositeType === 'form') {
+      this.buildFormWidget(baseWidget, element);
+    } else if (compositeType === 'video') {
+      this.buildVideoWidget(baseWidget, element);
+    } else if (compositeType === 'icon') {
+      this.buildIconWidget(baseWidget, element);
+    } else if (['icon-box', 'image-box', 'call-to-action'].includes(compositeType)) {
+      this.buildCardWidget(baseWidget, element, compositeType);
+    } else if (compositeType === 'icon-list') {
+      this.buildIconListWidget(baseWidget, element);
+    } else if (['accordion', 'toggle', 'tabs'].includes(compositeType)) {
+      this.buildCollapsibleWidget(baseWidget, element, this.getInteractiveComponent(element));
+    } else if (compositeType === 'raw-html') {
+      this.buildRawHtmlWidget(baseWidget, element);
+    } else if (compositeType === 'table') {
+      this.buildTableWidget(baseWidget, element);
+    } else if (compositeType === 'price-table') {
+      this.buildPriceTableWidget(baseWidget, element, this.getPriceTableParts(element));
+    } else if (['image-carousel', 'testimonial-carousel', 'slides'].includes(compositeType)) {
+      this.buildCarouselWidget(baseWidget, element, this.getInteractiveComponent(element), compositeType);
+    } else if (tagName === 'img') {
       // CRITICAL FIX: Rewrite image URL to use downloaded asset if available
       let imageUrl = attributes.src || '';
       let assetFound = false;
@@ -1193,13 +4646,17 @@ class ElementorConverter {
       const isNav = this.isNavigationLink(element);
       const isButton = this.isButtonLike(element);
 
-      // Navigation links that aren't buttons → convert to text (no href)
+      // Navigation links that aren't buttons → convert to text, keeping real hrefs as inline links
       if (isNav && !isButton) {
-        // Convert to text widget without link
         const layout = element.layout || {};
+        const hasRealHref = href && href !== '#' && !href.startsWith('javascript:');
+        // Built with cheerio so quotes/markup in the href or label stay escaped
+        const $ = cheerio.load('', null, false);
         baseWidget.widgetType = "text-editor";
         baseWidget.settings = {
-          editor: textContent || "Text content",
+          editor: hasRealHref && textContent
+            ? $.html($('<a>').attr('href', href).text(textContent))
+            : (textContent || "Text content"),
           align: layout.textAlign || "left",
           ...(layout.color && layout.color !== "rgb(0, 0, 0)" && {
             text_color: layout.color
@@ -1274,6 +4731,9 @@ class ElementorConverter {
     baseWidget.widgetType = baseWidget.widgetType || "text";
     baseWidget.settings = baseWidget.settings || {};
     baseWidget.elements = [];
+
+    // Per-device typography, spacing, alignment and visibility
+    this.applyResponsiveSettings(baseWidget, element);
     
     return baseWidget;
   }
@@ -0,0 +1,511 @@
+import AdmZip from 'adm-zip';
+import crypto from 'crypto';
+
+/**
+ * Elementor Site Kit Exporter
+ * Features:
+ * - manifest.json in Elementor's Kit Import format
+ * - site-settings.json with system/custom colors and typography from the capture
+ * - content/page/*.json entries for every exported page
+ * - templates/*.json Theme Builder header/footer shown on the entire site
+ * - wp-content/nav_menu_item WXR so menus referenced by Pro nav-menu widgets exist after import
+ * - Binary assets from the AssetManager session bundled under media/, with the
+ *   template's session asset URLs pointing at those entries
+ */
+
+const ELEMENTOR_VERSION = '3.16.0';
+
+// Font families that are CSS keywords rather than loadable fonts
+const GENERIC_FONTS = [
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', '-apple-system',
+  'blinkmacsystemfont', 'emoji', 'math', 'fangsong', 'inherit', 'initial'
+];
+
+class ElementorKitExporter {
+  constructor(options = {}) {
+    this.options = {
+      kitName: 'CloneMentor Pro Kit',
+      maxCustomColors: 24,
+      maxCustomFonts: 8,
+      ...options
+    };
+  }
+
+  /**
+   * Convert a CSS color (rgb/rgba/hex) to Elementor's hex format
+   * @param {string} color - CSS color string
+   * @returns {string|null} #RRGGBB or #RRGGBBAA, null for transparent/unparseable colors
+   */
+  colorToHex(color) {
+    const value = String(color || '').trim().toLowerCase();
+
+    if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(value)) return value.toUpperCase();
+    if (/^#[0-9a-f]{3}$/.test(value)) {
+      return ('#' + value.slice(1).split('').map(c => c + c).join('')).toUpperCase();
+    }
+
+    const match = value.match(/^rgba?\(([^)]+)\)$/);
+    if (!match) return null;
+
+    const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if (parts.length < 3 || parts.slice(0, 3).some(n => Number.isNaN(n))) return null;
+
+    const alpha = parts.length > 3 ? parts[3] : 1;
+    if (alpha === 0) return null;
+
+    const hex = parts.slice(0, 3).map(n => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0')).join('');
+    const alphaHex = alpha < 1 ? Math.round(alpha * 255).toString(16).padStart(2, '0') : '';
+
+    return `#${hex}${alphaHex}`.toUpperCase();
+  }
+
+  /**
+   * Clean a font-family declaration down to its first loadable family
+   * @param {string} fontFamily - e.g. '"Inter", sans-serif'
+   * @returns {string} Family name or '' when only generic families are present
+   */
+  primaryFontFamily(fontFamily) {
+    const families = String(fontFamily || '').split(',').map(f => f.trim().replace(/['"]/g, ''));
+    return families.find(f => f && !GENERIC_FONTS.includes(f.toLowerCase())) || '';
+  }
+
+  /**
+   * Short deterministic Elementor global _id
+   * @param {string} seed - Value the id is derived from
+   * @returns {string} 7-char id
+   */
+  globalId(seed) {
+    return crypto.createHash('md5').update(String(seed)).digest('hex').substring(0, 7);
+  }
+
+  /**
+   * Structure the template was built from (desktop capture first)
+   * @param {object} ir - Intermediate representation
+   * @returns {object|null} Captured DOM structure
+   */
+  getStructure(ir) {
+    return ir?.responsiveLayouts?.desktop?.structure || ir?.structure || null;
+  }
+
+  /**
+   * Count text colors, background colors and fonts used by the captured structure
+   * @param {object} structure - Captured DOM structure
+   * @returns {object} Usage counters
+   */
+  collectUsage(structure) {
+    const usage = {
+      textColors: new Map(),
+      backgroundColors: new Map(),
+      headingColors: new Map(),
+      headingFonts: new Map(),
+      bodyFonts: new Map()
+    };
+
+    const bump = (map, key) => {
+      if (key) map.set(key, (map.get(key) || 0) + 1);
+    };
+
+    const traverse = (node, depth = 0) => {
+      if (!node || depth > 50) return;
+      const layout = node.layout || {};
+      const isHeading = /^h[1-6]$/.test(node.tagName || '');
+      const hasText = (node.textContent || '').trim().length > 0;
+
+      if (hasText) {
+        bump(usage.textColors, this.colorToHex(layout.color));
+        bump(isHeading ? usage.headingFonts : usage.bodyFonts, this.primaryFontFamily(layout.fontFamily));
+      }
+      if (isHeading) {
+        bump(usage.headingColors, this.colorToHex(layout.color));
+      }
+      bump(usage.backgroundColors, this.colorToHex(layout.backgroundColor));
+
+      (node.children || []).forEach(child => traverse(child, depth + 1));
+    };
+
+    traverse(structure);
+    return usage;
+  }
+
+  /**
+   * Build Elementor global colors from ir.assets.colors
+   * System roles are assigned by how the captured structure uses each color
+   * @param {object} ir - Intermediate representation
+   * @returns {object} {system_colors, custom_colors}
+   */
+  buildGlobalColors(ir) {
+    const palette = [...new Set((ir?.assets?.colors || []).map(c => this.colorToHex(c)).filter(Boolean))];
+    const usage = this.collectUsage(this.getStructure(ir));
+    const rank = (map) => [...map.entries()].sort((a, b) => b[1] - a[1]).map(([color]) => color);
+    const isNeutral = (hex) => ['#FFFFFF', '#000000'].includes(hex.substring(0, 7));
+
+    const text = rank(usage.textColors)[0] || palette[0] || '#333333';
+    const primary = rank(usage.headingColors).find(c => c !== text) || rank(usage.headingColors)[0] || text;
+    const backgrounds = rank(usage.backgroundColors).filter(c => !isNeutral(c));
+    const secondary = backgrounds[0] || palette.find(c => !isNeutral(c) && c !== primary) || primary;
+    const accent = backgrounds[1] || palette.find(c => !isNeutral(c) && ![primary, secondary].includes(c)) || secondary;
+
+    const systemColors = [
+      { _id: 'primary', title: 'Primary', color: primary },
+      { _id: 'secondary', title: 'Secondary', color: secondary },
+      { _id: 'text', title: 'Text', color: text },
+      { _id: 'accent', title: 'Accent', color: accent }
+    ];
+
+    const used = new Set(systemColors.map(c => c.color));
+    const customColors = palette
+      .filter(color => !used.has(color))
+      .slice(0, this.options.maxCustomColors)
+      .map((color, i) => ({ _id: this.globalId(color), title: `Color #${i + 1}`, color }));
+
+    return { system_colors: systemColors, custom_colors: customColors };
+  }
+
+  /**
+   * Build Elementor global typography from the fonts in the capture
+   * @param {object} ir - Intermediate representation
+   * @returns {object} {system_typography, custom_typography}
+   */
+  buildGlobalTypography(ir) {
+    const usage = this.collectUsage(this.getStructure(ir));
+    const rank = (map) => [...map.entries()].sort((a, b) => b[1] - a[1]).map(([font]) => font);
+    const captured = [...new Set((ir?.assets?.fonts || []).map(f => this.primaryFontFamily(f)).filter(Boolean))];
+
+    const bodyFont = rank(usage.bodyFonts)[0] || captured[0] || 'Roboto';
+    const headingFont = rank(usage.headingFonts)[0] || bodyFont;
+
+    const typography = (id, title, family, weight) => ({
+      _id: id,
+      title,
+      typography_typography: 'custom',
+      typography_font_family: family,
+      typography_font_weight: weight
+    });
+
+    const systemTypography = [
+      typography('primary', 'Primary', headingFont, '600'),
+      typography('secondary', 'Secondary', headingFont, '400'),
+      typography('text', 'Text', bodyFont, '400'),
+      typography('accent', 'Accent', bodyFont, '500')
+    ];
+
+    const customTypography = captured
+      .filter(font => font !== headingFont && font !== bodyFont)
+      .slice(0, this.options.maxCustomFonts)
+      .map(font => typography(this.globalId(font), font, font, '400'));
+
+    return { system_typography: systemTypography, custom_typography: customTypography };
+  }
+
+  /**
+   * Build site-settings.json
+   * @param {object} ir - Intermediate representation
+   * @returns {object} Site settings document
+   */
+  buildSiteSettings(ir) {
+    const bodyLayout = this.getStructure(ir)?.layout || {};
+    const bodyBackground = this.colorToHex(bodyLayout.backgroundColor);
+
+    return {
+      content: [],
+      settings: {
+        ...this.buildGlobalColors(ir),
+        ...this.buildGlobalTypography(ir),
+        default_generic_fonts: 'Sans-serif',
+        site_name: ir?.pageInfo?.title || '',
+        site_description: ir?.pageInfo?.description || '',
+        page_title_selector: 'h1.entry-title',
+        viewport_md: 768,
+        viewport_lg: 1025,
+        ...(bodyBackground && {
+          body_background_background: 'classic',
+          body_background_color: bodyBackground
+        })
+      },
+      metadata: []
+    };
+  }
+
+  /**
+   * Build manifest.json in Elementor's kit format
+   * @param {object} ir - Intermediate representation
+   * @param {Array} pages - [{id, title, template}]
+   * @param {Array} templates - Theme Builder parts [{id, type, template}]
+   * @param {Array} media - Kit paths of the bundled session assets
+   * @param {object} wpContent - Post type → exported post IDs
+   * @returns {object} Manifest document
+   */
+  buildManifest(ir, pages, templates = [], media = [], wpContent = {}) {
+    const created = new Date().toISOString().replace('T', ' ').substring(0, 19);
+
+    return {
+      name: this.options.kitName,
+      title: ir?.pageInfo?.title || this.options.kitName,
+      description: ir?.pageInfo?.description || '',
+      author: 'CloneMentor Pro',
+      version: '2.0',
+      elementor_version: ELEMENTOR_VERSION,
+      created,
+      thumbnail: false,
+      site: ir?.source?.url || '',
+      'site-settings': [
+        'global-colors',
+        'global-typography',
+        'theme-style-typography',
+        'settings-layout',
+        'settings-site-identity',
+        'settings-background'
+      ],
+      content: {
+        page: pages.reduce((acc, page, i) => {
+          acc[page.id] = {
+            title: page.title,
+            excerpt: '',
+            doc_type: 'wp-page',
+            thumbnail: false,
+            url: ir?.source?.url || '',
+            terms: [],
+            show_on_front: i === 0
+          };
+          return acc;
+        }, {})
+      },
+      'wp-content': wpContent,
+      templates: templates.reduce((acc, part) => {
+        acc[part.id] = {
+          title: part.template.title,
+          doc_type: part.type,
+          thumbnail: false,
+          location: part.type,
+          // Display conditions: Entire Site
+          conditions: [{ type: 'include', name: 'general', sub_name: '', sub_id: '' }]
+        };
+        return acc;
+      }, {}),
+      media,
+      plugins: [
+        {
+          name: 'Elementor',
+          plugin: 'elementor/elementor',
+          pluginUri: 'https://elementor.com/',
+          version: ELEMENTOR_VERSION
+        },
+        // Theme Builder templates need Pro
+        ...(templates.length > 0 ? [{
+          name: 'Elementor Pro',
+          plugin: 'elementor-pro/elementor-pro',
+          pluginUri: 'https://elementor.com/pro/',
+          version: ELEMENTOR_VERSION
+        }] : [])
+      ]
+    };
+  }
+
+  /**
+   * Load the binary assets of an AssetManager session
+   * @param {object} assetManager - AssetManager instance
+   * @param {string} sessionId - Session UUID
+   * @returns {Array} [{type, filename, buffer}]
+   */
+  async loadSessionAssets(assetManager, sessionId) {
+    if (!assetManager || !sessionId) return [];
+
+    const session = await assetManager.getSession(sessionId);
+    if (!session?.assets) {
+      console.warn(`⚠️  Asset session ${sessionId} not found - kit will reference original URLs`);
+      return [];
+    }
+
+    const files = [];
+    for (const [type, entries] of Object.entries(session.assets)) {
+      const seen = new Set();
+      for (const entry of entries || []) {
+        if (!entry?.filename || seen.has(entry.filename)) continue;
+        seen.add(entry.filename);
+
+        const buffer = await assetManager.getAsset(sessionId, type, entry.filename);
+        if (buffer) {
+          files.push({ type, filename: entry.filename, buffer });
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Zip entry a session asset is bundled under
+   * @param {string} type - Asset type (images, fonts, css, videos)
+   * @param {string} filename - Session filename
+   * @returns {string} Kit-relative path
+   */
+  mediaPath(type, filename) {
+    return `media/${type}/${String(filename).replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+  }
+
+  /**
+   * Point session asset URLs (/api/assets/<session>/<type>/<file>, relative or
+   * absolute) at the files bundled in the kit - session URLs stop resolving once
+   * the session is cleaned up
+   * @param {*} value - Template content or settings
+   * @param {Map} bundled - "<type>/<filename>" → kit path
+   * @returns {*} Copy with the URLs rewritten
+   */
+  rewriteAssetUrls(value, bundled) {
+    const pattern = /(?:https?:\/\/[^\s"'()<>]+?)?\/api\/assets\/[0-9a-f-]{36}\/([a-z]+)\/([^\s"'()<>?#]+)/gi;
+
+    if (typeof value === 'string') {
+      return value.replace(pattern, (url, type, filename) => bundled.get(`${type}/${filename}`) || url);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.rewriteAssetUrls(item, bundled));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, this.rewriteAssetUrls(child, bundled)]));
+    }
+    return value;
+  }
+
+  /**
+   * Build a WXR document holding the menus collected during conversion, the
+   * format Elementor's kit import runs through the WordPress importer
+   * @param {Array} menus - [{slug, name, items: [{label, url, children}]}]
+   * @returns {object} {xml, ids} - ids of the exported nav_menu_item posts
+   */
+  buildMenuWxr(menus) {
+    const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    const meta = (key, value) => `\t\t<wp:postmeta><wp:meta_key>${key}</wp:meta_key><wp:meta_value>${cdata(value)}</wp:meta_value></wp:postmeta>`;
+
+    const terms = [];
+    const items = [];
+    const ids = [];
+    let nextId = 1000;
+
+    menus.forEach((menu, menuIndex) => {
+      terms.push(`\t<wp:term><wp:term_id>${menuIndex + 1}</wp:term_id><wp:term_taxonomy>nav_menu</wp:term_taxonomy><wp:term_slug>${cdata(menu.slug)}</wp:term_slug><wp:term_name>${cdata(menu.name)}</wp:term_name></wp:term>`);
+
+      let order = 0;
+      const addItems = (list, parentId) => {
+        for (const item of list || []) {
+          const id = nextId++;
+          ids.push(id);
+          items.push([
+            '\t<item>',
+            `\t\t<title>${cdata(item.label)}</title>`,
+            `\t\t<wp:post_id>${id}</wp:post_id>`,
+            '\t\t<wp:status>publish</wp:status>',
+            '\t\t<wp:post_type>nav_menu_item</wp:post_type>',
+            `\t\t<wp:menu_order>${++order}</wp:menu_order>`,
+            `\t\t<category domain="nav_menu" nicename="${menu.slug}">${cdata(menu.name)}</category>`,
+            meta('_menu_item_type', 'custom'),
+            meta('_menu_item_menu_item_parent', parentId),
+            meta('_menu_item_object_id', id),
+            meta('_menu_item_object', 'custom'),
+            meta('_menu_item_target', ''),
+            meta('_menu_item_classes', 'a:1:{i:0;s:0:"";}'),
+            meta('_menu_item_xfn', ''),
+            meta('_menu_item_url', item.url || '#'),
+            '\t</item>'
+          ].join('\n'));
+          addItems(item.children, id);
+        }
+      };
+      addItems(menu.items, 0);
+    });
+
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8" ?>',
+      '<rss version="2.0" xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:wfw="http://wellformedweb.org/CommentAPI/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">',
+      '<channel>',
+      '\t<wp:wxr_version>1.2</wp:wxr_version>',
+      ...terms,
+      ...items,
+      '</channel>',
+      '</rss>'
+    ].join('\n');
+
+    return { xml, ids };
+  }
+
+  /**
+   * Build the kit zip
+   * @param {object} template - Converted Elementor page template
+   * @param {object} ir - Intermediate representation
+   * @param {object} options - {assetManager, sessionId, themeParts: [{type, template}]}
+   * @returns {object} {bytes, report}
+   */
+  async build(template, ir, options = {}) {
+    const zip = new AdmZip();
+
+    let assetFiles = [];
+    try {
+      assetFiles = await this.loadSessionAssets(options.assetManager, options.sessionId);
+    } catch (error) {
+      console.error('❌ Failed to load session assets for kit:', error.message);
+    }
+
+    const bundled = new Map();
+    for (const file of assetFiles) {
+      const entry = this.mediaPath(file.type, file.filename);
+      bundled.set(`${file.type}/${file.filename}`, entry);
+      zip.addFile(entry, file.buffer);
+    }
+
+    const pages = [{ id: '1', title: template.title || 'Cloned Page', template: this.rewriteAssetUrls(template, bundled) }];
+    const templates = (options.themeParts || []).map((part, i) => ({
+      id: String(pages.length + i + 1),
+      ...part,
+      template: this.rewriteAssetUrls(part.template, bundled)
+    }));
+
+    // Header/footer parts are converted in the same pass and may list the same menus
+    const wpContent = {};
+    const menus = [...new Map([template, ...(options.themeParts || []).map(part => part.template)]
+      .flatMap(document => document.metadata?.menus || [])
+      .map(menu => [menu.slug, menu])).values()];
+    if (menus.length > 0) {
+      const { xml, ids } = this.buildMenuWxr(menus);
+      zip.addFile('wp-content/nav_menu_item/nav_menu_item.xml', Buffer.from(xml));
+      wpContent.nav_menu_item = ids;
+    }
+
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(this.buildManifest(ir, pages, templates, [...bundled.values()], wpContent), null, 2)));
+
+    const siteSettings = this.buildSiteSettings(ir);
+    zip.addFile('site-settings.json', Buffer.from(JSON.stringify(siteSettings, null, 2)));
+
+    for (const page of pages) {
+      zip.addFile(`content/page/${page.id}.json`, Buffer.from(JSON.stringify({
+        content: page.template.content || [],
+        settings: page.template.page_settings || {},
+        metadata: []
+      }, null, 2)));
+    }
+
+    for (const part of templates) {
+      zip.addFile(`templates/${part.id}.json`, Buffer.from(JSON.stringify({
+        content: part.template.content || [],
+        settings: part.template.page_settings || {},
+        metadata: []
+      }, null, 2)));
+    }
+
+    const bytes = zip.toBuffer();
+
+    return {
+      bytes,
+      report: {
+        pages: pages.length,
+        templates: templates.map(part => part.type),
+        systemColors: siteSettings.settings.system_colors.length,
+        customColors: siteSettings.settings.custom_colors.length,
+        customTypography: siteSettings.settings.custom_typography.length,
+        menus: menus.length,
+        assets: assetFiles.length
+      }
+    };
+  }
+}
+
+export default ElementorKitExporter;
@@ -4,10 +4,98 @@ import addFormats from 'ajv-formats';
 const ajv = new Ajv({ allErrors: true });
 addFormats(ajv);
 
+// Shared node definitions - legacy section → column → widget trees (columns may
+// hold inner sections) and Flexbox Container trees (Elementor 3.6+) are both
+// accepted at the top level
+const elementId = {
+  type: 'string',
+  pattern: '^[a-z0-9]{8}$'
+};
+
+const definitions = {
+  widget: {
+    type: 'object',
+    required: ['id', 'elType', 'widgetType', 'settings'],
+    properties: {
+      id: elementId,
+      elType: {
+        type: 'string',
+        enum: ['widget']
+      },
+      widgetType: { type: 'string' },
+      settings: { type: 'object' }
+    }
+  },
+  column: {
+    type: 'object',
+    required: ['id', 'elType', 'settings', 'elements'],
+    properties: {
+      id: elementId,
+      elType: {
+        type: 'string',
+        enum: ['column']
+      },
+      settings: { type: 'object' },
+      elements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['elType'],
+          if: { properties: { elType: { const: 'widget' } } },
+          then: { $ref: '#/definitions/widget' },
+          else: { $ref: '#/definitions/section' }
+        }
+      }
+    }
+  },
+  section: {
+    type: 'object',
+    required: ['id', 'elType', 'settings', 'elements'],
+    properties: {
+      id: elementId,
+      elType: {
+        type: 'string',
+        enum: ['section']
+      },
+      isInner: { type: 'boolean' },
+      settings: { type: 'object' },
+      elements: {
+        type: 'array',
+        minItems: 1,
+        items: { $ref: '#/definitions/column' }
+      }
+    }
+  },
+  container: {
+    type: 'object',
+    required: ['id', 'elType', 'settings', 'elements'],
+    properties: {
+      id: elementId,
+      elType: {
+        type: 'string',
+        enum: ['container']
+      },
+      isInner: { type: 'boolean' },
+      settings: { type: 'object' },
+      elements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['elType'],
+          if: { properties: { elType: { const: 'widget' } } },
+          then: { $ref: '#/definitions/widget' },
+          else: { $ref: '#/definitions/container' }
+        }
+      }
+    }
+  }
+};
+
 // Simplified Elementor JSON Schema for validation
 const elementorSchema = {
   type: 'object',
   required: ['version', 'title', 'type', 'content'],
+  definitions,
   properties: {
     version: { 
       type: 'string', 
@@ -26,56 +114,10 @@ const elementorSchema = {
       minItems: 1,
       items: {
         type: 'object',
-        required: ['id', 'elType', 'settings', 'elements'],
-        properties: {
-          id: { 
-            type: 'string', 
-            pattern: '^[a-z0-9]{8}$'
-          },
-          elType: { 
-            type: 'string', 
-            enum: ['section']
-          },
-          settings: { type: 'object' },
-          elements: {
-            type: 'array',
-            minItems: 1,
-            items: {
-              type: 'object',
-              required: ['id', 'elType', 'settings', 'elements'],
-              properties: {
-                id: { 
-                  type: 'string', 
-                  pattern: '^[a-z0-9]{8}$'
-                },
-                elType: { 
-                  type: 'string', 
-                  enum: ['column']
-                },
-                settings: { type: 'object' },
-                elements: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    required: ['id', 'elType', 'widgetType', 'settings'],
-                    properties: {
-                      id: { 
-                        type: 'string', 
-                        pattern: '^[a-z0-9]{8}$'
-                      },
-                      elType: { 
-                        type: 'string', 
-                        enum: ['widget']
-                      },
-                      widgetType: { type: 'string' },
-                      settings: { type: 'object' }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
+        required: ['elType'],
+        if: { properties: { elType: { const: 'container' } } },
+        then: { $ref: '#/definitions/container' },
+        else: { $ref: '#/definitions/section' }
       }
     },
     page_settings: {
@@ -0,0 +1,136 @@
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true });
+
+const width = { type: 'integer', minimum: 240, maximum: 3840 };
+const waitEvent = { type: 'string', enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'] };
+const selector = { type: 'string', minLength: 1, maxLength: 500 };
+
+// Cookie in the shape Puppeteer's page.setCookie takes; without a domain it is
+// scoped to the cloned page's host
+const cookie = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'value'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 256 },
+    value: { type: 'string', maxLength: 4096 },
+    domain: { type: 'string', minLength: 1, maxLength: 253 },
+    path: { type: 'string', pattern: '^/', maxLength: 1024 },
+    secure: { type: 'boolean' },
+    httpOnly: { type: 'boolean' },
+    sameSite: { type: 'string', enum: ['Strict', 'Lax', 'None'] },
+    // Unix time in seconds; omit for a session cookie
+    expires: { type: 'number' }
+  }
+};
+
+// One step of a login recipe; fill/click/waitForSelector need a selector and fill a value
+const loginStep = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['action'],
+  properties: {
+    action: { type: 'string', enum: ['fill', 'click', 'waitForSelector', 'waitForNavigation'] },
+    selector,
+    value: { type: 'string', maxLength: 4096 },
+    // click only: wait for the navigation the click triggers (form submits)
+    waitForNavigation: { type: 'boolean' }
+  },
+  allOf: [
+    {
+      if: { properties: { action: { enum: ['fill', 'click', 'waitForSelector'] } } },
+      then: { required: ['selector'] }
+    },
+    {
+      if: { properties: { action: { const: 'fill' } } },
+      then: { required: ['value'] }
+    }
+  ]
+};
+
+// Per-request capture settings for VisualWebScraper.scrapeVisualLayout - every
+// property is optional and falls back to the scraper's defaults
+const scrapeOptionsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    // User agent sent with every request (e.g. a mobile UA for sites that serve different markup)
+    userAgent: { type: 'string', minLength: 1, maxLength: 512 },
+    // Viewport widths captured per device
+    breakpoints: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        mobile: width,
+        tablet: width,
+        desktop: width
+      }
+    },
+    viewportHeight: { type: 'integer', minimum: 200, maximum: 4320 },
+    // Navigation is complete once these fire
+    waitUntil: {
+      anyOf: [
+        waitEvent,
+        { type: 'array', items: waitEvent, minItems: 1, uniqueItems: true }
+      ]
+    },
+    // Element that must be present before capture (hydrated apps)
+    waitForSelector: selector,
+    waitForSelectorTimeout: { type: 'integer', minimum: 0, maximum: 60000 },
+    // Extra wait after load, and layout settle time after each breakpoint resize (ms)
+    extraDelay: { type: 'integer', minimum: 0, maximum: 60000 },
+    settleDelay: { type: 'integer', minimum: 0, maximum: 10000 },
+    // Extra request headers
+    headers: {
+      type: 'object',
+      maxProperties: 50,
+      propertyNames: { pattern: "^[A-Za-z0-9!#$%&'*+.^_`|~-]+$", maxLength: 100 },
+      additionalProperties: { type: 'string', maxLength: 4096 }
+    },
+    // Capture the server-rendered markup without running page scripts
+    javascriptEnabled: { type: 'boolean' },
+    // Consent banners, chat widgets and popups are accepted/removed before capture
+    suppressOverlays: { type: 'boolean' },
+    // Elements removed before capture, in addition to the built-in overlay rules
+    excludeSelectors: { type: 'array', items: selector, maxItems: 100 },
+    // Budget of the lazy-load/infinite-scroll pass before capture
+    lazyLoad: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxHeight: { type: 'integer', minimum: 1000, maximum: 200000 },
+        maxSteps: { type: 'integer', minimum: 0, maximum: 500 },
+        maxTime: { type: 'integer', minimum: 0, maximum: 300000 },
+        idleTime: { type: 'integer', minimum: 0, maximum: 5000 },
+        idleTimeout: { type: 'integer', minimum: 0, maximum: 30000 }
+      }
+    },
+    // Credentials for pages behind a login - used for the capture and the asset
+    // downloads, never stored with the session
+    cookies: { type: 'array', items: cookie, maxItems: 100 },
+    basicAuth: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['username', 'password'],
+      properties: {
+        username: { type: 'string', maxLength: 256 },
+        password: { type: 'string', maxLength: 1024 }
+      }
+    },
+    // Declarative login run in the browser before the page is loaded
+    login: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['url', 'steps'],
+      properties: {
+        url: { type: 'string', pattern: '^https?://', maxLength: 2048 },
+        steps: { type: 'array', items: loginStep, minItems: 1, maxItems: 30 },
+        // Per-step timeout (ms)
+        timeout: { type: 'integer', minimum: 0, maximum: 60000 }
+      }
+    }
+  }
+};
+
+export const validateScrapeOptions = ajv.compile(scrapeOptionsSchema);
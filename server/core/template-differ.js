@@ -0,0 +1,451 @@
+/**
+ * Elementor Template Differ
+ * Features:
+ * - Matches elements of two templates by ID, then by structural similarity
+ * - Added, removed and moved sections (sections, inner sections and containers)
+ * - Added, removed and changed widgets with per-setting before/after values
+ * - Changed section, column and container settings (backgrounds, padding, widths)
+ * - Changed asset URLs (images, videos, backgrounds, url() in CSS), ignoring the
+ *   asset session local copies were downloaded into
+ * - Human-readable summary
+ */
+
+// Settings that hold generated identifiers rather than content
+const IGNORED_SETTING_KEYS = ['_id'];
+
+// Text-bearing settings used to fingerprint elements for similarity matching
+const TEXT_SETTING_KEYS = [
+  'title', 'editor', 'text', 'title_text', 'description_text', 'heading', 'description',
+  'button_text', 'tab_title', 'tab_content', 'item_text', 'html', 'content', 'name'
+];
+
+const URL_PATTERN = /(?:https?:)?\/\/[^\s"'()<>]+|\/api\/assets\/[^\s"'()<>]+/g;
+
+// Asset session segment of local asset URLs - every clone downloads into a new session
+const ASSET_SESSION_PATTERN = /\/api\/assets\/[^/\s"'()<>]+\//g;
+
+class TemplateDiffer {
+  constructor(options = {}) {
+    this.options = {
+      minSimilarity: 0.5,
+      maxValueLength: 500,
+      ...options
+    };
+  }
+
+  /**
+   * Diff two Elementor templates
+   * @param {object} before - Earlier template ({content: [...]})
+   * @param {object} after - Later template
+   * @returns {object} {summary, stats, sections, widgets, assets, page}
+   */
+  diff(before, after) {
+    const left = this.flatten(before);
+    const right = this.flatten(after);
+    const matches = this.matchElements(left, right);
+    const matchedRight = new Set(matches.values());
+
+    const isSection = record => record.elType !== 'widget' && record.elType !== 'column';
+    const describe = record => ({
+      id: record.id,
+      elType: record.elType,
+      ...(record.widgetType && { widgetType: record.widgetType }),
+      path: record.path,
+      label: record.label
+    });
+
+    const sections = {
+      added: right.filter(record => isSection(record) && !matchedRight.has(record)).map(describe),
+      removed: left.filter(record => isSection(record) && !matches.has(record)).map(describe),
+      moved: this.findMoves(left, right, matches).filter(([record]) => isSection(record))
+        .map(([from, to]) => ({ ...describe(to), ...(from.id !== to.id && { previousId: from.id }), from: from.path, to: to.path })),
+      // Layout settings changes cover columns too - they are never added or moved on their own
+      changed: []
+    };
+
+    const widgets = {
+      added: right.filter(record => record.elType === 'widget' && !matchedRight.has(record)).map(describe),
+      removed: left.filter(record => record.elType === 'widget' && !matches.has(record)).map(describe),
+      changed: []
+    };
+    const assets = { added: [], removed: [], changed: [] };
+
+    for (const [from, to] of matches) {
+      const changes = this.diffSettings(from.node.settings, to.node.settings);
+      if (changes.length === 0) continue;
+
+      (to.elType === 'widget' ? widgets : sections).changed.push({
+        ...describe(to),
+        ...(from.id !== to.id && { previousId: from.id }),
+        matchedBy: from.id === to.id ? 'id' : 'similarity',
+        changes
+      });
+
+      for (const change of changes) {
+        const urlsBefore = this.collectUrls(change.before);
+        const urlsAfter = this.collectUrls(change.after);
+        if (urlsBefore.join() !== urlsAfter.join() && (urlsBefore.length > 0 || urlsAfter.length > 0)) {
+          assets.changed.push({ id: to.id, setting: change.setting, before: urlsBefore, after: urlsAfter });
+        }
+      }
+    }
+
+    const urlsBefore = new Set(left.flatMap(record => this.collectUrls(record.node.settings)));
+    const urlsAfter = new Set(right.flatMap(record => this.collectUrls(record.node.settings)));
+    assets.added = [...urlsAfter].filter(url => !urlsBefore.has(url));
+    assets.removed = [...urlsBefore].filter(url => !urlsAfter.has(url));
+
+    const page = { changes: this.diffSettings(before?.page_settings, after?.page_settings) };
+
+    const stats = {
+      sectionsAdded: sections.added.length,
+      sectionsRemoved: sections.removed.length,
+      sectionsMoved: sections.moved.length,
+      sectionsChanged: sections.changed.length,
+      widgetsAdded: widgets.added.length,
+      widgetsRemoved: widgets.removed.length,
+      widgetsChanged: widgets.changed.length,
+      settingsChanged: [...sections.changed, ...widgets.changed].reduce((sum, element) => sum + element.changes.length, 0),
+      assetUrlsChanged: assets.changed.length,
+      matchedBySimilarity: [...matches].filter(([from, to]) => from.id !== to.id).length
+    };
+
+    return {
+      identical: Object.entries(stats).every(([key, value]) => key === 'matchedBySimilarity' || value === 0) &&
+        page.changes.length === 0,
+      summary: this.summarize(stats, sections, widgets, assets, page),
+      stats,
+      sections,
+      widgets,
+      assets,
+      page
+    };
+  }
+
+  /**
+   * Flatten a template into element records in document order
+   * @param {object} template - Elementor template
+   * @returns {Array} [{id, elType, widgetType, node, parent, index, path, label, tokens}]
+   */
+  flatten(template) {
+    const records = [];
+
+    const visit = (node, parent, index, path) => {
+      if (!node || typeof node !== 'object') return null;
+
+      const record = {
+        id: node.id,
+        elType: node.elType,
+        widgetType: node.widgetType || null,
+        node,
+        parent,
+        index,
+        path
+      };
+      records.push(record);
+
+      record.children = (node.elements || [])
+        .map((child, i) => visit(child, record, i, `${path}.elements[${i}]`))
+        .filter(Boolean);
+      record.label = this.getLabel(record);
+      record.tokens = this.getTokens(record);
+      return record;
+    };
+
+    (template?.content || []).forEach((node, i) => visit(node, null, i, `content[${i}]`));
+    return records;
+  }
+
+  /**
+   * Short text describing an element - its own text or its first descendant's
+   * @param {object} record - Element record
+   * @returns {string} Label ('' when there is no text)
+   */
+  getLabel(record) {
+    const text = this.getText(record.node.settings);
+    if (text) return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+
+    for (const child of record.children) {
+      if (child.label) return child.label;
+    }
+    return '';
+  }
+
+  /**
+   * Readable text held by an element's settings
+   * @param {object} settings - Element settings
+   * @returns {string} Text with markup stripped
+   */
+  getText(settings = {}) {
+    const parts = [];
+    const collect = (value, key) => {
+      if (typeof value === 'string' && TEXT_SETTING_KEYS.includes(key)) {
+        parts.push(value);
+      } else if (Array.isArray(value)) {
+        value.forEach(item => collect(item, key));
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([childKey, childValue]) => collect(childValue, childKey));
+      }
+    };
+    collect(settings, '');
+
+    return parts.join(' ').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Fingerprint an element (type, child types, words of its subtree) for similarity matching
+   * @param {object} record - Element record
+   * @returns {Set<string>} Tokens
+   */
+  getTokens(record) {
+    const tokens = new Set([`type:${record.elType}/${record.widgetType || ''}`]);
+
+    for (const child of record.children) {
+      tokens.add(`child:${child.elType}/${child.widgetType || ''}`);
+      for (const token of child.tokens) {
+        if (token.startsWith('word:')) tokens.add(token);
+      }
+    }
+
+    for (const word of this.getText(record.node.settings).toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+      if (word.length > 2) tokens.add(`word:${word}`);
+    }
+    for (const url of this.collectUrls(record.node.settings)) {
+      tokens.add(`url:${url.split('/').pop()}`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Jaccard similarity of two token sets
+   * @param {Set<string>} a
+   * @param {Set<string>} b
+   * @returns {number} 0-1
+   */
+  similarity(a, b) {
+    let shared = 0;
+    for (const token of a) {
+      if (b.has(token)) shared++;
+    }
+    const union = a.size + b.size - shared;
+    return union > 0 ? shared / union : 0;
+  }
+
+  /**
+   * Pair elements of the two templates - same ID first, then the most similar
+   * element of the same type among the rest
+   * @param {Array} left - Records of the earlier template
+   * @param {Array} right - Records of the later template
+   * @returns {Map} Left record → right record
+   */
+  matchElements(left, right) {
+    const matches = new Map();
+    const rightById = new Map(right.filter(record => record.id).map(record => [record.id, record]));
+    const sameType = (a, b) => a.elType === b.elType && a.widgetType === b.widgetType;
+
+    for (const record of left) {
+      const candidate = record.id ? rightById.get(record.id) : null;
+      if (candidate && sameType(record, candidate)) {
+        matches.set(record, candidate);
+      }
+    }
+
+    const matchedRight = new Set(matches.values());
+    const unmatchedRight = right.filter(record => !matchedRight.has(record));
+    const pairs = [];
+
+    for (const from of left.filter(record => !matches.has(record))) {
+      for (const to of unmatchedRight) {
+        if (!sameType(from, to)) continue;
+
+        let score = this.similarity(from.tokens, to.tokens);
+        // Elements whose parents were paired are likelier to be the same element
+        if (from.parent && matches.get(from.parent) === to.parent) score += 0.1;
+        if (score >= this.options.minSimilarity) pairs.push([score, from, to]);
+      }
+    }
+
+    pairs.sort((a, b) => b[0] - a[0]);
+    for (const [, from, to] of pairs) {
+      if (matches.has(from) || matchedRight.has(to)) continue;
+      matches.set(from, to);
+      matchedRight.add(to);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find matched elements that changed parent, or that changed position among the
+   * siblings both templates share (insertions and removals around them are not moves)
+   * @param {Array} left - Records of the earlier template
+   * @param {Array} right - Records of the later template
+   * @param {Map} matches - Left record → right record
+   * @returns {Array} [leftRecord, rightRecord] pairs
+   */
+  findMoves(left, right, matches) {
+    const moves = [];
+    const groups = new Map();
+
+    for (const [from, to] of matches) {
+      const expectedParent = from.parent ? matches.get(from.parent) || null : null;
+      if (expectedParent !== to.parent) {
+        moves.push([from, to]);
+        continue;
+      }
+      if (!groups.has(to.parent)) groups.set(to.parent, []);
+      groups.get(to.parent).push([from, to]);
+    }
+
+    // Siblings outside the longest run kept in the same relative order were moved
+    for (const siblings of groups.values()) {
+      siblings.sort((a, b) => a[1].index - b[1].index);
+      const kept = this.longestIncreasing(siblings.map(([from]) => from.index));
+      siblings.forEach((pair, i) => {
+        if (!kept.has(i)) moves.push(pair);
+      });
+    }
+
+    return moves.sort((a, b) => right.indexOf(a[1]) - right.indexOf(b[1]));
+  }
+
+  /**
+   * Positions of a longest strictly increasing subsequence
+   * @param {Array<number>} values
+   * @returns {Set<number>} Indexes into values
+   */
+  longestIncreasing(values) {
+    const lengths = values.map(() => 1);
+    const previous = values.map(() => -1);
+
+    for (let i = 0; i < values.length; i++) {
+      for (let j = 0; j < i; j++) {
+        if (values[j] < values[i] && lengths[j] + 1 > lengths[i]) {
+          lengths[i] = lengths[j] + 1;
+          previous[i] = j;
+        }
+      }
+    }
+
+    const kept = new Set();
+    let i = lengths.indexOf(Math.max(0, ...lengths));
+    while (i >= 0) {
+      kept.add(i);
+      i = previous[i];
+    }
+    return kept;
+  }
+
+  /**
+   * Compare two settings objects key by key
+   * @param {object} before - Earlier settings
+   * @param {object} after - Later settings
+   * @returns {Array} [{setting, before, after}] (undefined for a missing side)
+   */
+  diffSettings(before = {}, after = {}) {
+    const normalize = value => JSON.stringify(value, (key, child) => {
+      if (IGNORED_SETTING_KEYS.includes(key)) return undefined;
+      return typeof child === 'string' ? this.normalizeAssetUrl(child) : child;
+    });
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+    const changes = [];
+
+    for (const key of keys) {
+      if (IGNORED_SETTING_KEYS.includes(key)) continue;
+      if (normalize(before?.[key]) === normalize(after?.[key])) continue;
+      changes.push({ setting: key, before: this.truncate(before?.[key]), after: this.truncate(after?.[key]) });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Keep long values (html widgets, CSS) from bloating the diff
+   * @param {*} value - Setting value
+   * @returns {*} The value, or a truncated string for long ones
+   */
+  truncate(value) {
+    const limit = this.options.maxValueLength;
+    if (typeof value === 'string') {
+      return value.length > limit ? `${value.slice(0, limit)}… (${value.length} chars)` : value;
+    }
+    if (value && typeof value === 'object') {
+      const json = JSON.stringify(value);
+      return json.length > limit ? `${json.slice(0, limit)}… (${json.length} chars)` : value;
+    }
+    return value;
+  }
+
+  /**
+   * Replace the asset session in local asset URLs, so two clones of an unchanged
+   * page compare equal
+   * @param {string} value - URL or text holding URLs
+   * @returns {string} Value with the session segment replaced by '*'
+   */
+  normalizeAssetUrl(value) {
+    return value.replace(ASSET_SESSION_PATTERN, '/api/assets/*/');
+  }
+
+  /**
+   * Collect asset URLs referenced anywhere in a value (local asset URLs normalized)
+   * @param {*} value - Settings or a setting value
+   * @returns {Array<string>} Unique URLs in order of appearance
+   */
+  collectUrls(value) {
+    const urls = [];
+    const collect = (child) => {
+      if (typeof child === 'string') {
+        for (const url of child.match(URL_PATTERN) || []) {
+          if (/\.(?:png|jpe?g|gif|webp|avif|svg|bmp|ico|mp4|webm|ogv|ogg|mov|m4v|woff2?|ttf|otf)(?:[?#]|$)/i.test(url) || url.startsWith('/api/assets/')) {
+            urls.push(this.normalizeAssetUrl(url));
+          }
+        }
+      } else if (Array.isArray(child)) {
+        child.forEach(collect);
+      } else if (child && typeof child === 'object') {
+        Object.values(child).forEach(collect);
+      }
+    };
+    collect(value);
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Human-readable summary of a diff
+   * @returns {string} One line per kind of change
+   */
+  summarize(stats, sections, widgets, assets, page) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const named = record => record.label ? `"${record.label}"` : record.id;
+    const lines = [];
+
+    if (stats.sectionsAdded) lines.push(`${plural(stats.sectionsAdded, 'section')} added: ${sections.added.map(named).join(', ')}`);
+    if (stats.sectionsRemoved) lines.push(`${plural(stats.sectionsRemoved, 'section')} removed: ${sections.removed.map(named).join(', ')}`);
+    if (stats.sectionsMoved) lines.push(`${plural(stats.sectionsMoved, 'section')} moved: ${sections.moved.map(named).join(', ')}`);
+    if (stats.sectionsChanged) {
+      const changedSettings = sections.changed.reduce((sum, element) => sum + element.changes.length, 0);
+      const byType = {};
+      sections.changed.forEach(element => { byType[element.elType] = (byType[element.elType] || 0) + 1; });
+      const types = Object.entries(byType).map(([type, count]) => `${count} ${type}`).join(', ');
+      lines.push(`${plural(stats.sectionsChanged, 'layout element')} changed (${plural(changedSettings, 'setting')}: ${types})`);
+    }
+    if (stats.widgetsAdded) lines.push(`${plural(stats.widgetsAdded, 'widget')} added`);
+    if (stats.widgetsRemoved) lines.push(`${plural(stats.widgetsRemoved, 'widget')} removed`);
+    if (stats.widgetsChanged) {
+      const byType = {};
+      widgets.changed.forEach(widget => { byType[widget.widgetType] = (byType[widget.widgetType] || 0) + 1; });
+      const types = Object.entries(byType).map(([type, count]) => `${count} ${type}`).join(', ');
+      const changedSettings = widgets.changed.reduce((sum, widget) => sum + widget.changes.length, 0);
+      lines.push(`${plural(stats.widgetsChanged, 'widget')} changed (${plural(changedSettings, 'setting')}: ${types})`);
+    }
+    if (stats.assetUrlsChanged || assets.added.length || assets.removed.length) {
+      lines.push(`Asset URLs: ${assets.changed.length} changed, ${assets.added.length} new, ${assets.removed.length} no longer used`);
+    }
+    if (page.changes.length) lines.push(`Page settings changed: ${page.changes.map(change => change.setting).join(', ')}`);
+
+    return lines.length > 0 ? lines.join('\n') : 'No changes';
+  }
+}
+
+export default TemplateDiffer;
@@ -84,9 +84,149 @@ process.on('SIGINT', async () => {
 
 // ==================== END BROWSER POOL ====================
 
+// Roots of the slider libraries extractCarousels understands
+const CAROUSEL_SELECTOR = '.swiper, .swiper-container, .slick-slider, .splide, .flickity-enabled, [data-flickity], .js-flickity';
+
+// Known consent managers, chat widgets and newsletter popups removed before capture.
+// Consent banners are accepted first (so they stay dismissed), everything else is removed
+const OVERLAY_RULES = [
+  // Consent managers
+  { name: 'OneTrust', kind: 'consent', root: '#onetrust-consent-sdk, #onetrust-banner-sdk', accept: '#onetrust-accept-btn-handler' },
+  { name: 'Cookiebot', kind: 'consent', root: '#CybotCookiebotDialog', accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept' },
+  { name: 'Didomi', kind: 'consent', root: '#didomi-host', accept: '#didomi-notice-agree-button' },
+  { name: 'Quantcast Choice', kind: 'consent', root: '#qc-cmp2-container, .qc-cmp2-container', accept: '.qc-cmp2-summary-buttons button[mode="primary"]' },
+  { name: 'TrustArc', kind: 'consent', root: '#truste-consent-track, #consent_blackbar, .truste_box_overlay', accept: '#truste-consent-button' },
+  { name: 'Usercentrics', kind: 'consent', root: '#usercentrics-root, #usercentrics-cmp-ui', accept: null },
+  { name: 'CookieYes', kind: 'consent', root: '.cky-consent-container, .cky-overlay', accept: '.cky-btn-accept' },
+  { name: 'Complianz', kind: 'consent', root: '#cmplz-cookiebanner-container, .cmplz-cookiebanner', accept: '.cmplz-accept' },
+  { name: 'iubenda', kind: 'consent', root: '#iubenda-cs-banner', accept: '.iubenda-cs-accept-btn' },
+  { name: 'Cookie Notice', kind: 'consent', root: '#cookie-notice', accept: '#cn-accept-cookie' },
+  { name: 'CookieLawInfo', kind: 'consent', root: '#cookie-law-info-bar, .cli-modal-backdrop', accept: '#cookie_action_close_header' },
+  { name: 'Borlabs Cookie', kind: 'consent', root: '#BorlabsCookieBox', accept: '#BorlabsCookieBox [data-cookie-accept]' },
+  { name: 'Cookie Consent', kind: 'consent', root: '.cc-window, .cc-banner', accept: '.cc-allow, .cc-dismiss' },
+  // Chat widgets
+  { name: 'Intercom', kind: 'chat', root: '#intercom-container, #intercom-frame, .intercom-lightweight-app', accept: null },
+  { name: 'Drift', kind: 'chat', root: '#drift-widget-container, #drift-frame-controller, #drift-frame-chat', accept: null },
+  { name: 'HubSpot Chat', kind: 'chat', root: '#hubspot-messages-iframe-container', accept: null },
+  { name: 'Zendesk', kind: 'chat', root: 'iframe#launcher, iframe#webWidget', accept: null },
+  { name: 'Tawk.to', kind: 'chat', root: 'iframe[title="chat widget"]', accept: null },
+  { name: 'Crisp', kind: 'chat', root: '.crisp-client', accept: null },
+  { name: 'LiveChat', kind: 'chat', root: '#chat-widget-container', accept: null },
+  { name: 'Tidio', kind: 'chat', root: '#tidio-chat', accept: null },
+  { name: 'Olark', kind: 'chat', root: '#olark-wrapper, #olark-container', accept: null },
+  { name: 'Freshchat', kind: 'chat', root: '#fc_frame', accept: null },
+  { name: 'Messenger', kind: 'chat', root: '.fb_dialog, .fb-customerchat', accept: null },
+  // Newsletter popups
+  { name: 'Mailchimp', kind: 'popup', root: '#PopupSignupForm_0, .mc-modal, .mc-modal-bg', accept: null },
+  { name: 'Klaviyo', kind: 'popup', root: '[role="dialog"][aria-label="POPUP Form"]', accept: null },
+  { name: 'Privy', kind: 'popup', root: '#privy-container', accept: null },
+  { name: 'OptinMonster', kind: 'popup', root: '[id^="om-"][id$="-holder"]', accept: null }
+];
+
+// How long a reload triggered by accepting a consent banner may take (ms)
+const OVERLAY_NAVIGATION_TIMEOUT = 10000;
+
+// Capture settings a request's scrapeOptions can override (see schemas/scrape-options-schema.js)
+const DEFAULT_SCRAPE_OPTIONS = {
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  viewportHeight: 800,
+  waitUntil: ['networkidle0', 'domcontentloaded'],
+  waitForSelector: null,
+  waitForSelectorTimeout: 15000,
+  extraDelay: 0,
+  settleDelay: 500,
+  headers: {},
+  javascriptEnabled: true,
+  cookies: [],
+  basicAuth: null,
+  login: null,
+  suppressOverlays: true,
+  excludeSelectors: [],
+  // Budget of the lazy-load scroll: page height (px), scroll steps, total time (ms);
+  // after each step the network must be idle for idleTime, waiting at most idleTimeout
+  lazyLoad: {
+    maxHeight: 20000,
+    maxSteps: 40,
+    maxTime: 30000,
+    idleTime: 500,
+    idleTimeout: 5000
+  }
+};
+
+// Per-step timeout of a login recipe (ms)
+const LOGIN_STEP_TIMEOUT = 15000;
+
+/**
+ * Installs window.__cloneMentorDomPath(element) in the page: the body/tag[index]
+ * path mapElement assigns while walking the tree, computed bottom-up so
+ * extractors that find nodes by selector can point the converter at them.
+ * Like mapElement it crosses open shadow roots (host/#shadow-root/...) and
+ * same-origin frames (iframe/#document/body/...); slotted nodes keep their
+ * light-DOM path. window.__cloneMentorQueryAll(selector) finds nodes in all of
+ * those trees. Runs through page.evaluate, so it has to be reinstalled after a navigation.
+ */
+function installDomPathHelper() {
+  window.__cloneMentorDomPath = (element) => {
+    const parts = [];
+    let node = element;
+    while (node) {
+      const doc = node.ownerDocument;
+      if (node === doc.body) {
+        if (doc === document) return ['body', ...parts].join('/');
+        // A same-origin frame's body continues from its iframe element
+        const frame = doc.defaultView?.frameElement;
+        if (!frame) return null;
+        parts.unshift('#document', 'body');
+        node = frame;
+        continue;
+      }
+      const parent = node.parentNode;
+      if (!parent || parent.nodeType === Node.DOCUMENT_NODE) return null;
+      parts.unshift(`${node.tagName.toLowerCase()}[${Array.from(parent.children).indexOf(node)}]`);
+      // The top of a shadow tree continues from its host
+      if (parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parent.host) {
+        parts.unshift('#shadow-root');
+        node = parent.host;
+      } else {
+        node = parent;
+      }
+    }
+    return null;
+  };
+
+  window.__cloneMentorQueryAll = (selector) => {
+    const matches = [];
+    const visit = (root) => {
+      try {
+        matches.push(...root.querySelectorAll(selector));
+      } catch (e) {
+        return;
+      }
+      for (const element of root.querySelectorAll('*')) {
+        if (element.shadowRoot) visit(element.shadowRoot);
+        if (element.tagName === 'IFRAME') {
+          let frameDocument = null;
+          try {
+            // contentDocument is null for cross-origin frames
+            frameDocument = element.contentDocument;
+          } catch (e) {
+            frameDocument = null;
+          }
+          if (frameDocument?.body) visit(frameDocument);
+        }
+      }
+    };
+    visit(document);
+    return matches;
+  };
+}
+
 class VisualWebScraper {
   constructor() {
     this.browser = null;
+    this.context = null;
+    // Cookies of an authenticated capture, read by the caller for asset downloads
+    this.sessionCookies = null;
     this.breakpoints = {
       mobile: 375,
       tablet: 768,
@@ -99,19 +239,190 @@ class VisualWebScraper {
     this.browser = await BROWSER_POOL.getBrowser();
   }
 
-  async scrapeVisualLayout(url, progressCallback) {
-    await this.initialize();
-    const page = await this.browser.newPage();
+  /**
+   * Merge per-request scrape options over the defaults
+   * @param {object} options - Validated scrapeOptions
+   * @returns {object} Complete capture settings
+   */
+  resolveScrapeOptions(options = {}) {
+    return {
+      ...DEFAULT_SCRAPE_OPTIONS,
+      ...options,
+      breakpoints: { ...this.breakpoints, ...(options.breakpoints || {}) },
+      lazyLoad: { ...DEFAULT_SCRAPE_OPTIONS.lazyLoad, ...(options.lazyLoad || {}) },
+      headers: { ...DEFAULT_SCRAPE_OPTIONS.headers, ...(options.headers || {}) }
+    };
+  }
+
+  /**
+   * Apply user agent, viewport, headers and script mode to a fresh page
+   * @param {object} page - Puppeteer page
+   * @param {object} settings - Resolved capture settings
+   */
+  async preparePage(page, settings) {
     page.setDefaultNavigationTimeout(90000);
     page.setDefaultTimeout(90000);
+    await page.setUserAgent(settings.userAgent);
+    await page.setViewport({ width: settings.breakpoints.desktop, height: settings.viewportHeight });
+    if (Object.keys(settings.headers).length > 0) {
+      await page.setExtraHTTPHeaders(settings.headers);
+    }
+    if (!settings.javascriptEnabled) {
+      await page.setJavaScriptEnabled(false);
+    }
+  }
+
+  /**
+   * Whether a capture carries cookies, basic credentials or a login recipe
+   * @param {object} settings - Resolved capture settings
+   * @returns {boolean}
+   */
+  hasCredentials(settings) {
+    return settings.cookies.length > 0 || !!settings.basicAuth || !!settings.login;
+  }
+
+  /**
+   * Open a page - authenticated captures get their own browser context so their
+   * cookies never reach other scrapes sharing the pooled browser
+   * @param {object} settings - Resolved capture settings
+   * @returns {object} Puppeteer page
+   */
+  async openPage(settings) {
+    if (!this.hasCredentials(settings)) {
+      return this.browser.newPage();
+    }
+    this.context = await this.browser.createBrowserContext();
+    return this.context.newPage();
+  }
+
+  /**
+   * Close a page and the browser context opened for it (discarding its cookies)
+   * @param {object} page - Puppeteer page
+   */
+  async closePage(page) {
+    await page.close().catch(() => {});
+    if (this.context) {
+      await this.context.close().catch(() => {});
+      this.context = null;
+    }
+  }
+
+  /**
+   * Every cookie in the capture's browser context, across all domains -
+   * page.cookies() would only return those scoped to the final URL
+   * @param {object} page - Puppeteer page
+   * @returns {Array} Puppeteer cookies
+   */
+  async collectSessionCookies(page) {
+    const context = page.browserContext();
+    if (typeof context.cookies === 'function') {
+      return context.cookies();
+    }
+    // Older Puppeteer: the page's CDP session reads its own context's cookie store
+    const client = await page.createCDPSession();
+    try {
+      const { cookies } = await client.send('Network.getAllCookies');
+      return cookies;
+    } finally {
+      await client.detach().catch(() => {});
+    }
+  }
+
+  /**
+   * Install cookies and basic credentials, then run the login recipe
+   * @param {object} page - Puppeteer page
+   * @param {object} settings - Resolved capture settings
+   * @param {string} url - Page URL (scope of cookies without a domain)
+   */
+  async applyCredentials(page, settings, url) {
+    if (settings.cookies.length > 0) {
+      await page.setCookie(...settings.cookies.map(cookie => (
+        cookie.domain ? cookie : { ...cookie, url }
+      )));
+    }
+    if (settings.basicAuth) {
+      await page.authenticate(settings.basicAuth);
+    }
+    if (settings.login) {
+      await this.runLoginRecipe(page, settings.login, settings);
+    }
+  }
+
+  /**
+   * Run a declarative login: open the login URL, then fill/click/wait step by step
+   * Errors name the failing step and selector but never the filled value
+   * @param {object} page - Puppeteer page
+   * @param {object} login - {url, steps, timeout}
+   * @param {object} settings - Resolved capture settings
+   */
+  async runLoginRecipe(page, login, settings) {
+    const timeout = login.timeout ?? LOGIN_STEP_TIMEOUT;
+    console.log(`🔐 Running login recipe (${login.steps.length} steps)`);
+
+    await page.goto(login.url, { waitUntil: settings.waitUntil, timeout: 60000 });
+
+    for (let i = 0; i < login.steps.length; i++) {
+      const step = login.steps[i];
+      try {
+        switch (step.action) {
+          case 'fill':
+            await page.waitForSelector(step.selector, { visible: true, timeout });
+            // Clear any prefilled value before typing
+            await page.$eval(step.selector, el => { el.value = ''; });
+            await page.type(step.selector, step.value);
+            break;
+          case 'click':
+            await page.waitForSelector(step.selector, { visible: true, timeout });
+            if (step.waitForNavigation) {
+              await Promise.all([
+                page.waitForNavigation({ waitUntil: settings.waitUntil, timeout }),
+                page.click(step.selector)
+              ]);
+            } else {
+              await page.click(step.selector);
+            }
+            break;
+          case 'waitForSelector':
+            await page.waitForSelector(step.selector, { timeout });
+            break;
+          case 'waitForNavigation':
+            await page.waitForNavigation({ waitUntil: settings.waitUntil, timeout });
+            break;
+        }
+      } catch (error) {
+        const target = step.selector ? ` "${step.selector}"` : '';
+        throw new Error(`Login step ${i + 1} (${step.action}${target}) failed: ${error.message}`);
+      }
+    }
+
+    console.log('✅ Login recipe complete');
+  }
+
+  /**
+   * Capture a page's layout at every breakpoint along with its assets and components
+   * @param {string} url - Page URL
+   * @param {Function} progressCallback - Receives {phase, progress}
+   * @param {object} options - Validated scrapeOptions (user agent, breakpoints, waits, headers...)
+   * @returns {object} Visual data
+   */
+  async scrapeVisualLayout(url, progressCallback, options = {}) {
+    const settings = this.resolveScrapeOptions(options);
+    await this.initialize();
+    this.sessionCookies = null;
+    let page = await this.openPage(settings);
     
     try {
       // Progress tracking: 0-20% Initial setup and page load
       progressCallback?.({ phase: 'connecting', progress: 2 });
       
-      // Set user agent and viewport
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      await page.setViewport({ width: 1200, height: 800 });
+      // Set user agent, viewport, headers and script mode
+      await this.preparePage(page, settings);
+
+      // Cookies, basic credentials and the login recipe run before the page itself loads
+      if (this.hasCredentials(settings)) {
+        progressCallback?.({ phase: 'authenticating', progress: 5 });
+        await this.applyCredentials(page, settings, url);
+      }
       
       progressCallback?.({ phase: 'loading_page', progress: 8 });
       
@@ -120,7 +431,7 @@ class VisualWebScraper {
       for (let attempt = 1; attempt <= 3; attempt++) {
         try {
           await page.goto(url, { 
-            waitUntil: ['networkidle0', 'domcontentloaded'],
+            waitUntil: settings.waitUntil,
             timeout: 60000 
           });
           lastError = null;
@@ -134,7 +445,7 @@ class VisualWebScraper {
             console.log('Frame detachment detected - reinitializing browser');
             
             // Close the broken page
-            await page.close().catch(() => {});
+            await this.closePage(page);
             
             // Force reinitialize browser context
             if (this.browser) {
@@ -144,11 +455,11 @@ class VisualWebScraper {
             
             // Reinitialize and create new page
             await this.initialize();
-            page = await this.browser.newPage();
-            page.setDefaultNavigationTimeout(90000);
-            page.setDefaultTimeout(90000);
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-            await page.setViewport({ width: 1200, height: 800 });
+            page = await this.openPage(settings);
+            await this.preparePage(page, settings);
+            if (this.hasCredentials(settings)) {
+              await this.applyCredentials(page, settings, url);
+            }
           }
           
           if (attempt === 3) throw e;
@@ -160,27 +471,24 @@ class VisualWebScraper {
       
       // Wait for any dynamic content and lazy loading
       await new Promise(resolve => setTimeout(resolve, 3000));
+
+      // Hydrated apps: wait for their content, then any extra time the request asks for
+      if (settings.waitForSelector) {
+        await page.waitForSelector(settings.waitForSelector, { timeout: settings.waitForSelectorTimeout })
+          .catch(error => console.warn(`⚠️ waitForSelector "${settings.waitForSelector}" not met: ${error.message}`));
+      }
+      if (settings.extraDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, settings.extraDelay));
+      }
       
-      // Scroll to trigger lazy loading and ensure all content is visible
-      await page.evaluate(() => {
-        return new Promise((resolve) => {
-          let totalHeight = 0;
-          const distance = 100;
-          const timer = setInterval(() => {
-            const scrollHeight = document.body.scrollHeight;
-            window.scrollBy(0, distance);
-            totalHeight += distance;
-            
-            if(totalHeight >= scrollHeight) {
-              clearInterval(timer);
-              // Scroll back to top
-              window.scrollTo(0, 0);
-              setTimeout(resolve, 1000);
-            }
-          }, 100);
-        });
-      });
+      // Scroll through the page so lazy images and feeds load, within the capture budget
+      progressCallback?.({ phase: 'loading_lazy_content', progress: 17 });
+      const lazyLoad = await this.loadLazyContent(page, settings);
       
+      // Consent banners, chat bubbles and popups must not end up as page sections
+      progressCallback?.({ phase: 'suppressing_overlays', progress: 19 });
+      const overlays = await this.suppressOverlays(page, settings);
+
       // Progress tracking: 20-40% Element discovery and mapping
       progressCallback?.({ phase: 'analyzing_layout', progress: 22 });
       
@@ -191,15 +499,22 @@ class VisualWebScraper {
       
       // Capture visual structure for each breakpoint (28-35% for responsive layouts)
       const responsiveLayouts = {};
-      const deviceTypes = Object.entries(this.breakpoints);
+      const deviceTypes = Object.entries(settings.breakpoints);
       
       for (let i = 0; i < deviceTypes.length; i++) {
         const [deviceType, width] = deviceTypes[i];
         const progressIncrement = Math.floor(7 / deviceTypes.length); // 7% total for responsive
         progressCallback?.({ phase: `capturing_${deviceType}`, progress: 28 + (i * progressIncrement) });
-        responsiveLayouts[deviceType] = await this.captureLayoutAtBreakpoint(page, width);
+        responsiveLayouts[deviceType] = await this.captureLayoutAtBreakpoint(page, width, settings, overlays);
       }
       
+      // Read sliders and expand accordions/tabs after the layout capture so it keeps the page's own state
+      progressCallback?.({ phase: 'capturing_components', progress: 38 });
+      const components = [
+        ...await this.extractCarousels(page),
+        ...await this.extractInteractiveComponents(page)
+      ];
+
       // Progress tracking: 40-70% Content and asset capture
       progressCallback?.({ phase: 'extracting_assets', progress: 42 });
       
@@ -217,7 +532,12 @@ class VisualWebScraper {
       // Progress tracking: 90-95% Final validation and completion
       progressCallback?.({ phase: 'validating_structure', progress: 88 });
       
-      await page.close();
+      // Keep the authenticated session's cookies (including any set by the login) for asset downloads
+      if (this.hasCredentials(settings)) {
+        this.sessionCookies = await this.collectSessionCookies(page);
+      }
+
+      await this.closePage(page);
       BROWSER_POOL.releaseBrowser(); // Release browser back to pool
 
       progressCallback?.({ phase: 'scraping_complete', progress: 95 }); // Never exceed 95% here
@@ -228,11 +548,14 @@ class VisualWebScraper {
         visualStructure,
         responsiveLayouts,
         assets,
+        components,
+        overlays,
+        lazyLoad,
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      await page.close().catch(() => {});
+      await this.closePage(page);
       BROWSER_POOL.releaseBrowser(); // Release browser even on error
       const err = new Error(`Scrape failed: ${error.message}. Hint: If this persists, set CHROMIUM_PATH or increase timeouts.`);
       err.cause = error;
@@ -240,6 +563,337 @@ class VisualWebScraper {
     }
   }
 
+  /**
+   * Scroll through the page in viewport-sized steps, waiting for the network to go
+   * idle after each, so lazy images and infinite feeds load. Lazy attributes are
+   * promoted to real ones along the way. Stops at the bottom or when the budget runs out
+   * @param {object} page - Puppeteer page
+   * @param {object} settings - Resolved capture settings
+   * @returns {object} Report {steps, scrolledTo, pageHeight, durationMs, promoted, eager, complete, budgetExhausted, exhaustedBy}
+   */
+  async loadLazyContent(page, settings) {
+    const budget = settings.lazyLoad;
+    const startedAt = Date.now();
+    const report = {
+      steps: 0,
+      scrolledTo: 0,
+      pageHeight: 0,
+      durationMs: 0,
+      promoted: 0,
+      eager: 0,
+      complete: false,
+      budgetExhausted: false,
+      exhaustedBy: null
+    };
+
+    // data-src/data-lazy-src/data-srcset become real attributes and loading="lazy"
+    // media loads now - covers new items an infinite feed appends too
+    const promoteLazyMedia = async () => {
+      const counts = await page.evaluate(() => {
+        const LAZY_ATTRIBUTES = [
+          ['data-src', 'src'],
+          ['data-lazy-src', 'src'],
+          ['data-srcset', 'srcset'],
+          ['data-lazy-srcset', 'srcset']
+        ];
+        let promoted = 0;
+        let eager = 0;
+        for (const element of document.querySelectorAll('img, source, iframe, video')) {
+          for (const [from, to] of LAZY_ATTRIBUTES) {
+            const value = element.getAttribute(from);
+            if (value && value.trim() && element.getAttribute(to) !== value) {
+              element.setAttribute(to, value);
+              promoted++;
+            }
+          }
+          if (element.getAttribute('loading') === 'lazy') {
+            element.setAttribute('loading', 'eager');
+            eager++;
+          }
+        }
+        return { promoted, eager };
+      });
+      report.promoted += counts.promoted;
+      report.eager += counts.eager;
+    };
+    const waitForIdle = async () => {
+      const remaining = budget.maxTime - (Date.now() - startedAt);
+      const timeout = Math.max(0, Math.min(budget.idleTimeout, remaining));
+      if (timeout === 0) return;
+      await page.waitForNetworkIdle({ idleTime: budget.idleTime, timeout }).catch(() => {});
+    };
+
+    try {
+      await promoteLazyMedia();
+      await waitForIdle();
+
+      while (true) {
+        const { pageHeight, viewportHeight } = await page.evaluate(() => ({
+          pageHeight: Math.max(document.body?.scrollHeight || 0, document.documentElement.scrollHeight),
+          viewportHeight: window.innerHeight
+        }));
+        report.pageHeight = pageHeight;
+
+        // Done once the viewport reaches the bottom (or the height budget)
+        if (report.scrolledTo + viewportHeight >= Math.min(pageHeight, budget.maxHeight)) {
+          if (pageHeight > budget.maxHeight) {
+            report.exhaustedBy = 'maxHeight';
+          } else {
+            report.complete = true;
+          }
+          break;
+        }
+        if (report.steps >= budget.maxSteps) {
+          report.exhaustedBy = 'maxSteps';
+          break;
+        }
+        if (Date.now() - startedAt >= budget.maxTime) {
+          report.exhaustedBy = 'maxTime';
+          break;
+        }
+
+        report.scrolledTo = Math.min(report.scrolledTo + viewportHeight, budget.maxHeight - viewportHeight);
+        await page.evaluate((y) => window.scrollTo(0, y), report.scrolledTo);
+        report.steps++;
+
+        await waitForIdle();
+        await promoteLazyMedia();
+      }
+
+      // Back to the top for the capture, and let the last promoted media arrive
+      await page.evaluate(() => window.scrollTo(0, 0));
+      await waitForIdle();
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    } catch (error) {
+      console.warn(`⚠️ Lazy-load scroll failed: ${error.message}`);
+    }
+
+    report.budgetExhausted = report.exhaustedBy !== null;
+    report.durationMs = Date.now() - startedAt;
+    console.log(`📜 Lazy-load scroll: ${report.steps} steps to ${report.scrolledTo}px of ${report.pageHeight}px, ${report.promoted} lazy attributes promoted` +
+      (report.budgetExhausted ? ` (budget exhausted: ${report.exhaustedBy})` : ''));
+    return report;
+  }
+
+  /**
+   * Pre-capture cleanup: accept or remove consent banners, chat widgets, newsletter
+   * modals and other fixed overlays, remove the request's excludeSelectors, then undo
+   * the scroll lock such overlays put on the page
+   * Consent managers often reload the page once accepted, so the cleanup waits for
+   * that navigation and runs again on the reloaded page
+   * @param {object} page - Puppeteer page
+   * @param {object} settings - Resolved capture settings
+   * @returns {object} Report {removed: [{source, name, action, tag, id, className, text}], scrollRestored}
+   */
+  async suppressOverlays(page, settings) {
+    const empty = { removed: [], scrollRestored: false };
+    if (!settings.suppressOverlays && settings.excludeSelectors.length === 0) {
+      return empty;
+    }
+
+    // Watch for a reload from the moment the accept buttons can be clicked
+    let navigating = false;
+    const onRequest = (request) => {
+      if (request.isNavigationRequest() && request.frame() === page.mainFrame()) navigating = true;
+    };
+    page.on('request', onRequest);
+    const navigation = page.waitForNavigation({ waitUntil: settings.waitUntil, timeout: OVERLAY_NAVIGATION_TIMEOUT })
+      .catch(() => null);
+
+    try {
+      let report;
+      try {
+        report = await this.removeOverlays(page, settings);
+      } catch (error) {
+        // An accept click that reloads the page destroys the context mid-pass
+        if (!/Execution context was destroyed|navigation/i.test(error.message)) throw error;
+        navigating = true;
+        report = empty;
+      }
+
+      if (navigating) {
+        console.log('🔄 Accepting overlays reloaded the page, cleaning up again');
+        await navigation;
+        const rerun = await this.removeOverlays(page, settings);
+        report = {
+          removed: [...report.removed, ...rerun.removed],
+          scrollRestored: report.scrollRestored || rerun.scrollRestored
+        };
+      }
+
+      if (report.removed.length > 0) {
+        console.log(`🧹 Removed ${report.removed.length} overlays before capture: ${report.removed.map(item => item.name).join(', ')}`);
+      }
+      return report;
+    } catch (error) {
+      console.warn(`⚠️ Overlay suppression failed: ${error.message}`);
+      return empty;
+    } finally {
+      page.off('request', onRequest);
+    }
+  }
+
+  /**
+   * One cleanup pass in the page (see suppressOverlays)
+   * @param {object} page - Puppeteer page
+   * @param {object} settings - Resolved capture settings
+   * @returns {object} Report {removed, scrollRestored}
+   */
+  async removeOverlays(page, settings) {
+    return page.evaluate(async ({ rules, excludeSelectors, useRules }) => {
+      const OVERLAY_TEXT = /\b(cookies?|consent|gdpr|privacy (settings|preferences)|newsletter|subscribe|sign up for|live chat|chat with us)\b/i;
+      const ACCEPT_TEXT = /^(accept( all)?( cookies)?|allow( all)?( cookies)?|(i )?agree|got it|ok(ay)?|i understand|understood)[.!]?$/i;
+      const CLOSE_TEXT = /^(×|✕|✖|x|close|dismiss|no,? thanks|not now|maybe later)[.!]?$/i;
+      const DIALOG_SELECTOR = 'dialog, [role="dialog"], [role="alertdialog"], [aria-modal="true"]';
+      const SCROLL_LOCK_CLASSES = ['modal-open', 'no-scroll', 'noscroll', 'overflow-hidden', 'scroll-lock', 'disable-scroll', 'is-locked'];
+
+      const removed = [];
+      const handled = new Set();
+      const pending = [];
+
+      const getText = (element) => (element?.innerText || element?.textContent || '').replace(/\s+/g, ' ').trim();
+      const queryAll = (selector) => {
+        try {
+          return Array.from(document.querySelectorAll(selector));
+        } catch (e) {
+          return [];
+        }
+      };
+      const isVisible = (element) => {
+        const style = window.getComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0 &&
+          rect.right > 0 && rect.bottom > 0 && rect.left < window.innerWidth && rect.top < window.innerHeight;
+      };
+      const isHandled = (element) => Array.from(handled).some(root => root === element || root.contains(element));
+      const describe = (element, source, name, action) => ({
+        source,
+        name,
+        action,
+        tag: element.tagName.toLowerCase(),
+        id: element.id || '',
+        className: typeof element.className === 'string' ? element.className.trim().slice(0, 200) : '',
+        text: getText(element).slice(0, 120)
+      });
+      const clickAccept = (buttons) => {
+        const button = buttons.find(isVisible);
+        if (!button) return false;
+        button.click();
+        return true;
+      };
+
+      if (useRules) {
+        // 1. Known consent managers, chat widgets and popups
+        for (const rule of rules) {
+          const roots = queryAll(rule.root).filter(root => !isHandled(root));
+          if (roots.length === 0) continue;
+          const accepted = rule.accept ? clickAccept(queryAll(rule.accept)) : false;
+          for (const root of roots) {
+            if (isHandled(root)) continue;
+            handled.add(root);
+            pending.push({ element: root, source: 'rule', name: rule.name, accepted });
+          }
+        }
+
+        // 2. Heuristics: fixed overlays that cover most of the viewport (modals and their
+        // backdrops) or read like a consent/newsletter/chat box. Either way the element must
+        // also look like an overlay - dialog semantics, a backdrop or an accept/close control -
+        // so fixed promo bars, sticky CTAs and sidebars stay. Site headers, navigation and
+        // fixed wrappers holding the page itself are left alone
+        const bodyTextLength = getText(document.body).length;
+        const viewportArea = window.innerWidth * window.innerHeight;
+        const candidates = Array.from(document.body.querySelectorAll('*')).filter(element => {
+          if (isHandled(element)) return false;
+          if (window.getComputedStyle(element).position !== 'fixed' || !isVisible(element)) return false;
+          if (element.matches('header, nav, [role="banner"], [role="navigation"]') ||
+              element.querySelector('main, [role="main"], header, nav, h1')) return false;
+          const text = getText(element);
+          return bodyTextLength <= 200 || text.length <= bodyTextLength / 2;
+        });
+        const coversViewport = (element) => {
+          const rect = element.getBoundingClientRect();
+          return parseInt(window.getComputedStyle(element).zIndex, 10) > 0 && rect.width * rect.height >= viewportArea * 0.4;
+        };
+        const isBackdrop = (element) => {
+          const style = window.getComputedStyle(element);
+          const alpha = style.backgroundColor.match(/rgba\([^)]*,\s*([\d.]+)\)/);
+          const translucent = alpha && parseFloat(alpha[1]) > 0 && parseFloat(alpha[1]) < 1;
+          return coversViewport(element) && (translucent || (style.backdropFilter && style.backdropFilter !== 'none'));
+        };
+
+        for (const element of candidates) {
+          if (isHandled(element)) continue;
+
+          const text = getText(element);
+          const controls = Array.from(element.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]'));
+          const acceptControls = controls.filter(control => ACCEPT_TEXT.test(getText(control) || control.value || ''));
+          const hasClose = controls.some(control => CLOSE_TEXT.test(getText(control) || control.value || '') ||
+            /\b(close|dismiss)\b/i.test(control.getAttribute('aria-label') || control.getAttribute('title') || ''));
+          const isDialog = element.matches(DIALOG_SELECTOR) || !!element.querySelector(DIALOG_SELECTOR);
+          const hasControl = acceptControls.length > 0 || hasClose;
+          // Modal markup puts the backdrop around the box or right next to it
+          const hasBackdrop = [element, element.previousElementSibling, element.nextElementSibling, ...element.children]
+            .some(node => node && window.getComputedStyle(node).position === 'fixed' && isBackdrop(node));
+
+          const readsLikeOverlay = text.length < 2000 && OVERLAY_TEXT.test(text) &&
+            (isDialog || hasBackdrop || hasControl);
+          const coversAsOverlay = coversViewport(element) &&
+            (isDialog || isBackdrop(element) || hasControl || OVERLAY_TEXT.test(text));
+          if (!coversAsOverlay && !readsLikeOverlay) continue;
+
+          const accepted = readsLikeOverlay && clickAccept(acceptControls);
+          handled.add(element);
+          pending.push({ element, source: 'heuristic', name: readsLikeOverlay ? 'overlay' : 'fixed overlay', accepted });
+        }
+      }
+
+      // Give accepted banners a moment to close themselves
+      if (pending.some(item => item.accepted)) {
+        await new Promise(resolve => setTimeout(resolve, 600));
+      }
+
+      // 3. Whatever is still attached is removed
+      for (const item of pending) {
+        const dismissed = item.accepted && (!item.element.isConnected || !isVisible(item.element));
+        removed.push(describe(item.element, item.source, item.name, dismissed ? 'accepted' : 'removed'));
+        if (item.element.isConnected) item.element.remove();
+      }
+
+      // 4. Selectors the request excludes, overlay or not
+      for (const selector of excludeSelectors) {
+        for (const element of queryAll(selector)) {
+          if (!element.isConnected) continue;
+          removed.push(describe(element, 'excludeSelector', selector, 'removed'));
+          element.remove();
+        }
+      }
+
+      // 5. Undo the scroll lock modals leave on <html>/<body>
+      let scrollRestored = false;
+      if (removed.length > 0) {
+        for (const element of [document.documentElement, document.body]) {
+          const locks = SCROLL_LOCK_CLASSES.filter(name => element.classList.contains(name));
+          if (locks.length > 0) {
+            element.classList.remove(...locks);
+            scrollRestored = true;
+          }
+          const style = window.getComputedStyle(element);
+          if (style.overflowY === 'hidden') {
+            element.style.setProperty('overflow-y', 'auto', 'important');
+            scrollRestored = true;
+          }
+          if (element === document.body && style.position === 'fixed') {
+            element.style.setProperty('position', 'static', 'important');
+            element.style.removeProperty('top');
+            scrollRestored = true;
+          }
+        }
+      }
+
+      return { removed, scrollRestored };
+    }, { rules: OVERLAY_RULES, excludeSelectors: settings.excludeSelectors, useRules: settings.suppressOverlays });
+  }
+
   async extractPageInfo(page) {
     return await page.evaluate(() => {
       return {
@@ -254,10 +908,25 @@ class VisualWebScraper {
     });
   }
 
-  async captureLayoutAtBreakpoint(page, width) {
+  /**
+   * Capture the page's structure and styles at one breakpoint width
+   * @param {object} page - Puppeteer page
+   * @param {number} width - Viewport width
+   * @param {object} settings - Resolved capture settings
+   * @param {object} overlays - suppressOverlays report that overlays shown at this width are added to
+   * @returns {object} Layout capture
+   */
+  async captureLayoutAtBreakpoint(page, width, settings = this.resolveScrapeOptions(), overlays = null) {
     // Set viewport for this breakpoint
-    await page.setViewport({ width, height: 800 });
-    await new Promise(resolve => setTimeout(resolve, 500)); // Let layout settle
+    await page.setViewport({ width, height: settings.viewportHeight });
+    await new Promise(resolve => setTimeout(resolve, settings.settleDelay)); // Let layout settle
+
+    // Mobile-only banners and popups opened by the resize are cleaned up too
+    if (overlays) {
+      const report = await this.suppressOverlays(page, settings);
+      overlays.removed.push(...report.removed);
+      overlays.scrollRestored = overlays.scrollRestored || report.scrollRestored;
+    }
     
     // Capture the actual HTML content and styles
     const result = await page.evaluate(() => {
@@ -292,28 +961,113 @@ class VisualWebScraper {
         return allStyles;
       };
 
-      const getComputedLayout = (element) => {
-        const style = window.getComputedStyle(element);
+      // Elements inside same-origin frames resolve styles against their own window
+      const getStyle = (element, pseudo) => (element.ownerDocument?.defaultView || window).getComputedStyle(element, pseudo);
+
+      // Stylesheets of a shadow root or frame document - kept on the host node, as
+      // they only apply inside it
+      const getScopedStyles = (root) => {
+        let css = '';
+        for (const sheet of [...Array.from(root.styleSheets || []), ...(root.adoptedStyleSheets || [])]) {
+          try {
+            css += Array.from(sheet.cssRules || []).map(rule => rule.cssText).join('\n') + '\n';
+          } catch (e) {
+            // Cross-origin stylesheets might not be accessible
+          }
+        }
+        return css;
+      };
+
+      // contentDocument is null for cross-origin frames
+      const getFrameDocument = (iframe) => {
+        try {
+          return iframe.contentDocument?.body ? iframe.contentDocument : null;
+        } catch (e) {
+          return null;
+        }
+      };
+
+      // Where a node lives: the page itself, an open shadow root or a same-origin frame.
+      // host is the domPath of the shadow host/iframe the content belongs to
+      const TOP_FRAME = { origin: 'document', host: null, offsetX: 0, offsetY: 0 };
+      // Text extraction only looks for shadow roots on pages that have them
+      const pageHasShadowRoots = Array.from(document.querySelectorAll('*')).some(element => element.shadowRoot);
+
+      // List bullets: the ::marker glyph, or a ::before pseudo element drawn by the theme
+      const getListMarker = (element) => {
+        const marker = getStyle(element, '::marker');
+        const before = getStyle(element, '::before');
+        const beforeContent = before.content && !['none', 'normal', '""'].includes(before.content) ? before.content : null;
+        const beforeImage = before.backgroundImage && before.backgroundImage !== 'none' ? before.backgroundImage : null;
+
+        return {
+          content: marker.content,
+          color: marker.color,
+          fontSize: marker.fontSize,
+          before: beforeContent || beforeImage ? {
+            content: beforeContent,
+            backgroundImage: beforeImage,
+            color: before.color,
+            fontFamily: before.fontFamily,
+            fontSize: before.fontSize,
+            width: before.width
+          } : null
+        };
+      };
+
+      // Semi-transparent ::before/::after layer drawn over a background image
+      const getOverlayLayer = (element) => {
+        for (const pseudo of ['::before', '::after']) {
+          const layer = getStyle(element, pseudo);
+          if (!layer.content || ['none', 'normal'].includes(layer.content)) continue;
+          if (!['absolute', 'fixed'].includes(layer.position)) continue;
+
+          const hasColor = layer.backgroundColor && layer.backgroundColor !== 'rgba(0, 0, 0, 0)';
+          const hasGradient = layer.backgroundImage && layer.backgroundImage.includes('gradient');
+          if (hasColor || hasGradient) {
+            return {
+              backgroundColor: layer.backgroundColor,
+              backgroundImage: hasGradient ? layer.backgroundImage : 'none',
+              opacity: layer.opacity,
+              source: pseudo
+            };
+          }
+        }
+        return null;
+      };
+
+      // offsetX/offsetY place the content of a same-origin frame in page coordinates
+      const getComputedLayout = (element, frame = TOP_FRAME) => {
+        const style = getStyle(element);
         const rect = element.getBoundingClientRect();
         
         return {
           // Position and dimensions
-          x: rect.x,
-          y: rect.y,
+          x: rect.x + frame.offsetX,
+          y: rect.y + frame.offsetY,
           width: rect.width,
           height: rect.height,
-          top: rect.top,
-          left: rect.left,
-          right: rect.right,
-          bottom: rect.bottom,
+          top: rect.top + frame.offsetY,
+          left: rect.left + frame.offsetX,
+          right: rect.right + frame.offsetX,
+          bottom: rect.bottom + frame.offsetY,
           
           // Layout properties
           position: style.position,
+          inset: {
+            top: style.top,
+            right: style.right,
+            bottom: style.bottom,
+            left: style.left
+          },
           display: style.display,
           flexDirection: style.flexDirection,
           flexWrap: style.flexWrap,
           justifyContent: style.justifyContent,
           alignItems: style.alignItems,
+          gap: style.gap,
+          rowGap: style.rowGap,
+          columnGap: style.columnGap,
           gridTemplateColumns: style.gridTemplateColumns,
           gridTemplateRows: style.gridTemplateRows,
           
@@ -337,9 +1091,22 @@ class VisualWebScraper {
           backgroundSize: style.backgroundSize,
           backgroundPosition: style.backgroundPosition,
           backgroundRepeat: style.backgroundRepeat,
+          backgroundAttachment: style.backgroundAttachment,
+          ...(style.backgroundImage.includes('url(') && { overlay: getOverlayLayer(element) }),
           borderRadius: style.borderRadius,
           boxShadow: style.boxShadow,
           border: style.border,
+          filter: style.filter,
+          backdropFilter: style.backdropFilter,
+          mixBlendMode: style.mixBlendMode,
+          clipPath: style.clipPath,
+          objectFit: style.objectFit,
+          objectPosition: style.objectPosition,
+          // Cells often border one side only, which the border shorthand drops
+          ...(['TABLE', 'TR', 'TH', 'TD'].includes(element.tagName) && {
+            borderCollapse: style.borderCollapse,
+            borderSides: { top: style.borderTop, right: style.borderRight, bottom: style.borderBottom, left: style.borderLeft }
+          }),
           
           // Typography
           fontSize: style.fontSize,
@@ -352,6 +1119,8 @@ class VisualWebScraper {
           textTransform: style.textTransform,
           letterSpacing: style.letterSpacing,
           wordSpacing: style.wordSpacing,
+          textShadow: style.textShadow,
+          textOverflow: style.textOverflow,
           color: style.color,
           
           // Visibility and overflow
@@ -375,6 +1144,11 @@ class VisualWebScraper {
           whiteSpace: style.whiteSpace,
           wordBreak: style.wordBreak,
           cursor: style.cursor,
+
+          // Lists
+          listStyleType: style.listStyleType,
+          listStyleImage: style.listStyleImage,
+          ...(element.tagName === 'LI' && { marker: getListMarker(element) }),
           
           // Grid properties
           gridArea: style.gridArea,
@@ -391,11 +1165,37 @@ class VisualWebScraper {
         };
       };
 
+      // Text as rendered through open shadow roots: a host shows its shadow tree and
+      // a filled slot shows its assigned nodes instead of its fallback
+      const collectComposedText = (node, textNodes) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          const text = node.textContent.trim();
+          if (text) textNodes.push(text);
+          return;
+        }
+        if (['STYLE', 'SCRIPT'].includes(node.nodeName)) return;
+        if (node.nodeName === 'SLOT' && node.getRootNode().host) {
+          const assigned = node.assignedNodes();
+          if (assigned.length > 0) {
+            assigned.forEach(child => collectComposedText(child, textNodes));
+            return;
+          }
+        }
+        for (const child of (node.shadowRoot || node).childNodes) {
+          collectComposedText(child, textNodes);
+        }
+      };
+
       // AGGRESSIVE TEXT CONTENT EXTRACTION - Get all text nodes recursively
       const extractTextContent = (element) => {
         // Get all text nodes, even deeply nested ones
         const textNodes = [];
-        const walker = document.createTreeWalker(
+        if (pageHasShadowRoots) {
+          collectComposedText(element, textNodes);
+          return textNodes.join(' ');
+        }
+
+        const walker = element.ownerDocument.createTreeWalker(
           element,
           NodeFilter.SHOW_TEXT,
           {
@@ -415,7 +1215,99 @@ class VisualWebScraper {
         return textNodes.join(' ');
       };
 
-      const mapElement = (element, depth = 0) => {
+      // PNG of a canvas, skipped for huge or cross-origin (tainted) canvases
+      const getCanvasSnapshot = (canvas) => {
+        try {
+          if (!canvas.width || !canvas.height || canvas.width * canvas.height > 4000000) return null;
+          const dataUrl = canvas.toDataURL('image/png');
+          return dataUrl.length <= 1500000 ? dataUrl : null;
+        } catch (e) {
+          return null;
+        }
+      };
+
+      const mappedElements = new Map();
+      const embeds = [];
+      // Each distinct scoped stylesheet is stored once (every instance of a web component
+      // carries the same one) and referenced by index
+      const scopedStyles = [];
+      const registerStyles = (root) => {
+        const css = getScopedStyles(root);
+        if (!css.trim()) return null;
+        const index = scopedStyles.indexOf(css);
+        return index >= 0 ? index : scopedStyles.push(css) - 1;
+      };
+      let shadowRootCount = 0;
+      let frameCount = 0;
+
+      // Children as rendered: a shadow host shows its shadow tree (light children only
+      // through slots), a slot shows what is assigned to it, and a same-origin iframe
+      // shows its document's body. Returns [element, domPath, frame] triples
+      const getRenderedChildren = (element, tagName, domPath, frame) => {
+        // SVG internals (paths, groups) are kept as markup on the svg node only
+        if (tagName === 'svg') return [];
+
+        // Filled slots are replaced by the light-DOM elements assigned to them (through
+        // forwarded slots), which keep the path and origin of their own tree
+        const isFilledSlot = (element) => element.tagName === 'SLOT' && !!element.getRootNode().host &&
+          element.assignedElements().length > 0;
+        const expandSlot = (slot) => slot.assignedElements().flatMap(slotted => {
+          if (isFilledSlot(slotted)) return expandSlot(slotted);
+          const owner = mappedElements.get(slotted.parentElement) || { domPath: frame.host, frame: TOP_FRAME };
+          const index = Array.from(slotted.parentElement.children).indexOf(slotted);
+          return [[slotted, `${owner.domPath}/${slotted.tagName.toLowerCase()}[${index}]`, owner.frame]];
+        });
+        const indexed = (parent, path, childFrame) => Array.from(parent.children).flatMap((child, index) =>
+          isFilledSlot(child) ? expandSlot(child) : [[child, `${path}/${child.tagName?.toLowerCase()}[${index}]`, childFrame]]);
+
+        if (element.shadowRoot) {
+          return indexed(element.shadowRoot, `${domPath}/#shadow-root`, { ...frame, origin: 'shadow', host: domPath });
+        }
+
+        if (tagName === 'iframe') {
+          const frameDocument = getFrameDocument(element);
+          if (!frameDocument) return [];
+          const rect = element.getBoundingClientRect();
+          const style = getStyle(element);
+          return [[frameDocument.body, `${domPath}/#document/body`, {
+            origin: 'iframe',
+            host: domPath,
+            offsetX: frame.offsetX + rect.left + element.clientLeft + (parseFloat(style.paddingLeft) || 0),
+            offsetY: frame.offsetY + rect.top + element.clientTop + (parseFloat(style.paddingTop) || 0)
+          }]];
+        }
+
+        return indexed(element, domPath, frame);
+      };
+
+      // Shadow roots and same-origin frames carry their own styles (an index into
+      // frames.styles); cross-origin frames are recorded as embeds with their src and box
+      const getBoundaryInfo = (element, tagName, layout, domPath) => {
+        if (element.shadowRoot) {
+          shadowRootCount++;
+          return { shadowRoot: { mode: 'open', styles: registerStyles(element.shadowRoot) } };
+        }
+        if (tagName !== 'iframe') return {};
+
+        const frameDocument = getFrameDocument(element);
+        if (frameDocument) {
+          frameCount++;
+          return { frame: { origin: 'same-origin', src: element.src || '', title: frameDocument.title, styles: registerStyles(frameDocument) } };
+        }
+
+        const embed = {
+          src: element.getAttribute('data-src') || element.src || '',
+          title: element.title || '',
+          crossOrigin: true,
+          box: { x: layout.x, y: layout.y, width: layout.width, height: layout.height },
+          domPath
+        };
+        embeds.push(embed);
+        return { embed };
+      };
+
+      // domPath is stable across breakpoints so captures can be matched node-for-node
+      const mapElement = (element, depth = 0, domPath = 'body', frame = TOP_FRAME) => {
         if (depth > 50) return null; // Further increased depth for comprehensive capture
 
         const tagName = element.tagName?.toLowerCase();
@@ -423,7 +1315,8 @@ class VisualWebScraper {
           return null;
         }
 
-        const layout = getComputedLayout(element);
+        mappedElements.set(element, { domPath, frame });
+        const layout = getComputedLayout(element, frame);
         const children = [];
 
         // Capture direct text content (not just for leaf nodes)
@@ -456,31 +1349,38 @@ class VisualWebScraper {
           'header', 'footer', 'main', 'nav', 'section', 'article', 'aside',
           'div', 'span', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
           'ul', 'ol', 'li', 'img', 'a', 'button', 'input', 'textarea',
-          'select', 'form', 'figure', 'figcaption', 'blockquote'
+          'select', 'form', 'figure', 'figcaption', 'blockquote', 'video', 'iframe'
         ].includes(tagName);
         const isVisible = layout.width > 0 && layout.height > 0 && layout.visibility !== 'hidden' && layout.display !== 'none';
         const hasContent = innerHTML.trim().length > 0 || directTextContent.length > 0;
-        const hasChildren = element.children.length > 0;
+        const renderedChildren = getRenderedChildren(element, tagName, domPath, frame);
+        const hasChildren = element.children.length > 0 || renderedChildren.length > 0;
         const shouldProcess = isVisible || isImportantStructural || hasContent || hasChildren;
         
         if (shouldProcess) {
-          for (const child of element.children) {
-            const childMap = mapElement(child, depth + 1);
+          const boundary = getBoundaryInfo(element, tagName, layout, domPath);
+          renderedChildren.forEach(([child, childPath, childFrame]) => {
+            const childMap = mapElement(child, depth + 1, childPath, childFrame);
             if (childMap) {
               children.push(childMap);
             }
-          }
+          });
           
           return {
             tagName,
-            className: element.className,
+            // SVG elements expose className as an SVGAnimatedString
+            className: typeof element.className === 'string' ? element.className : (element.getAttribute('class') || ''),
             id: element.id,
             textContent: directTextContent,
             allTextContent: allTextContent, // ENHANCED: All nested text content
             innerHTML: innerHTML,
             outerHTML: element.outerHTML, // Capture complete HTML
             attributes: {
-              src: element.src,
+              // <video> with <source> children has no src of its own
+              src: tagName === 'video'
+                ? (element.currentSrc || element.src || element.querySelector('source')?.src)
+                : ((tagName === 'iframe' && element.getAttribute('data-src')) || element.src),
+              poster: element.getAttribute('poster') ? element.poster : undefined,
               href: element.href,
               alt: element.alt,
               title: element.title,
@@ -505,7 +1405,13 @@ class VisualWebScraper {
             },
             layout,
             children,
-            depth
+            depth,
+            domPath,
+            origin: frame.origin,
+            ...(frame.host && { originHost: frame.host }),
+            ...boundary,
+            // Script-drawn canvas art has no markup - keep what it currently shows
+            ...(tagName === 'canvas' && { snapshot: getCanvasSnapshot(element) })
           };
         }
         
@@ -592,13 +1498,405 @@ class VisualWebScraper {
         completeHTML: completeHTML,
         inlineStyledHTML: inlineStyledHTML,  // NEW: HTML with computed inline styles
         documentTitle: document.title,
-        documentURL: window.location.href
+        documentURL: window.location.href,
+        // Open shadow roots and same-origin frames walked, cross-origin frames kept as embeds
+        frames: { shadowRoots: shadowRootCount, sameOrigin: frameCount, embeds, styles: scopedStyles }
       };
     });
     
     return result;
   }
 
+  /**
+   * Record every panel of collapsible UI (details/summary, aria-expanded
+   * toggles, role="tablist") - the structure capture only sees the panels that
+   * happen to be open. Empty panels are filled by clicking their trigger, and
+   * the original state is restored afterwards.
+   * @param {Page} page - Puppeteer page (already captured at every breakpoint)
+   * @returns {Array} Components: {type, source, domPath, orientation, items: [{title, content, open}], style}
+   */
+  async extractInteractiveComponents(page) {
+    try {
+      await page.evaluate(installDomPathHelper);
+      return await page.evaluate(async (carouselSelector) => {
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        const maxClicks = 60;
+        let clicks = 0;
+
+        const getDomPath = window.__cloneMentorDomPath;
+        const queryAll = window.__cloneMentorQueryAll;
+        const isBody = (element) => element === element.ownerDocument.body;
+        const getText = (element) => (element?.innerText || element?.textContent || '').replace(/\s+/g, ' ').trim();
+        const getContent = (element) => {
+          const clone = element.cloneNode(true);
+          clone.querySelectorAll('script, style, noscript, template').forEach(node => node.remove());
+          return clone.innerHTML.trim();
+        };
+        const isEmpty = (element) => !getText(element) && !element.querySelector('img, video, iframe, svg');
+        const commonAncestor = (nodes) => {
+          let ancestor = nodes[0]?.parentElement;
+          while (ancestor && !nodes.every(node => ancestor.contains(node))) ancestor = ancestor.parentElement;
+          return ancestor;
+        };
+        const getStyle = (element) => {
+          if (!element) return null;
+          const style = window.getComputedStyle(element);
+          return {
+            color: style.color,
+            backgroundColor: style.backgroundColor,
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+            fontWeight: style.fontWeight,
+            borderColor: style.borderTopColor,
+            borderWidth: style.borderTopWidth
+          };
+        };
+        const clickAndWait = async (element) => {
+          if (!element || clicks >= maxClicks) return false;
+          clicks++;
+          element.click();
+          await wait(300);
+          return true;
+        };
+        // Ids are looked up in the tree (document or shadow root) of the trigger
+        const getById = (id, trigger) => {
+          if (!id) return null;
+          try {
+            const root = trigger.getRootNode();
+            return root.getElementById?.(id) || root.querySelector(`#${CSS.escape(id)}`);
+          } catch (e) {
+            return null;
+          }
+        };
+
+        const components = [];
+        const claimed = new Set();
+
+        // Tabs: role="tablist" with role="tab" triggers pointing at their panels
+        for (const tablist of queryAll('[role="tablist"]')) {
+          // Slick and Splide pagination dots are tablists too
+          if (tablist.closest(carouselSelector)) continue;
+
+          const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+          if (tabs.length < 2) continue;
+
+          const panels = tabs.map(tab => getById(tab.getAttribute('aria-controls'), tab) ||
+            getById((tab.getAttribute('data-bs-target') || tab.getAttribute('data-target') || tab.getAttribute('href') || '').replace(/^#/, ''), tab));
+          if (panels.some(panel => !panel)) continue;
+
+          const root = commonAncestor([tablist, ...panels]);
+          if (!root || isBody(root) || claimed.has(root)) continue;
+
+          const selected = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+          const items = [];
+          let changed = false;
+          for (let i = 0; i < tabs.length; i++) {
+            // Lazily rendered panels only get content once their tab is shown
+            if (isEmpty(panels[i]) && await clickAndWait(tabs[i])) changed = true;
+            items.push({
+              title: getText(tabs[i]),
+              content: getContent(panels[i]),
+              open: tabs[i] === selected
+            });
+          }
+          if (changed) await clickAndWait(selected);
+
+          claimed.add(root);
+          components.push({
+            type: 'tabs',
+            source: 'tablist',
+            domPath: getDomPath(root),
+            orientation: tablist.getAttribute('aria-orientation') === 'vertical' ? 'vertical' : 'horizontal',
+            items,
+            style: { title: getStyle(tabs.find(tab => tab !== selected) || tabs[0]), active: getStyle(selected), content: getStyle(panels[tabs.indexOf(selected)]) }
+          });
+        }
+
+        // <details>/<summary>: siblings in a wrapper of their own form one widget
+        const detailsGroups = new Map();
+        queryAll('details').forEach(details => {
+          if (details.parentElement?.closest('details, [role="tabpanel"]')) return;
+          const parent = details.parentElement;
+          if (!detailsGroups.has(parent)) detailsGroups.set(parent, []);
+          detailsGroups.get(parent).push(details);
+        });
+
+        for (const [parent, list] of detailsGroups) {
+          const others = Array.from(parent.children)
+            .filter(child => !list.includes(child) && !['script', 'style', 'template'].includes(child.tagName.toLowerCase()));
+          const wrapped = others.length === 0 && !isBody(parent);
+          const groups = wrapped ? [[parent, list]] : list.map(details => [details, [details]]);
+
+          for (const [root, group] of groups) {
+            if (claimed.has(root)) continue;
+
+            // A shared name attribute makes the group exclusive, like an accordion
+            const names = group.map(details => details.getAttribute('name')).filter(Boolean);
+            const exclusive = group.length > 1 && names.length === group.length && new Set(names).size === 1;
+            const items = group.map(details => {
+              const summary = details.querySelector(':scope > summary');
+              const body = details.cloneNode(true);
+              body.querySelector(':scope > summary')?.remove();
+              return { title: getText(summary), content: getContent(body), open: details.open };
+            });
+
+            claimed.add(root);
+            components.push({
+              type: exclusive ? 'accordion' : 'toggle',
+              source: 'details',
+              domPath: getDomPath(root),
+              items,
+              style: { title: getStyle(group[0].querySelector(':scope > summary')), content: getStyle(group[0]) }
+            });
+          }
+        }
+
+        // aria-expanded / collapse toggles, grouped by the wrapper their items share
+        const entries = [];
+        queryAll('[aria-expanded][aria-controls], [data-bs-toggle="collapse"], [data-toggle="collapse"]').forEach(trigger => {
+          if (trigger.getAttribute('role') === 'tab' || trigger.closest('nav, [role="navigation"], [role="menubar"], [role="menu"], [role="tablist"], details') || trigger.closest(carouselSelector)) return;
+
+          const id = (trigger.getAttribute('aria-controls') || '').split(/\s+/)[0] ||
+            (trigger.getAttribute('data-bs-target') || trigger.getAttribute('data-target') || trigger.getAttribute('href') || '').replace(/^#/, '');
+          const panel = getById(id, trigger);
+          // Dropdowns, dialogs and menus share the pattern but are not content panels
+          if (!panel || panel.contains(trigger) || panel.matches('nav, [role="menu"], [role="dialog"], [role="listbox"]') || panel.querySelector('nav')) return;
+
+          const item = commonAncestor([trigger, panel]);
+          if (item && !isBody(item)) entries.push({ trigger, panel, item });
+        });
+
+        const ariaGroups = new Map();
+        for (const entry of entries) {
+          // Heading/panel pairs directly in one wrapper share it as their common ancestor
+          const shared = entries.filter(other => other.item === entry.item).length > 1;
+          const root = shared ? entry.item : entry.item.parentElement;
+          if (!root || isBody(root)) continue;
+          if (!ariaGroups.has(root)) ariaGroups.set(root, []);
+          ariaGroups.get(root).push(entry);
+        }
+
+        for (const [root, group] of ariaGroups) {
+          if (group.length < 2 || claimed.has(root)) continue;
+
+          const items = [];
+          for (const { trigger, panel } of group) {
+            const open = trigger.getAttribute('aria-expanded') === 'true';
+            let content = getContent(panel);
+            if (!content && !open && await clickAndWait(trigger)) {
+              content = getContent(panel);
+              await clickAndWait(trigger);
+            }
+            items.push({ title: getText(trigger), content, open });
+          }
+
+          // Bootstrap's data-parent closes siblings; several open panels means independent toggles
+          const exclusive = group.some(({ panel }) => panel.hasAttribute('data-bs-parent') || panel.hasAttribute('data-parent'));
+          const openCount = items.filter(item => item.open).length;
+
+          claimed.add(root);
+          components.push({
+            type: exclusive || openCount <= 1 ? 'accordion' : 'toggle',
+            source: 'aria',
+            domPath: getDomPath(root),
+            items,
+            style: { title: getStyle(group[0].trigger), content: getStyle(group[0].panel) }
+          });
+        }
+
+        return components.filter(component => component.domPath && component.items.length > 0);
+      }, CAROUSEL_SELECTOR);
+    } catch (error) {
+      console.error('⚠️ Interactive component capture failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record every slide of Swiper, Slick, Splide and Flickity sliders - the
+   * structure capture only shows the active slide. Library clones are dropped,
+   * hidden slides are kept, and autoplay/navigation settings come from the
+   * live instance or its data-* config when available.
+   * @param {Page} page - Puppeteer page
+   * @returns {Array} Components: {type: 'carousel', library, domPath, config, slides, height}
+   */
+  async extractCarousels(page) {
+    try {
+      await page.evaluate(installDomPathHelper);
+      return await page.evaluate((carouselSelector) => {
+        const libraries = [
+          { name: 'swiper', root: '.swiper, .swiper-container', slides: ':scope > .swiper-wrapper > .swiper-slide', clone: '.swiper-slide-duplicate', index: 'data-swiper-slide-index' },
+          { name: 'slick', root: '.slick-slider', slides: '.slick-slide', clone: '.slick-cloned', index: 'data-slick-index' },
+          { name: 'splide', root: '.splide', slides: '.splide__slide', clone: '.splide__slide--clone', index: null },
+          { name: 'flickity', root: '.flickity-enabled, [data-flickity], .js-flickity', slides: '.flickity-slider > *', clone: null, index: null }
+        ];
+
+        const getDomPath = window.__cloneMentorDomPath;
+        const queryAll = window.__cloneMentorQueryAll;
+        const getText = (element) => (element?.innerText || element?.textContent || '').replace(/\s+/g, ' ').trim();
+        const parseJson = (value) => {
+          try {
+            return value ? JSON.parse(value) : null;
+          } catch (e) {
+            return null;
+          }
+        };
+        const getImageSrc = (img) => img.currentSrc || img.getAttribute('src') && img.src ||
+          img.getAttribute('data-src') || img.getAttribute('data-lazy') || img.getAttribute('data-flickity-lazyload') || img.getAttribute('data-splide-lazy') || '';
+        const getBackground = (slide) => {
+          for (const node of [slide, ...slide.querySelectorAll('*')]) {
+            const match = window.getComputedStyle(node).backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+            if (match) return match[1];
+          }
+          return null;
+        };
+
+        const readSlide = (slide) => {
+          const img = slide.querySelector('img');
+          const heading = slide.querySelector('h1, h2, h3, h4, h5, h6');
+          const quote = slide.querySelector('blockquote, q, [class*="quote"], [class*="testimonial__content"], [class*="testimonial-content"]');
+          const name = slide.querySelector('cite, [class*="name"], [class*="author"]');
+          const role = slide.querySelector('[class*="role"], [class*="position"], [class*="job"], [class*="company"]');
+          const link = Array.from(slide.querySelectorAll('a[href]')).find(a => getText(a));
+          const clone = slide.cloneNode(true);
+          clone.querySelectorAll('script, style, noscript').forEach(node => node.remove());
+          const paragraphs = Array.from(slide.querySelectorAll('p'))
+            .filter(p => !name?.contains(p) && !role?.contains(p) && !link?.contains(p))
+            .map(getText)
+            .filter(Boolean);
+
+          return {
+            html: clone.innerHTML.trim(),
+            text: getText(slide),
+            image: img ? {
+              src: getImageSrc(img),
+              alt: img.alt || '',
+              width: img.naturalWidth || parseInt(img.getAttribute('width')) || 0,
+              height: img.naturalHeight || parseInt(img.getAttribute('height')) || 0
+            } : null,
+            background: getBackground(slide),
+            heading: getText(heading),
+            description: paragraphs.join('\n'),
+            quote: getText(quote),
+            name: getText(name),
+            role: getText(role),
+            button: link ? { text: getText(link), href: link.href } : null
+          };
+        };
+
+        const readConfig = (library, root, slides) => {
+          const config = {};
+          const set = (key, value) => {
+            if (value !== undefined && value !== null && !(key in config)) config[key] = value;
+          };
+
+          if (library === 'swiper' && root.swiper?.params) {
+            const params = root.swiper.params;
+            set('autoplay', !!(params.autoplay && params.autoplay.enabled !== false));
+            set('autoplaySpeed', params.autoplay?.delay);
+            set('loop', !!params.loop);
+            set('speed', params.speed);
+            set('slidesToShow', typeof params.slidesPerView === 'number' ? params.slidesPerView : null);
+            set('fade', params.effect === 'fade');
+          }
+
+          if (library === 'slick') {
+            const options = root.slick?.options || parseJson(root.getAttribute('data-slick')) || {};
+            set('autoplay', options.autoplay);
+            set('autoplaySpeed', options.autoplaySpeed);
+            set('loop', options.infinite);
+            set('speed', options.speed);
+            set('slidesToShow', options.slidesToShow);
+            set('arrows', options.arrows);
+            set('dots', options.dots);
+            set('fade', options.fade);
+          }
+
+          if (library === 'splide') {
+            const options = parseJson(root.getAttribute('data-splide')) || {};
+            set('autoplay', options.autoplay);
+            set('autoplaySpeed', options.interval);
+            set('loop', options.type === 'loop' || options.rewind);
+            set('speed', options.speed);
+            set('slidesToShow', options.perPage);
+            set('arrows', options.arrows);
+            set('dots', options.pagination);
+            set('fade', options.type === 'fade');
+          }
+
+          if (library === 'flickity') {
+            const options = window.Flickity?.data?.(root)?.options ||
+              parseJson(root.getAttribute('data-flickity') || root.getAttribute('data-flickity-options')) || {};
+            // Flickity's autoPlay is true (3s) or the delay in ms
+            set('autoplay', options.autoPlay === undefined ? undefined : !!options.autoPlay);
+            set('autoplaySpeed', typeof options.autoPlay === 'number' ? options.autoPlay : (options.autoPlay ? 3000 : null));
+            set('loop', options.wrapAround);
+            set('arrows', options.prevNextButtons);
+            set('dots', options.pageDots);
+            set('fade', options.fade);
+          }
+
+          // Rendered controls and visible slides when the config did not say
+          set('arrows', !!root.querySelector('.swiper-button-next, .swiper-button-prev, .slick-arrow, .splide__arrow, .flickity-prev-next-button'));
+          set('dots', !!root.querySelector('.swiper-pagination, .slick-dots, .splide__pagination, .flickity-page-dots'));
+          const rootRect = root.getBoundingClientRect();
+          const visible = slides.filter(slide => {
+            const rect = slide.getBoundingClientRect();
+            return rect.width > 0 && rect.left >= rootRect.left - 1 && rect.right <= rootRect.right + 1;
+          }).length;
+          set('slidesToShow', visible || 1);
+
+          return config;
+        };
+
+        const carousels = [];
+        const seen = new Set();
+
+        for (const library of libraries) {
+          for (const root of queryAll(library.root)) {
+            // Thumbnail strips and nested sliders belong to the outer carousel
+            if (seen.has(root) || root.parentElement?.closest(carouselSelector)) continue;
+
+            let slides = Array.from(root.querySelectorAll(library.slides))
+              .filter(slide => slide.closest(library.root) === root);
+            if (library.name === 'flickity' && slides.length === 0) slides = Array.from(root.children);
+
+            // Loop modes duplicate slides - keep originals, in their logical order
+            const originals = library.clone ? slides.filter(slide => !slide.matches(library.clone)) : slides;
+            if (originals.length > 0) slides = originals;
+            if (library.index) {
+              const byIndex = new Map();
+              slides.forEach(slide => {
+                const index = slide.getAttribute(library.index);
+                const key = index === null ? `dom-${byIndex.size}` : Number(index);
+                if (!byIndex.has(key)) byIndex.set(key, slide);
+              });
+              slides = Array.from(byIndex.entries())
+                .sort(([a], [b]) => (typeof a === 'number' && typeof b === 'number') ? a - b : 0)
+                .map(([, slide]) => slide);
+            }
+            if (slides.length === 0) continue;
+
+            seen.add(root);
+            carousels.push({
+              type: 'carousel',
+              library: library.name,
+              domPath: getDomPath(root),
+              config: readConfig(library.name, root, slides),
+              slides: slides.map(readSlide),
+              height: root.getBoundingClientRect().height
+            });
+          }
+        }
+
+        return carousels.filter(carousel => carousel.domPath);
+      }, CAROUSEL_SELECTOR);
+    } catch (error) {
+      console.error('⚠️ Carousel capture failed:', error.message);
+      return [];
+    }
+  }
+
   async extractVisualAssets(page) {
     return await page.evaluate(() => {
       const assets = {
@@ -607,6 +1905,7 @@ class VisualWebScraper {
         colors: new Set(),
         gradients: [],
         videos: [],
+        svgs: [],
         forms: [],
         buttons: [],
         links: [],
@@ -651,6 +1950,17 @@ class VisualWebScraper {
           }
         }
         
+        // List bullet images (list-style-image or a ::before background)
+        if (el.tagName === 'LI') {
+          const before = window.getComputedStyle(el, '::before');
+          [style.listStyleImage, before.backgroundImage].forEach(value => {
+            const bullet = value && value !== 'none' ? value.match(/url\(['"]?([^'"]+)['"]?\)/) : null;
+            if (bullet) {
+              assets.images.push({ src: bullet[1], type: 'list-marker' });
+            }
+          });
+        }
+        
         // Extract fonts
         if (style.fontFamily) {
           style.fontFamily.split(',').forEach(font => {
@@ -673,15 +1983,55 @@ class VisualWebScraper {
       });
 
       // Extract videos
-      document.querySelectorAll('video, iframe[src*="youtube"], iframe[src*="vimeo"]').forEach(video => {
+      document.querySelectorAll('video, iframe[src*="youtube"], iframe[src*="vimeo"], iframe[data-src*="youtube"], iframe[data-src*="vimeo"]').forEach(video => {
+        const isVideoTag = video.tagName.toLowerCase() === 'video';
+        const rect = video.getBoundingClientRect();
         assets.videos.push({
-          src: video.src || video.getAttribute('data-src'),
+          src: isVideoTag
+            ? (video.currentSrc || video.src || video.querySelector('source')?.src)
+            : (video.getAttribute('data-src') || video.src),
           type: video.tagName.toLowerCase(),
-          width: video.offsetWidth,
-          height: video.offsetHeight,
-          autoplay: video.autoplay,
-          controls: video.controls,
-          poster: video.poster
+          width: video.offsetWidth || Math.round(rect.width),
+          height: video.offsetHeight || Math.round(rect.height),
+          autoplay: isVideoTag ? video.autoplay : undefined,
+          controls: isVideoTag ? video.controls : undefined,
+          loop: isVideoTag ? video.loop : undefined,
+          muted: isVideoTag ? (video.muted || video.hasAttribute('muted')) : undefined,
+          poster: isVideoTag ? video.poster : undefined
+        });
+      });
+      
+      // Extract inline SVG icons - outerHTML identifies the node, markup is a standalone
+      // copy with sprite references (<use href="#id">) resolved
+      const seenSvgs = new Set();
+      document.querySelectorAll('svg').forEach(svg => {
+        if (svg.parentElement?.closest('svg')) return;
+        const rect = svg.getBoundingClientRect();
+        if (rect.width > 256 || rect.height > 256 || seenSvgs.has(svg.outerHTML)) return;
+        seenSvgs.add(svg.outerHTML);
+
+        const copy = svg.cloneNode(true);
+        copy.querySelectorAll('use').forEach(use => {
+          const ref = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
+          const target = ref.startsWith('#') ? document.getElementById(ref.slice(1)) : null;
+          if (!target) return;
+          if (!copy.getAttribute('viewBox') && target.getAttribute('viewBox')) {
+            copy.setAttribute('viewBox', target.getAttribute('viewBox'));
+          }
+          const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+          group.innerHTML = target.innerHTML;
+          use.replaceWith(group);
+        });
+        if (!copy.getAttribute('xmlns')) copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        if (!copy.getAttribute('width') && rect.width) copy.setAttribute('width', Math.round(rect.width));
+        if (!copy.getAttribute('height') && rect.height) copy.setAttribute('height', Math.round(rect.height));
+
+        assets.svgs.push({
+          outerHTML: svg.outerHTML,
+          markup: copy.outerHTML,
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+          color: window.getComputedStyle(svg).color
         });
       });
       
@@ -762,6 +2112,7 @@ class VisualWebScraper {
         colors: Array.from(assets.colors),
         gradients: assets.gradients,
         videos: assets.videos,
+        svgs: assets.svgs,
         forms: assets.forms,
         buttons: assets.buttons,
         links: assets.links,
@@ -1009,4 +2360,5 @@ class VisualWebScraper {
   }
 }
 
-export default VisualWebScraper;
\ No newline at end of file
+export { installDomPathHelper };
+export default VisualWebScraper;
@@ -7,6 +7,7 @@ import { dirname, join } from 'path';
 import cloneRouter from './routes/clone.js';
 import stripeRouter from './routes/stripe.js';
 import assetsRouter from './routes/assets.js';
+import templatesRouter from './routes/templates.js';
 import path from 'path';
 import compression from 'compression';
 import morgan from 'morgan';
@@ -76,6 +77,7 @@ process.on('SIGTERM', async () => {
 app.use('/api/clone', cloneRouter);
 app.use('/api/stripe', stripeRouter);
 app.use('/api/assets', assetsRouter);
+app.use('/api/templates', templatesRouter);
 
 // Health check
 app.get('/api/health', (req, res) => res.json({ ok: true, service: 'CloneMentorPro', ts: Date.now() }));
@@ -31,6 +31,14 @@ const MIME_TYPES = {
   // CSS
   '.css': 'text/css',
 
+  // Videos
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ogv': 'video/ogg',
+  '.ogg': 'video/ogg',
+  '.mov': 'video/quicktime',
+
   // Other
   '.json': 'application/json',
   '.xml': 'application/xml',
@@ -106,7 +114,7 @@ router.get('/:sessionId/:assetType/:filename', async (req, res, next) => {
     const { sessionId, assetType, filename } = req.params;
 
     // Validate asset type
-    const validAssetTypes = ['images', 'fonts', 'css', 'other'];
+    const validAssetTypes = ['images', 'fonts', 'css', 'videos', 'other'];
     if (!validAssetTypes.includes(assetType)) {
       return res.status(400).json({
         error: 'Invalid asset type',
@@ -147,6 +155,28 @@ router.get('/:sessionId/:assetType/:filename', async (req, res, next) => {
       });
     }
 
+    // Videos are served from disk so players get Range requests without the file being buffered
+    if (assetType === 'videos') {
+      const assetPath = await assetManager.getAssetPath(sessionId, assetType, filename);
+
+      if (!assetPath) {
+        return res.status(404).json({
+          error: 'Asset not found',
+          sessionId,
+          assetType,
+          filename
+        });
+      }
+
+      res.setHeader('X-Session-Id', sessionId);
+      return res.sendFile(assetPath, {
+        headers: { 'Content-Type': getMimeType(filename) },
+        maxAge: 3600 * 1000
+      }, error => {
+        if (error && !res.headersSent) next(error);
+      });
+    }
+
     // Get asset
     const assetData = await assetManager.getAsset(sessionId, assetType, filename);
 
@@ -212,6 +242,9 @@ router.get('/:sessionId/metadata', async (req, res, next) => {
       });
     }
 
+    // Sessions created before video support have no videos bucket
+    const videos = session.assets.videos || [];
+
     // Return session metadata
     res.json({
       sessionId: session.sessionId,
@@ -222,10 +255,12 @@ router.get('/:sessionId/metadata', async (req, res, next) => {
         images: session.assets.images.length,
         fonts: session.assets.fonts.length,
         css: session.assets.css.length,
+        videos: videos.length,
         other: session.assets.other.length,
         total: session.assets.images.length +
                session.assets.fonts.length +
                session.assets.css.length +
+               videos.length +
                session.assets.other.length
       },
       assetList: {
@@ -244,6 +279,11 @@ router.get('/:sessionId/metadata', async (req, res, next) => {
           size: a.size,
           url: `/api/assets/${sessionId}/css/${a.filename}`
         })),
+        videos: videos.map(a => ({
+          filename: a.filename,
+          size: a.size,
+          url: `/api/assets/${sessionId}/videos/${a.filename}`
+        })),
         other: session.assets.other.map(a => ({
           filename: a.filename,
           size: a.size,
@@ -3,9 +3,28 @@ import path from 'path';
 import fs from 'fs';
 import { makeElementorConverter } from '../core/converters/index.js';
 import { validateElementorTemplate, getValidationErrors } from '../core/schemas/elementor-schema.js';
+import { validateScrapeOptions } from '../core/schemas/scrape-options-schema.js';
+import RequestAuth from '../core/asset-manager/request-auth.js';
 
 const router = express.Router();
 
+// Export formats POST /download accepts
+const EXPORT_MODES = ['template', 'container', 'kit'];
+
+/**
+ * Read and validate the optional scrapeOptions of a request body
+ * @returns {object|null} Options, or null after answering 400
+ */
+function parseScrapeOptions(req, res) {
+  const scrapeOptions = req.body?.scrapeOptions ?? {};
+  if (!validateScrapeOptions(scrapeOptions)) {
+    const errs = getValidationErrors(validateScrapeOptions.errors).slice(0, 8);
+    res.status(400).json({ ok: false, code: 'INVALID_SCRAPE_OPTIONS', errors: errs });
+    return null;
+  }
+  return scrapeOptions;
+}
+
 router.get('/progress/:sessionId', (req, res) => {
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -24,8 +43,16 @@ router.post('/scan', async (req, res, next) => {
     const source = html || url;
     if (!source) throw new Error("Provide 'url' or 'html'");
 
-    // Build IR (includes visual scraping)
-    const ir = typeof conv.toIR === 'function' ? await conv.toIR(source) : await conv.buildIntermediateRepresentation(source);
+    // scrapeOptions: user agent, breakpoints, viewport height, waits, headers, JS-disabled mode, credentials
+    const scrapeOptions = parseScrapeOptions(req, res);
+    if (!scrapeOptions) return;
+
+    // Build IR (includes visual scraping); an authenticated capture hands back its
+    // cookies (including any the login recipe set) for the asset downloads
+    let sessionCookies = null;
+    const ir = typeof conv.toIR === 'function'
+      ? await conv.toIR(source, { scrapeOptions, onSessionCookies: cookies => { sessionCookies = cookies; } })
+      : await conv.buildIntermediateRepresentation(source);
     const counts = conv.counts ? await conv.counts(ir) : { sections: 0, elements: 0, images: 0 };
 
     // ENHANCED: Download and manage assets
@@ -40,7 +67,13 @@ router.post('/scan', async (req, res, next) => {
         console.log('🚀 Processing assets with Asset Manager...');
 
         // Process webpage assets (create session, download, rewrite URLs)
-        const assetResult = await assetManager.processWebpage(ir, url);
+        // Protected assets download with the same credentials; they are not stored in the session
+        const assetResult = await assetManager.processWebpage(ir, url, {
+          credentials: {
+            cookies: RequestAuth.mergeCookies(url, scrapeOptions.cookies || [], sessionCookies || []),
+            basicAuth: scrapeOptions.basicAuth
+          }
+        });
 
         assetSession = assetResult.sessionId;
         downloadedAssets = assetResult.assets;
@@ -89,6 +122,7 @@ router.post('/scan', async (req, res, next) => {
       visualStructure: ir?.visualStructure || {},
       assets: ir?.assets || {},
       pageInfo: ir?.pageInfo || {},
+      overlays: ir?.overlays || { removed: [], scrollRestored: false },
       assetSession: assetSession,
       downloadedAssets: downloadedAssets,
       // CRITICAL: Include assetUrls for frontend to pass to download endpoint
@@ -107,6 +141,11 @@ router.post('/scan', async (req, res, next) => {
           original: css.originalUrl,
           local: `/api/assets/${assetSession}/css/${css.filename}`,
           filename: css.filename
+        })) || [],
+        videos: downloadedAssets.videos?.map(video => ({
+          original: video.originalUrl,
+          local: `/api/assets/${assetSession}/videos/${video.filename}`,
+          filename: video.filename
         })) || []
       } : null
     });
@@ -115,8 +154,17 @@ router.post('/scan', async (req, res, next) => {
 
 router.post('/download', async (req, res, next) => {
   try {
-    const { mode = 'template', url = '', html = '', template, assetSession, assetUrls } = req.body || {};
+    // mode: 'template' (section/column JSON), 'container' (Flexbox Container JSON) or 'kit' (zip)
+    const { mode = 'template', url = '', html = '', template, assetSession, assetUrls, elementorPro = false, tableWidget = 'html', rawHtmlSelectors = [], rawHtmlThreshold, splitHeaderFooter = false } = req.body || {};
+    if (!EXPORT_MODES.includes(mode)) {
+      res.status(400).json({ ok: false, code: 'INVALID_EXPORT_MODE', message: `'mode' must be one of: ${EXPORT_MODES.join(', ')}` });
+      return;
+    }
     const conv = makeElementorConverter();
+    if (!conv.isValidTableWidgetOption(tableWidget)) {
+      res.status(400).json({ ok: false, code: 'INVALID_TABLE_WIDGET', message: `'tableWidget' must be 'html', one of: ${Object.keys(conv.TABLE_WIDGET_MAPPINGS).join(', ')}, or a mapping object` });
+      return;
+    }
 
     // If template is provided directly, use it; otherwise re-scan from url/html
     let ir;
@@ -125,7 +173,9 @@ router.post('/download', async (req, res, next) => {
     } else {
       const source = html || url;
       if (!source) throw new Error("Provide 'template', 'url', or 'html'");
-      ir = typeof conv.toIR === 'function' ? await conv.toIR(source) : await conv.buildIntermediateRepresentation(source);
+      const scrapeOptions = parseScrapeOptions(req, res);
+      if (!scrapeOptions) return;
+      ir = typeof conv.toIR === 'function' ? await conv.toIR(source, { scrapeOptions }) : await conv.buildIntermediateRepresentation(source);
     }
 
     // CRITICAL FIX: Build asset mapping from assetUrls if provided
@@ -146,6 +196,11 @@ router.post('/download', async (req, res, next) => {
         css: (assetUrls.css || []).map(css => ({
           originalUrl: css.original,
           localUrl: css.local || `/api/assets/${assetSession}/css/${css.filename || ''}`
+        })),
+        videos: (assetUrls.videos || []).map(video => ({
+          originalUrl: video.original,
+          absoluteUrl: video.original,
+          localUrl: video.local || `/api/assets/${assetSession}/videos/${video.filename || ''}`
         }))
       };
       console.log(`✅ Using asset mapping for session ${assetSession}: ${assetMapping.images.length} images`);
@@ -164,7 +219,12 @@ router.post('/download', async (req, res, next) => {
                 localUrl: `/api/assets/${assetSession}/images/${img.filename}`
               })),
               fonts: [],
-              css: []
+              css: [],
+              videos: (sessionInfo.assets.videos || []).map(video => ({
+                originalUrl: video.originalUrl,
+                absoluteUrl: video.absoluteUrl,
+                localUrl: `/api/assets/${assetSession}/videos/${video.filename}`
+              }))
             };
             console.log(`✅ Built asset mapping from session: ${assetMapping.images.length} images`);
           }
@@ -174,14 +234,29 @@ router.post('/download', async (req, res, next) => {
       }
     }
 
-    const out = await conv.exportTemplate(ir, mode, assetMapping);
+    // elementorPro: target Pro widgets (nav-menu, form, ...) instead of free fallbacks
+    // tableWidget: 'html' (default), a table add-on mapping name, or a mapping object
+    // rawHtmlSelectors / rawHtmlThreshold: regions kept as html widgets (by selector, or below this conversion confidence)
+    // splitHeaderFooter: site header/footer as Theme Builder templates (JSON modes then return a zip of templates)
+    const threshold = parseFloat(rawHtmlThreshold);
+    const out = await conv.exportTemplate(ir, mode, assetMapping, {
+      assetManager: req.app.locals.assetManager,
+      elementorPro: elementorPro === true || elementorPro === 'true',
+      tableWidget,
+      rawHtmlSelectors: (Array.isArray(rawHtmlSelectors) ? rawHtmlSelectors : [rawHtmlSelectors])
+        .filter(selector => typeof selector === 'string' && selector.trim()),
+      rawHtmlThreshold: Number.isFinite(threshold) ? Math.min(1, Math.max(0, threshold)) : undefined,
+      splitHeaderFooter: splitHeaderFooter === true || splitHeaderFooter === 'true'
+    });
 
-    if (out.kind === 'json') {
-      const json = JSON.parse(Buffer.isBuffer(out.bytes) ? out.bytes.toString('utf8') : String(out.bytes));
+    const templates = out.kind === 'json'
+      ? [JSON.parse(Buffer.isBuffer(out.bytes) ? out.bytes.toString('utf8') : String(out.bytes))]
+      : out.templates || [];
+    for (const json of templates) {
       const ok = validateElementorTemplate(json);
       if (!ok) {
         const errs = getValidationErrors(validateElementorTemplate.errors).slice(0, 8);
-        res.status(400).json({ ok: false, code: 'INVALID_ELEMENTOR_JSON', errors: errs });
+        res.status(400).json({ ok: false, code: 'INVALID_ELEMENTOR_JSON', type: json.type, errors: errs });
         return;
       }
     }
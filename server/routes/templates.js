@@ -0,0 +1,62 @@
+import express from 'express';
+import { makeElementorConverter } from '../core/converters/index.js';
+import { validateElementorTemplate, getValidationErrors } from '../core/schemas/elementor-schema.js';
+import TemplateDiffer from '../core/template-differ.js';
+
+/**
+ * Template routes
+ * Compares Elementor templates (or the IR payloads they are built from) between clones
+ */
+
+const router = express.Router();
+
+/**
+ * Check whether a payload is an IR from /api/clone/scan rather than a template
+ */
+function isIR(payload) {
+  return !Array.isArray(payload?.content) &&
+    !!(payload?.structure || payload?.responsiveLayouts || payload?.html);
+}
+
+/**
+ * POST /api/templates/diff
+ * Body: { before, after, mode?, elementorPro? }
+ * before/after: Elementor templates, or IR payloads (converted with mode 'template' or 'container')
+ */
+router.post('/diff', async (req, res, next) => {
+  try {
+    const { before, after, mode = 'template', elementorPro = false } = req.body || {};
+
+    if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+      res.status(400).json({ ok: false, code: 'INVALID_DIFF_INPUT', message: "Provide 'before' and 'after' templates or IR payloads" });
+      return;
+    }
+    if (!['template', 'container'].includes(mode)) {
+      res.status(400).json({ ok: false, code: 'INVALID_DIFF_INPUT', message: "'mode' must be 'template' or 'container'" });
+      return;
+    }
+
+    const templates = {};
+    for (const [side, payload] of Object.entries({ before, after })) {
+      if (isIR(payload)) {
+        const out = await makeElementorConverter().exportTemplate(payload, mode, null, {
+          elementorPro: elementorPro === true || elementorPro === 'true'
+        });
+        templates[side] = JSON.parse(out.bytes.toString('utf8'));
+        continue;
+      }
+
+      if (!validateElementorTemplate(payload)) {
+        const errs = getValidationErrors(validateElementorTemplate.errors).slice(0, 8);
+        res.status(400).json({ ok: false, code: 'INVALID_ELEMENTOR_JSON', side, errors: errs });
+        return;
+      }
+      templates[side] = payload;
+    }
+
+    const diff = new TemplateDiffer().diff(templates.before, templates.after);
+    res.json({ ok: true, ...diff });
+  } catch (e) { next(e); }
+});
+
+export default router;
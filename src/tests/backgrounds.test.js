@@ -0,0 +1,67 @@
+import ElementorConverter from '../../server/core/elementor-converter.js';
+
+describe('CSS gradients', () => {
+  const converter = new ElementorConverter();
+
+  test('parses a linear gradient with an angle and stop positions', () => {
+    expect(converter.parseCssGradient('linear-gradient(135deg, rgb(255, 0, 0) 0%, rgb(0, 0, 255) 100%)')).toEqual({
+      type: 'linear',
+      angle: 135,
+      position: 'center center',
+      stops: [{ color: 'rgb(255, 0, 0)', position: 0 }, { color: 'rgb(0, 0, 255)', position: 100 }]
+    });
+  });
+
+  test('converts direction keywords and turns to degrees', () => {
+    expect(converter.parseCssGradient('linear-gradient(to right, red, blue)').angle).toBe(90);
+    expect(converter.parseCssGradient('linear-gradient(to top left, red, blue)').angle).toBe(315);
+    expect(converter.parseCssGradient('linear-gradient(0.5turn, red, blue)').angle).toBe(180);
+    expect(converter.parseCssGradient('linear-gradient(-90deg, red, blue)').angle).toBe(270);
+  });
+
+  test('spreads stops without positions evenly', () => {
+    expect(converter.parseCssGradient('linear-gradient(red, white, blue)').stops).toEqual([
+      { color: 'red', position: 0 },
+      { color: 'white', position: 50 },
+      { color: 'blue', position: 100 }
+    ]);
+  });
+
+  test('parses a radial gradient position', () => {
+    const gradient = converter.parseCssGradient('radial-gradient(circle at 0% 0%, rgba(0, 0, 0, 0.5) 10%, transparent 80%)');
+
+    expect(gradient.type).toBe('radial');
+    expect(gradient.position).toBe('top left');
+    expect(gradient.stops).toEqual([{ color: 'rgba(0, 0, 0, 0.5)', position: 10 }, { color: 'transparent', position: 80 }]);
+  });
+
+  test('rejects values that are not gradients', () => {
+    expect(converter.parseCssGradient('none')).toBeNull();
+    expect(converter.parseCssGradient('url("https://example.com/bg.png")')).toBeNull();
+    expect(converter.parseCssGradient('')).toBeNull();
+  });
+});
+
+describe('Background positions', () => {
+  const converter = new ElementorConverter();
+
+  test('maps keyword and percentage positions to Elementor choices', () => {
+    expect(converter.mapBackgroundPosition('50% 50%')).toEqual({ position: 'center center' });
+    expect(converter.mapBackgroundPosition('0% 100%')).toEqual({ position: 'bottom left' });
+    expect(converter.mapBackgroundPosition('right top')).toEqual({ position: 'top right' });
+    expect(converter.mapBackgroundPosition('top left')).toEqual({ position: 'top left' });
+    expect(converter.mapBackgroundPosition('center')).toEqual({ position: 'center center' });
+  });
+
+  test('keeps custom offsets as x/y sliders', () => {
+    expect(converter.mapBackgroundPosition('20px 30%')).toEqual({
+      position: 'initial',
+      xpos: { unit: 'px', size: 20 },
+      ypos: { unit: '%', size: 30 }
+    });
+  });
+
+  test('returns nothing for an empty value', () => {
+    expect(converter.mapBackgroundPosition('')).toEqual({});
+  });
+});
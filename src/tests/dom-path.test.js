@@ -0,0 +1,41 @@
+import { JSDOM } from 'jsdom';
+import { installDomPathHelper } from '../../server/core/visual-scraper.js';
+
+// Installs the helper the way page.evaluate does: from its source, in the page
+const loadPage = (html) => {
+  const { window } = new JSDOM(html, { runScripts: 'outside-only' });
+  window.eval(`(${installDomPathHelper})()`);
+  return window;
+};
+
+describe('DOM path helper', () => {
+  const window = loadPage('<html><head></head><body><main><p>a</p><x-card id="card"><span id="light">L</span></x-card></main><iframe></iframe></body></html>');
+  const { document } = window;
+  const shadow = document.getElementById('card').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<div><details id="deep"><summary>Q</summary></details></div><slot></slot>';
+  const frameDocument = document.querySelector('iframe').contentDocument;
+  frameDocument.body.innerHTML = '<section><details><summary>Q</summary></details></section>';
+
+  test('uses the body/tag[index] paths of the structure capture', () => {
+    expect(window.__cloneMentorDomPath(document.querySelector('p'))).toBe('body/main[0]/p[0]');
+    expect(window.__cloneMentorDomPath(document.head)).toBeNull();
+  });
+
+  test('crosses open shadow roots and keeps slotted nodes on their light-DOM path', () => {
+    expect(window.__cloneMentorDomPath(shadow.getElementById('deep'))).toBe('body/main[0]/x-card[1]/#shadow-root/div[0]/details[0]');
+    expect(window.__cloneMentorDomPath(document.getElementById('light'))).toBe('body/main[0]/x-card[1]/span[0]');
+  });
+
+  test('crosses same-origin frames', () => {
+    expect(window.__cloneMentorDomPath(frameDocument.querySelector('summary')))
+      .toBe('body/iframe[1]/#document/body/section[0]/details[0]/summary[0]');
+  });
+
+  test('queries the document, shadow roots and frames together', () => {
+    expect(window.__cloneMentorQueryAll('details').map(details => window.__cloneMentorDomPath(details))).toEqual([
+      'body/main[0]/x-card[1]/#shadow-root/div[0]/details[0]',
+      'body/iframe[1]/#document/body/section[0]/details[0]'
+    ]);
+    expect(window.__cloneMentorQueryAll('::::')).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+import AdmZip from 'adm-zip';
+import { makeElementorConverter } from '../../server/core/converters/index.js';
+
+// Captured nodes as VisualWebScraper reports them
+const layout = (overrides = {}) => ({
+  width: 1200,
+  height: 100,
+  display: 'block',
+  padding: { top: '10px', right: '0px', bottom: '10px', left: '0px' },
+  margin: { top: '0px', right: '0px', bottom: '0px', left: '0px' },
+  backgroundColor: 'rgba(0, 0, 0, 0)',
+  backgroundImage: 'none',
+  color: 'rgb(0, 0, 0)',
+  fontSize: '16px',
+  fontFamily: 'Arial',
+  fontWeight: '400',
+  lineHeight: '24px',
+  textAlign: 'left',
+  ...overrides
+});
+
+const node = (tagName, overrides, children = [], { text = '', attributes = {} } = {}) => ({
+  tagName,
+  className: '',
+  id: '',
+  textContent: text,
+  allTextContent: text,
+  innerHTML: '',
+  outerHTML: '',
+  attributes: { allAttributes: {}, ...attributes },
+  layout: layout(overrides),
+  children,
+  depth: 0
+});
+
+const structure = node('body', {}, [
+  node('header', { display: 'flex', justifyContent: 'space-between', alignItems: 'center' }, [
+    node('img', { width: 100 }, [], { attributes: { src: 'https://example.com/logo.png', alt: 'Logo' } }),
+    node('nav', { display: 'flex', width: 500 }, [
+      node('ul', {}, [
+        node('li', {}, [node('a', {}, [], { text: 'Home', attributes: { href: 'https://example.com/' } })]),
+        node('li', {}, [node('a', {}, [], { text: 'About', attributes: { href: 'https://example.com/about' } })])
+      ])
+    ])
+  ]),
+  node('section', { display: 'grid', gap: '10px 30px', backgroundColor: 'rgb(245, 245, 245)' }, [
+    node('div', { width: 600 }, [
+      node('h2', { fontSize: '32px', color: 'rgb(20, 40, 80)' }, [], { text: 'Fast setup' }),
+      node('p', {}, [], { text: 'Up and running in minutes.' })
+    ]),
+    node('div', { width: 600 }, [
+      node('h2', { fontSize: '32px', color: 'rgb(20, 40, 80)' }, [], { text: 'Fair pricing' }),
+      node('p', {}, [], { text: 'Pay only for what you use.' })
+    ])
+  ])
+]);
+
+const ir = {
+  html: '<html></html>',
+  structure,
+  responsiveLayouts: { desktop: { structure } },
+  assets: { images: [], fonts: ['Arial'], colors: ['rgb(0, 0, 0)', 'rgb(20, 40, 80)', 'rgb(245, 245, 245)'] },
+  pageInfo: { title: 'Example' },
+  source: { url: 'https://example.com' }
+};
+
+// Timestamps change on every export
+const stripTimestamps = (value) => JSON.parse(JSON.stringify(value, (key, child) =>
+  (key === 'created_at' || key === 'created' ? '<timestamp>' : child)));
+
+describe('Export modes', () => {
+  test.each(['template', 'container'])('%s export matches snapshot', async (mode) => {
+    const out = await makeElementorConverter().exportTemplate(ir, mode);
+
+    expect(out.kind).toBe('json');
+    expect(stripTimestamps(JSON.parse(out.bytes))).toMatchSnapshot();
+  });
+
+  test('kit export matches snapshot', async () => {
+    const out = await makeElementorConverter().exportTemplate(ir, 'kit');
+    const entries = new AdmZip(out.bytes).getEntries()
+      .map(entry => [entry.entryName, JSON.parse(entry.getData().toString('utf8'))])
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    expect(out.kind).toBe('zip');
+    expect(stripTimestamps(Object.fromEntries(entries))).toMatchSnapshot();
+  });
+
+  test.each(['template', 'container'])('%s export is identical across runs', async (mode) => {
+    const first = await makeElementorConverter().exportTemplate(ir, mode);
+    const second = await makeElementorConverter().exportTemplate(ir, mode);
+
+    expect(stripTimestamps(JSON.parse(second.bytes))).toEqual(stripTimestamps(JSON.parse(first.bytes)));
+  });
+});
+
+describe('Element IDs', () => {
+  const heading = node('h2', {}, [], { text: 'Fast setup' });
+
+  test('derive from the source node, not from call order', () => {
+    const first = makeElementorConverter();
+    const second = makeElementorConverter();
+    second.generateElementId(node('p', {}, [], { text: 'Something else first' }));
+
+    expect(second.generateElementId(heading, 'widget')).toBe(first.generateElementId(heading, 'widget'));
+    expect(first.generateElementId(heading, 'column')).not.toBe(first.generateElementId(heading, 'widget'));
+  });
+
+  test('rehash collisions the same way every time', () => {
+    const generate = () => {
+      const converter = makeElementorConverter();
+      // The same seed twice collides with itself and falls through to the counter rehash
+      return [converter.generateElementId(heading, 'widget'), converter.generateElementId(heading, 'widget')];
+    };
+    const [original, rehashed] = generate();
+
+    expect(rehashed).toMatch(/^[a-z0-9]{8}$/);
+    expect(rehashed).not.toBe(original);
+    expect(generate()).toEqual([original, rehashed]);
+  });
+
+  test('skip IDs already taken by another element', () => {
+    const taken = makeElementorConverter().generateElementId(heading, 'widget');
+    const rehash = () => {
+      const converter = makeElementorConverter();
+      converter._usedIds = new Set([taken]);
+      return converter.generateElementId(heading, 'widget');
+    };
+
+    expect(rehash()).not.toBe(taken);
+    expect(rehash()).toBe(rehash());
+  });
+});
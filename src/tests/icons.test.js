@@ -0,0 +1,31 @@
+import ElementorConverter from '../../server/core/elementor-converter.js';
+
+const glyph = (className, tagName = 'i') => ({ tagName, className, textContent: '', layout: {} });
+
+describe('Font Awesome icons', () => {
+  const converter = new ElementorConverter();
+
+  test('maps Font Awesome 5 prefixes to their library', () => {
+    expect(converter.getFontAwesomeIcon(glyph('fas fa-check'))).toEqual({ value: 'fas fa-check', library: 'fa-solid' });
+    expect(converter.getFontAwesomeIcon(glyph('far fa-envelope'))).toEqual({ value: 'far fa-envelope', library: 'fa-regular' });
+    expect(converter.getFontAwesomeIcon(glyph('fab fa-github', 'span'))).toEqual({ value: 'fab fa-github', library: 'fa-brands' });
+  });
+
+  test('maps Font Awesome 6 style classes and skips modifiers', () => {
+    expect(converter.getFontAwesomeIcon(glyph('fa-solid fa-fw fa-2x fa-house'))).toEqual({ value: 'fas fa-house', library: 'fa-solid' });
+    expect(converter.getFontAwesomeIcon(glyph('fa-brands fa-rotate-90 fa-x-twitter'))).toEqual({ value: 'fab fa-x-twitter', library: 'fa-brands' });
+  });
+
+  test('resolves Font Awesome 4 outline and brand icons', () => {
+    expect(converter.getFontAwesomeIcon(glyph('fa fa-heart-o'))).toEqual({ value: 'far fa-heart', library: 'fa-regular' });
+    expect(converter.getFontAwesomeIcon(glyph('fa fa-facebook'))).toEqual({ value: 'fab fa-facebook', library: 'fa-brands' });
+    expect(converter.getFontAwesomeIcon(glyph('fa fa-star'))).toEqual({ value: 'fas fa-star', library: 'fa-solid' });
+  });
+
+  test('ignores nodes that are not glyphs', () => {
+    expect(converter.getFontAwesomeIcon(glyph('fas fa-check', 'div'))).toBeNull();
+    expect(converter.getFontAwesomeIcon({ ...glyph('fas fa-check'), textContent: 'Done' })).toBeNull();
+    expect(converter.getFontAwesomeIcon(glyph('icon icon-check'))).toBeNull();
+    expect(converter.getFontAwesomeIcon(glyph('fas fa-lg'))).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import VisualWebScraper from '../../server/core/visual-scraper.js';
+
+const SETTINGS = { suppressOverlays: true, excludeSelectors: [], waitUntil: 'load', viewportHeight: 800, settleDelay: 0 };
+const banner = (name) => ({ source: 'rule', name, action: 'removed', tag: 'div', id: '', className: '', text: '' });
+
+// Stands in for a Puppeteer page: each evaluate() answers with the next pass result
+const fakePage = (passes, { reloadOnAccept = false } = {}) => {
+  const listeners = new Set();
+  const mainFrame = {};
+  const calls = [];
+  return {
+    calls,
+    mainFrame: () => mainFrame,
+    on: (event, listener) => listeners.add(listener),
+    off: (event, listener) => listeners.delete(listener),
+    waitForNavigation: async () => {},
+    setViewport: async () => {},
+    evaluate: async () => {
+      calls.push('evaluate');
+      const pass = passes.shift();
+      if (pass instanceof Error) throw pass;
+      if (reloadOnAccept && calls.length === 1) {
+        listeners.forEach(listener => listener({ isNavigationRequest: () => true, frame: () => mainFrame }));
+      }
+      return pass;
+    }
+  };
+};
+
+describe('Overlay suppression', () => {
+  test('runs one pass when accepting does not reload the page', async () => {
+    const page = fakePage([{ removed: [banner('OneTrust')], scrollRestored: false }]);
+    const report = await new VisualWebScraper().suppressOverlays(page, SETTINGS);
+
+    expect(report.removed.map(item => item.name)).toEqual(['OneTrust']);
+    expect(page.calls).toEqual(['evaluate']);
+  });
+
+  test('waits for the reload an accept click starts and cleans up again', async () => {
+    const page = fakePage([
+      { removed: [banner('OneTrust')], scrollRestored: false },
+      { removed: [banner('Intercom')], scrollRestored: true }
+    ], { reloadOnAccept: true });
+    const report = await new VisualWebScraper().suppressOverlays(page, SETTINGS);
+
+    expect(page.calls).toEqual(['evaluate', 'evaluate']);
+    expect(report.removed.map(item => item.name)).toEqual(['OneTrust', 'Intercom']);
+    expect(report.scrollRestored).toBe(true);
+  });
+
+  test('recovers when the reload destroys the context mid-pass', async () => {
+    const page = fakePage([
+      new Error('Execution context was destroyed, most likely because of a navigation.'),
+      { removed: [banner('Drift')], scrollRestored: false }
+    ]);
+    const report = await new VisualWebScraper().suppressOverlays(page, SETTINGS);
+
+    expect(page.calls).toEqual(['evaluate', 'evaluate']);
+    expect(report.removed.map(item => item.name)).toEqual(['Drift']);
+  });
+
+  test('skips the cleanup when overlays are kept and nothing is excluded', async () => {
+    const page = fakePage([]);
+    const report = await new VisualWebScraper().suppressOverlays(page, { ...SETTINGS, suppressOverlays: false });
+
+    expect(report).toEqual({ removed: [], scrollRestored: false });
+    expect(page.calls).toEqual([]);
+  });
+});
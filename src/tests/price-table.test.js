@@ -0,0 +1,29 @@
+import ElementorConverter from '../../server/core/elementor-converter.js';
+
+describe('Price parsing', () => {
+  const converter = new ElementorConverter();
+
+  test('parses a currency symbol prefix', () => {
+    expect(converter.parsePrice('$29')).toEqual({ currency: '$', price: '29', period: '', decimalComma: false });
+    expect(converter.parsePrice('£9.99')).toEqual({ currency: '£', price: '9.99', period: '', decimalComma: false });
+  });
+
+  test('parses a period after a slash or "per"', () => {
+    expect(converter.parsePrice('$49/mo')).toEqual({ currency: '$', price: '49', period: 'mo', decimalComma: false });
+    expect(converter.parsePrice('29 USD per month')).toEqual({ currency: 'USD', price: '29', period: 'month', decimalComma: false });
+  });
+
+  test('normalizes decimal commas and thousands separators', () => {
+    expect(converter.parsePrice('€19,99/mo')).toEqual({ currency: '€', price: '19.99', period: 'mo', decimalComma: true });
+    expect(converter.parsePrice('$1,299')).toMatchObject({ price: '1299', decimalComma: false });
+    expect(converter.parsePrice('1.299 €')).toMatchObject({ currency: '€', price: '1299' });
+    expect(converter.parsePrice('R$ 1.299,90')).toMatchObject({ currency: 'R$', price: '1299.90', decimalComma: true });
+  });
+
+  test('rejects bare numbers and prose', () => {
+    expect(converter.parsePrice('29')).toBeNull();
+    expect(converter.parsePrice('Call us for a quote')).toBeNull();
+    expect(converter.parsePrice('')).toBeNull();
+    expect(converter.parsePrice(`$${'9'.repeat(50)}`)).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+import ElementorConverter from '../../server/core/elementor-converter.js';
+
+const node = (tagName, layout = {}, children = [], extra = {}) => ({
+  tagName,
+  textContent: extra.text || '',
+  allTextContent: extra.text || '',
+  attributes: { allAttributes: {} },
+  layout: { width: 100, height: 100, backgroundColor: 'rgba(0, 0, 0, 0)', backgroundImage: 'none', ...layout },
+  children,
+  ...(extra.domPath && { domPath: extra.domPath }),
+  ...(extra.outerHTML && { outerHTML: extra.outerHTML })
+});
+
+// Loads a captured page the way convertVisualToElementor does
+const withPage = (converter, html, styles = '') => {
+  converter.pageHtml = html;
+  converter.pageStyles = styles;
+  converter._pageDocument = undefined;
+  converter._pageStylesAst = undefined;
+  return converter;
+};
+
+describe('Conversion confidence', () => {
+  const converter = new ElementorConverter();
+
+  test('trusts ordinary content', () => {
+    expect(converter.getConversionConfidence(node('p', {}, [], { text: 'Hello world' }))).toBe(1);
+    expect(converter.getConversionConfidence(node('div', {}, [node('h2', {}, [], { text: 'Title' })], { text: 'Title' }))).toBe(1);
+  });
+
+  test('scores canvases and script-rendered web components low', () => {
+    expect(converter.getConversionConfidence(node('canvas'))).toBe(0.1);
+    expect(converter.getConversionConfidence(node('model-viewer'))).toBe(0.3);
+    expect(converter.getConversionConfidence(node('my-card', {}, [], { text: 'x'.repeat(300) }))).toBe(0.6);
+  });
+
+  test('scores CSS art built from empty boxes low', () => {
+    const box = () => node('div', { backgroundColor: 'rgb(255, 0, 0)' });
+    expect(converter.getConversionConfidence(node('div', {}, [box(), box(), box(), box(), box(), box()]))).toBe(0.2);
+    expect(converter.getConversionConfidence(box())).toBe(0.4);
+  });
+
+  test('does not penalize empty transparent wrappers', () => {
+    expect(converter.getConversionConfidence(node('div'))).toBe(1);
+  });
+});
+
+describe('Raw HTML selectors', () => {
+  const html = '<html><body><header><nav></nav></header><main><div class="chart"></div><p>a</p><div class="chart"></div></main></body></html>';
+
+  test('resolves selectors to the body/tag[index] paths the capture uses', () => {
+    const converter = withPage(new ElementorConverter(), html);
+    const paths = converter.resolveRawHtmlSelectors(html, ['.chart', 'header nav']);
+
+    expect([...paths].sort()).toEqual(['body/header[0]/nav[0]', 'body/main[1]/div[0]', 'body/main[1]/div[2]']);
+  });
+
+  test('skips invalid selectors and handles missing input', () => {
+    const converter = withPage(new ElementorConverter(), html);
+
+    expect([...converter.resolveRawHtmlSelectors(html, ['::::', '.chart'])]).toHaveLength(2);
+    expect(converter.resolveRawHtmlSelectors(html, []).size).toBe(0);
+    expect(converter.resolveRawHtmlSelectors('', ['.chart']).size).toBe(0);
+  });
+});
+
+describe('Region CSS', () => {
+  const html = '<html><body><div class="page"><div class="widget"><span class="dot"></span></div></div><p class="other"></p></body></html>';
+  const region = node('div', {}, [], {
+    domPath: 'body/div[0]/div[0]',
+    outerHTML: '<div class="widget"><span class="dot"></span></div>'
+  });
+
+  test('rewrites matching rules under the scope and drops outside ancestors', () => {
+    const converter = withPage(new ElementorConverter(), html, `
+      .page .widget { display: flex; }
+      .widget > .dot:hover { color: red; }
+      .other { color: blue; }
+    `);
+    const css = converter.collectRegionCss(region, 'cm-raw-x');
+
+    expect(css).toContain('.cm-raw-x .widget {display:flex}');
+    expect(css).toContain('.cm-raw-x .widget>.dot:hover {color:red}');
+    expect(css).not.toContain('.other');
+  });
+
+  test('keeps @media wrappers and the keyframes rules animate with', () => {
+    const converter = withPage(new ElementorConverter(), html, `
+      @media (max-width: 600px) { .dot { animation: pulse 1s infinite; } }
+      @keyframes pulse { from { opacity: 0; } to { opacity: 1; } }
+      @keyframes unused { from { opacity: 1; } }
+    `);
+    const css = converter.collectRegionCss(region, 'cm-raw-x');
+
+    expect(css).toMatch(/^@media \(max-width:600px\) \{\n\.cm-raw-x \.dot \{animation:pulse 1s infinite\}\n\}/);
+    expect(css).toContain('@keyframes pulse');
+    expect(css).not.toContain('unused');
+  });
+
+  test('keeps page CSS from closing the style element', () => {
+    const converter = withPage(new ElementorConverter(), html, '.dot { font-family: "x</style><script>alert(1)</script>"; }');
+    const css = converter.collectRegionCss(region, 'cm-raw-x');
+
+    expect(css).toContain('.cm-raw-x .dot');
+    expect(css).not.toMatch(/<\/style/i);
+
+    const widget = converter.buildRawHtmlWidget({ id: 'abc1234', settings: {} }, region);
+    expect(widget.settings.html.match(/<\/style>/g)).toHaveLength(1);
+  });
+
+  test('returns nothing without page styles', () => {
+    expect(withPage(new ElementorConverter(), html).collectRegionCss(region, 'cm-raw-x')).toBe('');
+  });
+});
@@ -0,0 +1,130 @@
+import { URL } from 'url';
+import RequestAuth from '../../server/core/asset-manager/request-auth.js';
+import VisualWebScraper from '../../server/core/visual-scraper.js';
+
+const PAGE_URL = 'https://shop.example.com/account';
+
+describe('Request auth', () => {
+  test('is only built when there are credentials', () => {
+    expect(RequestAuth.from(PAGE_URL, {})).toBeNull();
+    expect(RequestAuth.from(PAGE_URL, { cookies: [] })).toBeNull();
+    expect(RequestAuth.from('not a url', { basicAuth: { username: 'a', password: 'b' } })).toBeNull();
+    expect(RequestAuth.from(PAGE_URL, { cookies: [{ name: 'session', value: 'abc' }] })).toBeInstanceOf(RequestAuth);
+  });
+
+  describe('cookieMatches', () => {
+    const auth = new RequestAuth(PAGE_URL);
+    const matches = (cookie, url) => auth.cookieMatches(cookie, new URL(url));
+
+    test('matches a domain cookie on the domain and its subdomains', () => {
+      const cookie = { name: 'session', value: 'abc', domain: '.example.com' };
+
+      expect(matches(cookie, 'https://example.com/logo.png')).toBe(true);
+      expect(matches(cookie, 'https://cdn.example.com/logo.png')).toBe(true);
+      expect(matches(cookie, 'https://example.org/logo.png')).toBe(false);
+      expect(matches(cookie, 'https://notexample.com/logo.png')).toBe(false);
+    });
+
+    test('keeps a cookie without a domain on the page host', () => {
+      const cookie = { name: 'session', value: 'abc' };
+
+      expect(matches(cookie, 'https://shop.example.com/logo.png')).toBe(true);
+      expect(matches(cookie, 'https://cdn.example.com/logo.png')).toBe(false);
+    });
+
+    test('matches the cookie path on segment boundaries', () => {
+      const cookie = { name: 'session', value: 'abc', path: '/media' };
+
+      expect(matches(cookie, 'https://shop.example.com/media')).toBe(true);
+      expect(matches(cookie, 'https://shop.example.com/media/a.png')).toBe(true);
+      expect(matches(cookie, 'https://shop.example.com/mediakit/a.png')).toBe(false);
+    });
+
+    test('sends secure cookies over https only and drops expired cookies', () => {
+      const now = Math.floor(Date.now() / 1000);
+
+      expect(matches({ name: 'a', value: '1', secure: true }, 'http://shop.example.com/a.png')).toBe(false);
+      expect(matches({ name: 'a', value: '1', expires: now - 60 }, 'https://shop.example.com/a.png')).toBe(false);
+      expect(matches({ name: 'a', value: '1', expires: now + 60 }, 'https://shop.example.com/a.png')).toBe(true);
+      expect(matches({ name: 'a', value: '1', expires: -1 }, 'https://shop.example.com/a.png')).toBe(true);
+    });
+  });
+
+  describe('requestConfig', () => {
+    const auth = new RequestAuth(PAGE_URL, {
+      cookies: [
+        { name: 'session', value: 'abc', domain: 'example.com' },
+        { name: 'cart', value: '42', path: '/cart' }
+      ],
+      basicAuth: { username: 'preview', password: 'secret' }
+    });
+
+    test('sends matching cookies and basic credentials to the page origin', () => {
+      expect(auth.requestConfig('https://shop.example.com/cart/item.png')).toEqual({
+        headers: { Cookie: 'session=abc; cart=42' },
+        auth: { username: 'preview', password: 'secret' }
+      });
+    });
+
+    test('keeps basic credentials off other origins', () => {
+      expect(auth.requestConfig('https://cdn.example.com/logo.png')).toEqual({
+        headers: { Cookie: 'session=abc' }
+      });
+    });
+
+    test('sends nothing to third-party hosts or non-http URLs', () => {
+      expect(auth.requestConfig('https://fonts.gstatic.com/font.woff2')).toBeUndefined();
+      expect(auth.requestConfig('data:image/png;base64,AAAA')).toBeUndefined();
+      expect(auth.requestConfig('/relative.png')).toBeUndefined();
+    });
+  });
+
+  describe('mergeCookies', () => {
+    test('keeps the cookies of every list and lets a later list win', () => {
+      const merged = RequestAuth.mergeCookies(PAGE_URL, [
+        { name: 'consent', value: 'yes', domain: '.example.com' },
+        { name: 'session', value: 'old' }
+      ], [
+        { name: 'session', value: 'new', domain: 'shop.example.com', path: '/' },
+        { name: 'token', value: 't', domain: 'cdn.example.com' }
+      ]);
+
+      expect(merged.map(cookie => `${cookie.name}=${cookie.value}`)).toEqual(['consent=yes', 'session=new', 'token=t']);
+    });
+
+    test('keeps cookies that differ in domain or path', () => {
+      const merged = RequestAuth.mergeCookies(PAGE_URL, [
+        { name: 'id', value: '1', domain: 'example.com' },
+        { name: 'id', value: '2', domain: 'cdn.example.com' },
+        { name: 'id', value: '3', domain: 'example.com', path: '/media' }
+      ]);
+
+      expect(merged).toHaveLength(3);
+    });
+  });
+});
+
+describe('Session cookies', () => {
+  test('reads every domain from the browser context', async () => {
+    const cookies = [{ name: 'session', domain: 'shop.example.com' }, { name: 'token', domain: 'cdn.example.com' }];
+    const page = {
+      browserContext: () => ({ cookies: async () => cookies }),
+      cookies: async () => cookies.slice(0, 1)
+    };
+
+    await expect(new VisualWebScraper().collectSessionCookies(page)).resolves.toEqual(cookies);
+  });
+
+  test('falls back to the CDP cookie store', async () => {
+    const cookies = [{ name: 'token', domain: 'cdn.example.com' }];
+    const calls = [];
+    const client = {
+      send: async (method) => { calls.push(method); return { cookies }; },
+      detach: async () => { calls.push('detach'); }
+    };
+    const page = { browserContext: () => ({}), createCDPSession: async () => client };
+
+    await expect(new VisualWebScraper().collectSessionCookies(page)).resolves.toEqual(cookies);
+    expect(calls).toEqual(['Network.getAllCookies', 'detach']);
+  });
+});
@@ -1,4 +1,4 @@
-const { makeElementorConverter } from '../converters';
+import { makeElementorConverter } from '../../server/core/converters/index.js';
 
 describe('Roundtrip test', () => {
   test('converts and exports', async () => {
@@ -1,8 +1,18 @@
-const { validateElementorTemplate } from '../export/validate';
+import { validateElementorTemplate } from '../../server/core/schemas/elementor-schema.js';
 
 describe('Schema test', () => {
   test('validates template', () => {
-    const template = { version: "0.4", title: "Test", type: "page", content: [] };
+    const template = {
+      version: "0.4",
+      title: "Test",
+      type: "page",
+      content: [{
+        id: "a1b2c3d4",
+        elType: "section",
+        settings: {},
+        elements: [{ id: "e5f6a7b8", elType: "column", settings: {}, elements: [] }]
+      }]
+    };
     expect(validateElementorTemplate(template)).toBe(true);
   });
 });
@@ -0,0 +1,49 @@
+import { validateScrapeOptions } from '../../server/core/schemas/scrape-options-schema.js';
+
+describe('Scrape options schema', () => {
+  test('accepts an empty object', () => {
+    expect(validateScrapeOptions({})).toBe(true);
+  });
+
+  test('accepts a full set of capture settings', () => {
+    expect(validateScrapeOptions({
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)',
+      breakpoints: { mobile: 375, tablet: 768, desktop: 1440 },
+      viewportHeight: 900,
+      waitUntil: ['networkidle0', 'domcontentloaded'],
+      waitForSelector: '#app .loaded',
+      waitForSelectorTimeout: 15000,
+      extraDelay: 1000,
+      settleDelay: 500,
+      headers: { 'Accept-Language': 'de-DE' },
+      javascriptEnabled: false
+    })).toBe(true);
+    expect(validateScrapeOptions({ waitUntil: 'load' })).toBe(true);
+  });
+
+  test('rejects unknown options', () => {
+    expect(validateScrapeOptions({ fullPage: true })).toBe(false);
+    expect(validateScrapeOptions({ breakpoints: { watch: 200 } })).toBe(false);
+  });
+
+  test('rejects out-of-range values', () => {
+    expect(validateScrapeOptions({ breakpoints: { mobile: 100 } })).toBe(false);
+    expect(validateScrapeOptions({ breakpoints: { desktop: 1200.5 } })).toBe(false);
+    expect(validateScrapeOptions({ viewportHeight: 10000 })).toBe(false);
+    expect(validateScrapeOptions({ extraDelay: -1 })).toBe(false);
+  });
+
+  test('rejects unknown wait events and malformed headers', () => {
+    expect(validateScrapeOptions({ waitUntil: 'idle' })).toBe(false);
+    expect(validateScrapeOptions({ waitUntil: [] })).toBe(false);
+    expect(validateScrapeOptions({ waitUntil: ['load', 'load'] })).toBe(false);
+    expect(validateScrapeOptions({ headers: { 'Bad Header': 'x' } })).toBe(false);
+    expect(validateScrapeOptions({ headers: { 'X-Count': 1 } })).toBe(false);
+  });
+
+  test('reports every error', () => {
+    validateScrapeOptions({ viewportHeight: 1, settleDelay: 'soon' });
+
+    expect(validateScrapeOptions.errors.map(error => error.instancePath).sort()).toEqual(['/settleDelay', '/viewportHeight']);
+  });
+});
@@ -0,0 +1,156 @@
+import ElementorConverter from '../../server/core/elementor-converter.js';
+
+const cell = (tagName, text, layout = {}, attributes = {}) => ({
+  tagName,
+  textContent: text,
+  allTextContent: text,
+  attributes: { allAttributes: attributes },
+  layout: { color: 'rgb(0, 0, 0)', fontSize: '14px', fontWeight: '400', textAlign: 'left', ...layout },
+  children: []
+});
+const row = (cells, layout = {}) => ({ tagName: 'tr', layout, children: cells });
+const table = (groups, layout = {}) => ({
+  tagName: 'table',
+  layout: { fontFamily: 'Arial', ...layout },
+  outerHTML: '<table><tr><td>x</td></tr></table>',
+  children: groups
+});
+
+const priceTable = (bodyRows) => table([
+  { tagName: 'thead', children: [row([cell('th', 'Plan', { fontWeight: '700' }), cell('th', 'Price', { fontWeight: '700' })])] },
+  { tagName: 'tbody', children: bodyRows }
+]);
+
+describe('Table rows', () => {
+  const converter = new ElementorConverter();
+
+  test('groups rows by thead/tbody/tfoot and reads spans', () => {
+    const rows = converter.getTableRows(table([
+      { tagName: 'thead', children: [row([cell('th', 'A', {}, { colspan: '2' })])] },
+      { tagName: 'tbody', children: [row([cell('td', ' one\n  two '), cell('td', 'x', {}, { rowspan: '3' })])] },
+      { tagName: 'tfoot', children: [row([cell('td', 'Total')])] }
+    ]));
+
+    expect(rows.map(r => r.group)).toEqual(['thead', 'tbody', 'tfoot']);
+    expect(rows[0].cells[0]).toMatchObject({ tag: 'th', text: 'A', colspan: 2, rowspan: 1 });
+    expect(rows[1].cells.map(c => c.text)).toEqual(['one two', 'x']);
+    expect(rows[1].cells[1].rowspan).toBe(3);
+  });
+
+  test('treats rows outside a row group as tbody', () => {
+    const rows = converter.getTableRows(table([row([cell('td', 'a')]), row([cell('td', 'b')])]));
+    expect(rows.map(r => r.group)).toEqual(['tbody', 'tbody']);
+  });
+});
+
+describe('Table CSS', () => {
+  const converter = new ElementorConverter();
+  const css = (node) => converter.buildTableCss(node, converter.getTableRows(node), 'cm-table-x');
+
+  test('uses the values most body cells share', () => {
+    const node = priceTable([
+      row([cell('td', 'Basic'), cell('td', '$9')]),
+      row([cell('td', 'Pro'), cell('td', '$19')]),
+      row([cell('td', 'Team', { color: 'rgb(255, 0, 0)' }), cell('td', '$49')])
+    ]);
+    const rules = css(node);
+
+    expect(rules).toContain('.cm-table-x tbody > tr > td { color: rgb(0, 0, 0);');
+    expect(rules).not.toContain('rgb(255, 0, 0)');
+    expect(rules).toContain('.cm-table-x thead > tr > * {');
+    expect(rules).toMatch(/thead > tr > \* \{[^}]*font-weight: 700;/);
+  });
+
+  test('detects zebra striping from alternating row backgrounds', () => {
+    const striped = (i) => ({ backgroundColor: i % 2 === 0 ? 'rgb(255, 255, 255)' : 'rgb(240, 240, 240)' });
+    const node = priceTable([0, 1, 2, 3].map(i => row([cell('td', `r${i}`), cell('td', `$${i}`)], striped(i))));
+    const rules = css(node);
+
+    expect(rules).toContain('.cm-table-x tbody > tr:nth-child(odd) > td { background-color: rgb(255, 255, 255); }');
+    expect(rules).toContain('.cm-table-x tbody > tr:nth-child(even) > td { background-color: rgb(240, 240, 240); }');
+  });
+
+  test('does not stripe tables with a single body background', () => {
+    const node = priceTable([0, 1, 2, 3].map(i => row([cell('td', `r${i}`), cell('td', `$${i}`)], { backgroundColor: 'rgb(250, 250, 250)' })));
+    expect(css(node)).not.toContain('nth-child(odd)');
+  });
+
+  test('adds per-column overrides for consistently different columns', () => {
+    const node = priceTable([0, 1, 2].map(i => row([
+      cell('td', `Plan ${i}`, { fontWeight: '700' }),
+      cell('td', `$${i}`, { textAlign: 'right' }),
+      cell('td', 'yes')
+    ])));
+    const rules = css(node);
+
+    expect(rules).toContain('.cm-table-x tbody > tr > td:nth-child(1) { font-weight: 700; }');
+    expect(rules).toContain('.cm-table-x tbody > tr > td:nth-child(2) { text-align: right; }');
+    expect(rules).not.toContain('td:nth-child(3)');
+  });
+
+  test('keeps captured values from closing the style element', () => {
+    const node = priceTable([row([cell('td', 'a'), cell('td', 'b')])]);
+    node.layout.fontFamily = 'Evil</style><script>alert(1)</script>';
+
+    expect(css(node)).not.toMatch(/<\/style/i);
+    expect(css(node)).toContain('Evil<\\/style>');
+  });
+});
+
+describe('Table widget', () => {
+  const node = priceTable([
+    row([cell('td', 'Basic'), cell('td', '$9')]),
+    row([cell('td', 'Pro'), cell('td', '$19')])
+  ]);
+  const build = (tableWidget) => {
+    const converter = new ElementorConverter();
+    converter.exportOptions = { tableWidget };
+    return converter.buildTableWidget({ id: 'abc1234', settings: {} }, node);
+  };
+
+  test('keeps the table as an html widget with scoped CSS by default', () => {
+    const widget = build('html');
+
+    expect(widget.widgetType).toBe('html');
+    expect(widget.settings.html).toMatch(/^<div class="cm-table-abc1234">\n<style>\n\.cm-table-abc1234 \{ overflow-x: auto; \}/);
+    expect(widget.settings.html).toContain('<table>');
+  });
+
+  test('maps header and body cells onto a table add-on', () => {
+    const widget = build('eael-data-table');
+
+    expect(widget.widgetType).toBe('eael-data-table');
+    expect(widget.settings.eael_data_table_header_cols_data.map(col => col.eael_data_table_header_col)).toEqual(['Plan', 'Price']);
+    expect(widget.settings.eael_data_table_content_rows.map(entry => [
+      entry.eael_data_table_content_row_type,
+      entry.eael_data_table_content_row_title
+    ])).toEqual([
+      ['row', undefined], ['col', 'Basic'], ['col', '$9'],
+      ['row', undefined], ['col', 'Pro'], ['col', '$19']
+    ]);
+  });
+
+  test('accepts a custom mapping object', () => {
+    const widget = build({
+      widgetType: 'my-table',
+      header: { key: 'head', text: 'label' },
+      rows: { key: 'body', type: 'kind', text: 'value' }
+    });
+
+    expect(widget.widgetType).toBe('my-table');
+    expect(widget.settings.head).toEqual([expect.objectContaining({ label: 'Plan' }), expect.objectContaining({ label: 'Price' })]);
+    expect(widget.settings.body.filter(entry => entry.kind === 'col')).toHaveLength(4);
+  });
+
+  test('rejects unknown table widget options', async () => {
+    const converter = new ElementorConverter();
+
+    expect(converter.isValidTableWidgetOption('html')).toBe(true);
+    expect(converter.isValidTableWidgetOption('eael-data-table')).toBe(true);
+    expect(converter.isValidTableWidgetOption('no-such-table')).toBe(false);
+    expect(converter.isValidTableWidgetOption('toString')).toBe(false);
+    expect(converter.isValidTableWidgetOption({ widgetType: 'x' })).toBe(false);
+    await expect(converter.exportTemplate({ structure: null }, 'template', null, { tableWidget: 'no-such-table' }))
+      .rejects.toThrow('Unknown tableWidget "no-such-table"');
+  });
+});
@@ -0,0 +1,100 @@
+import TemplateDiffer from '../../server/core/template-differ.js';
+
+const widget = (id, widgetType, settings) => ({ id, elType: 'widget', widgetType, settings, elements: [] });
+const column = (id, settings, elements) => ({ id, elType: 'column', settings, elements });
+const section = (id, settings, elements) => ({ id, elType: 'section', settings, elements });
+
+const page = ({ heroTitle = 'Welcome', heroImage = 'https://example.com/hero.jpg', background = '#ffffff', columnSize = 50 } = {}) => ({
+  version: '0.4',
+  title: 'Page',
+  type: 'page',
+  content: [
+    section('hero0001', { background_color: background }, [
+      column('col00001', { _inline_size: columnSize }, [
+        widget('head0001', 'heading', { title: heroTitle }),
+        widget('imag0001', 'image', { image: { url: heroImage, id: '' } })
+      ])
+    ]),
+    section('feat0001', {}, [
+      column('col00002', { _inline_size: 100 }, [widget('text0001', 'text-editor', { editor: '<p>Fast setup for every team</p>' })])
+    ])
+  ],
+  page_settings: { template: 'elementor_canvas' }
+});
+
+describe('Template differ', () => {
+  const differ = new TemplateDiffer();
+
+  test('reports identical templates', () => {
+    const result = differ.diff(page(), page());
+
+    expect(result.identical).toBe(true);
+    expect(result.summary).toBe('No changes');
+  });
+
+  test('reports changed widget settings and asset URLs', () => {
+    const result = differ.diff(page(), page({ heroTitle: 'Hello', heroImage: 'https://example.com/hero-2.jpg' }));
+
+    expect(result.identical).toBe(false);
+    expect(result.stats).toMatchObject({ widgetsChanged: 2, settingsChanged: 2, assetUrlsChanged: 1 });
+    expect(result.widgets.changed.find(item => item.id === 'head0001').changes).toEqual([
+      { setting: 'title', before: 'Welcome', after: 'Hello' }
+    ]);
+    expect(result.assets.added).toEqual(['https://example.com/hero-2.jpg']);
+    expect(result.assets.removed).toEqual(['https://example.com/hero.jpg']);
+  });
+
+  test('reports changed section and column settings', () => {
+    const result = differ.diff(page(), page({ background: '#000000', columnSize: 33 }));
+
+    expect(result.identical).toBe(false);
+    expect(result.stats).toMatchObject({ sectionsChanged: 2, widgetsChanged: 0, settingsChanged: 2 });
+    expect(result.sections.changed.map(item => [item.elType, item.changes[0].setting])).toEqual([
+      ['section', 'background_color'],
+      ['column', '_inline_size']
+    ]);
+    expect(result.summary).toContain('2 layout elements changed (2 settings: 1 section, 1 column)');
+  });
+
+  test('matches regenerated IDs by similarity and finds moved sections', () => {
+    const before = page();
+    const after = page();
+    after.content.reverse();
+    after.content[0].id = 'newid001';
+
+    const result = differ.diff(before, after);
+
+    expect(result.stats).toMatchObject({ sectionsAdded: 0, sectionsRemoved: 0, sectionsMoved: 1, matchedBySimilarity: 1 });
+    expect(result.sections.moved[0]).toMatchObject({ id: 'hero0001', from: 'content[0]', to: 'content[1]' });
+  });
+
+  test('ignores the asset session of local asset URLs', () => {
+    const local = (session) => page({
+      heroImage: `/api/assets/${session}/images/hero.jpg`,
+      background: `url(http://localhost:3001/api/assets/${session}/images/bg.png)`
+    });
+
+    const unchanged = differ.diff(local('3f0c7a52-1d7e-4c1b-9a51-0c8f7d0c2a11'), local('9b2e4d10-6a3f-4f8e-8c2d-5e1f0a7b3c44'));
+    expect(unchanged.identical).toBe(true);
+    expect(unchanged.assets).toEqual({ added: [], removed: [], changed: [] });
+
+    const changed = differ.diff(
+      local('3f0c7a52-1d7e-4c1b-9a51-0c8f7d0c2a11'),
+      page({ heroImage: '/api/assets/9b2e4d10-6a3f-4f8e-8c2d-5e1f0a7b3c44/images/hero-2.jpg' })
+    );
+    expect(changed.assets.added).toEqual(['/api/assets/*/images/hero-2.jpg']);
+    expect(changed.assets.removed).toEqual(['http://localhost:3001/api/assets/*/images/bg.png', '/api/assets/*/images/hero.jpg']);
+  });
+
+  test('reports added and removed sections with their labels', () => {
+    const after = page();
+    after.content.push(section('promo001', {}, [column('col00003', {}, [widget('head0002', 'heading', { title: 'Brand new promo block' })])]));
+    after.content.splice(1, 1);
+
+    const result = differ.diff(page(), after);
+
+    expect(result.sections.added.map(item => item.label)).toEqual(['Brand new promo block']);
+    expect(result.sections.removed.map(item => item.id)).toEqual(['feat0001']);
+    expect(result.stats).toMatchObject({ widgetsAdded: 1, widgetsRemoved: 1 });
+  });
+});
@@ -0,0 +1,78 @@
+import express from 'express';
+import templatesRouter from '../../server/routes/templates.js';
+
+const widget = (id, widgetType, settings) => ({ id, elType: 'widget', widgetType, settings, elements: [] });
+const template = (title) => ({
+  version: '0.4',
+  title: 'Page',
+  type: 'page',
+  content: [{
+    id: 'hero0001',
+    elType: 'section',
+    settings: {},
+    elements: [{ id: 'col00001', elType: 'column', settings: { _column_size: 100 }, elements: [widget('head0001', 'heading', { title })] }]
+  }]
+});
+
+const captured = (text) => ({
+  tagName: 'body',
+  layout: { width: 1200, height: 400, display: 'block' },
+  children: [{
+    tagName: 'section',
+    layout: { width: 1200, height: 200, display: 'block' },
+    children: [{ tagName: 'h2', textContent: text, allTextContent: text, attributes: {}, layout: { width: 600, height: 40, fontSize: '32px' }, children: [] }]
+  }]
+});
+const ir = (text) => ({ html: '<html></html>', structure: captured(text), responsiveLayouts: { desktop: { structure: captured(text) } }, pageInfo: { title: 'Page' } });
+
+describe('POST /api/templates/diff', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use('/api/templates', templatesRouter);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/templates`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const post = async (body) => {
+    const response = await fetch(`${baseUrl}/diff`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('diffs two templates', async () => {
+    const { status, body } = await post({ before: template('Welcome'), after: template('Hello') });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ ok: true, identical: false, stats: { widgetsChanged: 1, settingsChanged: 1 } });
+    expect(body.widgets.changed[0].changes).toEqual([{ setting: 'title', before: 'Welcome', after: 'Hello' }]);
+  });
+
+  test('converts IR payloads before diffing', async () => {
+    const same = await post({ before: ir('Fast setup'), after: ir('Fast setup') });
+    expect(same.status).toBe(200);
+    expect(same.body).toMatchObject({ ok: true, identical: true });
+
+    const changed = await post({ before: ir('Fast setup'), after: ir('Faster setup'), mode: 'container' });
+    expect(changed.status).toBe(200);
+    expect(changed.body.identical).toBe(false);
+    expect(changed.body.widgets.changed.flatMap(item => item.changes.map(change => change.after))).toContain('Faster setup');
+  });
+
+  test('rejects missing sides, unknown modes and invalid templates', async () => {
+    expect(await post({ before: template('Welcome') })).toMatchObject({ status: 400, body: { code: 'INVALID_DIFF_INPUT' } });
+    expect(await post({ before: ir('a'), after: ir('b'), mode: 'kit' })).toMatchObject({ status: 400, body: { code: 'INVALID_DIFF_INPUT' } });
+    expect(await post({ before: template('Welcome'), after: { content: 'nope' } }))
+      .toMatchObject({ status: 400, body: { code: 'INVALID_ELEMENTOR_JSON', side: 'after' } });
+  });
+});
@@ -0,0 +1,104 @@
+import AdmZip from 'adm-zip';
+import { makeElementorConverter } from '../../server/core/converters/index.js';
+
+const node = (tagName, children = [], { text = '', role, className = '' } = {}) => ({
+  tagName,
+  className,
+  textContent: text,
+  allTextContent: text,
+  attributes: { allAttributes: {}, ...(role && { role }) },
+  layout: { width: 1200, height: 80, display: 'block', color: 'rgb(0, 0, 0)', fontSize: '16px' },
+  children
+});
+
+const articleHeader = node('header', [node('h1', [], { text: 'Article title' })]);
+const structure = node('body', [
+  node('header', [node('p', [], { text: 'Site name' })]),
+  node('main', [
+    node('article', [articleHeader, node('p', [], { text: 'Article body' })])
+  ]),
+  node('footer', [node('p', [], { text: 'Copyright' })])
+]);
+
+const ir = {
+  html: '<html></html>',
+  structure,
+  responsiveLayouts: { desktop: { structure } },
+  assets: { images: [], fonts: [], colors: [] },
+  pageInfo: { title: 'Example' },
+  source: { url: 'https://example.com' }
+};
+
+const texts = (template) => JSON.stringify(template.content);
+
+describe('Theme Builder parts', () => {
+  test('finds the site header and footer but leaves article headers in the page', () => {
+    const converter = makeElementorConverter();
+    const parts = converter.findThemeParts(structure);
+
+    expect(parts.header).toBe(structure.children[0]);
+    expect(parts.footer).toBe(structure.children[2]);
+
+    const page = converter.withoutNodes(structure, new Set([parts.header, parts.footer]));
+    expect(page.children.map(child => child.tagName)).toEqual(['main']);
+    expect(page.children[0].children[0].children[0]).toBe(articleHeader);
+    // The capture itself is left untouched
+    expect(structure.children).toHaveLength(3);
+  });
+
+  test('treats role="banner" and role="contentinfo" as header and footer', () => {
+    const banner = node('div', [], { role: 'banner', text: 'Site' });
+    const contentinfo = node('div', [], { role: 'contentinfo', text: 'Footer' });
+    const parts = makeElementorConverter().findThemeParts(node('body', [banner, node('main'), contentinfo]));
+
+    expect(parts).toEqual({ header: banner, footer: contentinfo });
+  });
+
+  test.each(['template', 'container'])('%s export returns a page, header and footer zip', async (mode) => {
+    const out = await makeElementorConverter().exportTemplate(ir, mode, null, { splitHeaderFooter: true });
+    const entries = Object.fromEntries(new AdmZip(out.bytes).getEntries()
+      .map(entry => [entry.entryName, JSON.parse(entry.getData().toString('utf8'))]));
+
+    expect(out.kind).toBe('zip');
+    expect(out.report.themeParts).toEqual(['header', 'footer']);
+    expect(Object.keys(entries).sort()).toEqual(['footer.json', 'header.json', 'page.json']);
+    expect(entries['header.json']).toMatchObject({ type: 'header', title: 'Example Header' });
+    expect(entries['footer.json']).toMatchObject({ type: 'footer', title: 'Example Footer' });
+    expect(entries['page.json'].page_settings.template).toBe('elementor_header_footer');
+    expect(texts(entries['header.json'])).toContain('Site name');
+    expect(texts(entries['page.json'])).toContain('Article title');
+    expect(texts(entries['page.json'])).not.toContain('Site name');
+    expect(texts(entries['page.json'])).not.toContain('Copyright');
+  });
+
+  test('keeps a single JSON template without splitHeaderFooter', async () => {
+    const out = await makeElementorConverter().exportTemplate(ir, 'template');
+    const template = JSON.parse(out.bytes);
+
+    expect(out.kind).toBe('json');
+    expect(template.page_settings.template).toBe('elementor_canvas');
+    expect(texts(template)).toContain('Site name');
+  });
+
+  test('kit export adds the parts as templates shown on the entire site', async () => {
+    const out = await makeElementorConverter().exportTemplate(ir, 'kit', null, { splitHeaderFooter: true });
+    const zip = new AdmZip(out.bytes);
+    const manifest = JSON.parse(zip.readAsText('manifest.json'));
+
+    expect(out.report.templates).toEqual(['header', 'footer']);
+    expect(Object.keys(manifest.templates)).toEqual(['2', '3']);
+    expect(manifest.templates['2']).toMatchObject({
+      title: 'Example Header',
+      doc_type: 'header',
+      location: 'header',
+      conditions: [{ type: 'include', name: 'general', sub_name: '', sub_id: '' }]
+    });
+    expect(manifest.templates['3']).toMatchObject({ doc_type: 'footer', location: 'footer' });
+
+    const header = JSON.parse(zip.readAsText('templates/2.json'));
+    const footer = JSON.parse(zip.readAsText('templates/3.json'));
+    expect(JSON.stringify(header.content)).toContain('Site name');
+    expect(JSON.stringify(footer.content)).toContain('Copyright');
+    expect(JSON.stringify(JSON.parse(zip.readAsText('content/page/1.json')).content)).not.toContain('Copyright');
+  });
+});